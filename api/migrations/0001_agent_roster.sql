@@ -0,0 +1,30 @@
+-- ============================================================
+-- 0001  Agent roster (replaces lead-board localStorage PRM_AGENTS_<zone>)
+-- Apply:  wrangler d1 migrations apply prm-dispatch
+-- ============================================================
+
+-- Agents known to the station (one row per person)
+CREATE TABLE IF NOT EXISTS agents (
+  id         INTEGER PRIMARY KEY AUTOINCREMENT,
+  name       TEXT NOT NULL UNIQUE COLLATE NOCASE,  -- as shown on assignment chips
+  active     INTEGER DEFAULT 1,                     -- BOOLEAN 0/1 (soft delete)
+  notes      TEXT DEFAULT '',
+  created_at TEXT DEFAULT (datetime('now')),
+  updated_at TEXT DEFAULT (datetime('now'))
+);
+
+-- Shifts: an agent working a zone between two instants
+CREATE TABLE IF NOT EXISTS agent_shifts (
+  id          INTEGER PRIMARY KEY AUTOINCREMENT,
+  agent_id    INTEGER NOT NULL REFERENCES agents(id),
+  zone        TEXT NOT NULL,                 -- "Pier A" | "TB" | "Gates" | "T1"
+  shift_start TEXT NOT NULL,                 -- ISO 8601 UTC
+  shift_end   TEXT NOT NULL,                 -- ISO 8601 UTC
+  breaks      TEXT DEFAULT '[]',             -- JSON [{start,end}] ISO 8601 UTC
+  created_by  TEXT DEFAULT '',
+  created_at  TEXT DEFAULT (datetime('now')),
+  updated_at  TEXT DEFAULT (datetime('now'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_agent_shifts_zone  ON agent_shifts(zone, shift_start);
+CREATE INDEX IF NOT EXISTS idx_agent_shifts_agent ON agent_shifts(agent_id);
@@ -0,0 +1,19 @@
+-- ============================================================
+-- 0002  Flight change history (append-only audit trail)
+-- Written by every mutating handler and by the FIDS sync.
+-- ============================================================
+
+CREATE TABLE IF NOT EXISTS flight_events (
+  id          INTEGER PRIMARY KEY AUTOINCREMENT,
+  flight_key  TEXT NOT NULL,             -- flights.key (kept after archive)
+  event_type  TEXT NOT NULL,             -- "edit" | "ack" | "sync"
+  field       TEXT DEFAULT '',           -- column touched, e.g. "wchr", "gate", "tb_ack"
+  old_value   TEXT,
+  new_value   TEXT,
+  board       TEXT DEFAULT '',           -- "DISPATCH" | "PIERA" | "TB" | ... (ACKs / lead edits)
+  actor       TEXT DEFAULT '',           -- username, or "FIDS" for the sync
+  created_at  TEXT DEFAULT (datetime('now'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_flight_events_key     ON flight_events(flight_key, id);
+CREATE INDEX IF NOT EXISTS idx_flight_events_created ON flight_events(created_at);
@@ -0,0 +1,6 @@
+-- ============================================================
+-- 0003  Keep the FIDS terminal on the flight row so zones can be
+--       recomputed later (zone-override edits re-zone open flights).
+-- ============================================================
+
+ALTER TABLE flights ADD COLUMN terminal TEXT DEFAULT '';
@@ -0,0 +1,10 @@
+-- ============================================================
+-- 0004  User management
+-- users.pin now holds "pbkdf2$<iterations>$<salt>$<hash>" (base64url).
+-- Legacy plaintext PINs are re-hashed on the user's next login.
+-- ============================================================
+
+ALTER TABLE users ADD COLUMN disabled       INTEGER DEFAULT 0;  -- BOOLEAN 0/1
+ALTER TABLE users ADD COLUMN created_at     TEXT;
+ALTER TABLE users ADD COLUMN updated_at     TEXT;
+ALTER TABLE users ADD COLUMN pin_changed_at TEXT;
@@ -0,0 +1,32 @@
+-- ============================================================
+-- 0005  Login throttling + server-side sessions
+-- login_attempts: failure counters per username and per client IP;
+--   progressive lockout once the free attempts are used up.
+-- sessions: one row per issued token (token payload carries `sid`).
+--   verifyToken rejects revoked sessions, so Mgmt can kill a lost
+--   device or a leaver's login before the 6h token expiry.
+-- ============================================================
+
+CREATE TABLE IF NOT EXISTS login_attempts (
+  scope           TEXT NOT NULL,         -- "user" | "ip"
+  ident           TEXT NOT NULL,         -- lower-cased username, or CF-Connecting-IP
+  failures        INTEGER DEFAULT 0,
+  last_failed_at  TEXT,                  -- ISO UTC
+  locked_until    TEXT,                  -- ISO UTC, NULL when not locked
+  PRIMARY KEY (scope, ident)
+);
+
+CREATE TABLE IF NOT EXISTS sessions (
+  id          TEXT PRIMARY KEY,          -- token `sid`
+  username    TEXT NOT NULL,
+  role        TEXT,
+  ip          TEXT DEFAULT '',
+  user_agent  TEXT DEFAULT '',
+  created_at  TEXT NOT NULL,             -- ISO UTC
+  expires_at  TEXT NOT NULL,             -- ISO UTC
+  revoked_at  TEXT,                      -- ISO UTC, NULL while active
+  revoked_by  TEXT DEFAULT ''            -- username that revoked it (self on logout)
+);
+
+CREATE INDEX IF NOT EXISTS idx_sessions_username ON sessions(username, expires_at);
+CREATE INDEX IF NOT EXISTS idx_sessions_expires  ON sessions(expires_at);
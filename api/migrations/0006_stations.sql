@@ -0,0 +1,79 @@
+-- ============================================================
+-- 0006  Multi-station config
+-- Station settings (IATA code, timezone, ops-day start) and the
+-- contracted airlines move from constants into D1.  Flights,
+-- zone overrides, roster shifts and the archive become
+-- station-scoped; existing rows belong to YYZ.
+-- Flight keys gain a station suffix:
+--   "2025-02-25|ARR|WS 816|06:30"  →  "2025-02-25|ARR|WS 816|06:30|YYZ"
+-- ============================================================
+
+CREATE TABLE IF NOT EXISTS stations (
+  code          TEXT PRIMARY KEY,          -- IATA, uppercase ("YYZ")
+  name          TEXT DEFAULT '',
+  timezone      TEXT NOT NULL,             -- IANA ("America/Toronto")
+  ops_day_start TEXT DEFAULT '03:00',      -- local "HH:MM"; earlier times belong to the previous ops day
+  gate_rules    INTEGER DEFAULT 0,         -- BOOLEAN: apply the built-in Pearson gate-number zone rules
+  active        INTEGER DEFAULT 1,         -- BOOLEAN: synced by cron, offered to users
+  created_at    TEXT DEFAULT (datetime('now')),
+  updated_at    TEXT DEFAULT (datetime('now'))
+);
+
+-- Contracted airlines per station.  Effective dates are ops dates
+-- (YYYY-MM-DD, inclusive); NULL = open-ended.
+CREATE TABLE IF NOT EXISTS station_airlines (
+  id             INTEGER PRIMARY KEY AUTOINCREMENT,
+  station        TEXT NOT NULL REFERENCES stations(code),
+  airline        TEXT NOT NULL,            -- 2-char IATA designator ("F8")
+  name           TEXT DEFAULT '',
+  effective_from TEXT,
+  effective_to   TEXT,
+  created_at     TEXT DEFAULT (datetime('now')),
+  updated_at     TEXT DEFAULT (datetime('now'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_station_airlines ON station_airlines(station, airline);
+
+INSERT OR IGNORE INTO stations (code, name, timezone, ops_day_start, gate_rules, active)
+VALUES ('YYZ', 'Toronto Pearson', 'America/Toronto', '03:00', 1, 1);
+
+-- Previously WATCH_AIRLINES
+INSERT INTO station_airlines (station, airline)
+SELECT 'YYZ', column1 FROM (VALUES
+  ('AF'),('BG'),('2T'),('BW'),('CA'),('MU'),('HU'),('AU'),('DL'),('LH'),
+  ('EY'),('BR'),('F8'),('AZ'),('KL'),('PR'),('PD'),('S4'),('SV'),('LX'),
+  ('TK'),('TS'),('VS'),('WS')
+);
+
+-- ── Flights ──────────────────────────────────────────────────
+ALTER TABLE flights ADD COLUMN station TEXT NOT NULL DEFAULT 'YYZ';
+UPDATE flights       SET key        = key        || '|YYZ';
+UPDATE flight_events SET flight_key = flight_key || '|YYZ';
+CREATE INDEX IF NOT EXISTS idx_flights_station ON flights(station, time_est);
+
+-- ── Archive ──────────────────────────────────────────────────
+ALTER TABLE archive ADD COLUMN station TEXT NOT NULL DEFAULT 'YYZ';
+UPDATE archive SET flight_data = json_set(flight_data,
+  '$.key',     json_extract(flight_data, '$.key') || '|YYZ',
+  '$.station', 'YYZ');
+CREATE INDEX IF NOT EXISTS idx_archive_station ON archive(station, ops_date);
+
+-- ── Zone overrides: primary key becomes (station, gate) ─────
+CREATE TABLE zone_overrides_new (
+  station TEXT NOT NULL,
+  gate    TEXT NOT NULL,   -- normalized (uppercase, no spaces)
+  zone    TEXT NOT NULL,   -- "Pier A" | "TB" | "Gates" | "T1" | "Unassigned" | "SwingDoor"
+  notes   TEXT DEFAULT '',
+  PRIMARY KEY (station, gate)
+);
+INSERT INTO zone_overrides_new (station, gate, zone, notes)
+SELECT 'YYZ', gate, zone, notes FROM zone_overrides;
+DROP TABLE zone_overrides;
+ALTER TABLE zone_overrides_new RENAME TO zone_overrides;
+
+-- ── Roster shifts ────────────────────────────────────────────
+ALTER TABLE agent_shifts ADD COLUMN station TEXT NOT NULL DEFAULT 'YYZ';
+CREATE INDEX IF NOT EXISTS idx_agent_shifts_station ON agent_shifts(station, zone, shift_start);
+
+-- ── Users: home station ('' = every station) ─────────────────
+ALTER TABLE users ADD COLUMN station TEXT DEFAULT '';
@@ -0,0 +1,72 @@
+-- ============================================================
+-- 0007  Data-driven zone rules
+-- Gate → zone mapping moves from code (PIERA_GATES, TB_GATES,
+-- swing-door 15–19, Gates 23–41, resolveSwingDoor) into ordered,
+-- versioned rule sets.  One set per station is active; drafts can
+-- be previewed against today's flights before activation, and a
+-- retired set can be re-activated to roll back.
+-- Replaces stations.gate_rules: stations that used the built-in
+-- Pearson rules get them as rule set v1.
+-- ============================================================
+
+CREATE TABLE IF NOT EXISTS zone_rule_sets (
+  id           INTEGER PRIMARY KEY AUTOINCREMENT,
+  station      TEXT NOT NULL REFERENCES stations(code),
+  version      INTEGER NOT NULL,               -- 1, 2, … per station
+  status       TEXT NOT NULL DEFAULT 'draft',  -- draft | active | retired
+  notes        TEXT DEFAULT '',
+  created_by   TEXT DEFAULT '',
+  created_at   TEXT DEFAULT (datetime('now')),
+  activated_by TEXT DEFAULT '',
+  activated_at TEXT,
+  UNIQUE (station, version)
+);
+
+-- At most one active set per station
+CREATE UNIQUE INDEX IF NOT EXISTS idx_zone_rule_sets_active
+  ON zone_rule_sets(station) WHERE status = 'active';
+
+-- Ordered rules; first match wins.  Every condition is optional
+-- (NULL / '' = any) and a rule matches when all its conditions do.
+--   scope 'gate'  : flight → zone; zone 'SwingDoor' defers to the swing rules
+--   scope 'swing' : resolves SwingDoor gates and overrides by region/direction
+CREATE TABLE IF NOT EXISTS zone_rules (
+  id          INTEGER PRIMARY KEY AUTOINCREMENT,
+  rule_set_id INTEGER NOT NULL REFERENCES zone_rule_sets(id) ON DELETE CASCADE,
+  position    INTEGER NOT NULL,
+  scope       TEXT NOT NULL DEFAULT 'gate',
+  gates       TEXT DEFAULT '',   -- comma list of normalized gates ("B2A,B3")
+  gate_min    INTEGER,           -- numeric part of the gate, inclusive
+  gate_max    INTEGER,
+  terminals   TEXT DEFAULT '',   -- comma list ("1,T1")
+  regions     TEXT DEFAULT '',   -- comma list of DOM | US | INTL
+  direction   TEXT DEFAULT '',   -- ARR | DEP
+  zone        TEXT NOT NULL,
+  notes       TEXT DEFAULT ''
+);
+
+CREATE INDEX IF NOT EXISTS idx_zone_rules_set ON zone_rules(rule_set_id, position);
+
+-- ── v1: the former built-in Pearson rules ───────────────────
+INSERT INTO zone_rule_sets (station, version, status, notes, created_by, activated_by, activated_at)
+SELECT code, 1, 'active', 'Former built-in gate rules', 'migration', 'migration', datetime('now')
+FROM stations WHERE gate_rules = 1;
+
+INSERT INTO zone_rules (rule_set_id, position, scope, gates, gate_min, gate_max, terminals, regions, direction, zone, notes)
+SELECT rs.id, v.column1, v.column2, v.column3, v.column4, v.column5, v.column6, v.column7, v.column8, v.column9, v.column10
+FROM zone_rule_sets rs
+JOIN (VALUES
+  (1,  'gate',  'B2A,B2C,B3,B4,B5,B20,B22',            NULL, NULL, '',     '',     '',    'Pier A',    'Pier A gates'),
+  (2,  'gate',  'A6,A7,A8,A9,A10,A11,A12,A13,A14,A15',  NULL, NULL, '',     '',     '',    'TB',        'TB gates'),
+  (3,  'gate',  '',                                     23,   41,   '',     '',     '',    'Gates',     'Gates 23–41'),
+  (4,  'gate',  '',                                     15,   19,   '',     '',     '',    'SwingDoor', 'Swing doors 15–19'),
+  (5,  'gate',  '',                                     NULL, NULL, '1,T1', '',     '',    'T1',        'Terminal 1 fallback'),
+  (6,  'swing', '',                                     NULL, NULL, '',     'US',   '',    'TB',        ''),
+  (7,  'swing', '',                                     NULL, NULL, '',     'INTL', 'ARR', 'TB',        ''),
+  (8,  'swing', '',                                     NULL, NULL, '',     'INTL', 'DEP', 'Pier A',    ''),
+  (9,  'swing', '',                                     NULL, NULL, '',     'DOM',  '',    'Pier A',    ''),
+  (10, 'swing', '',                                     NULL, NULL, '',     '',     '',    'TB',        'Unknown region')
+) v
+WHERE rs.version = 1 AND rs.created_by = 'migration';
+
+ALTER TABLE stations DROP COLUMN gate_rules;
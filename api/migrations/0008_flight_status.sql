@@ -0,0 +1,12 @@
+-- ============================================================
+-- 0008  Flight status from FIDS (Scheduled, Delayed, Boarding,
+--       Departed, Arrived, Cancelled, Diverted) so cancelled and
+--       diverted flights stop looking live on the boards.
+--       status_* change columns mirror the gate/zone/time ones.
+-- ============================================================
+
+ALTER TABLE flights ADD COLUMN status          TEXT DEFAULT 'Scheduled';
+ALTER TABLE flights ADD COLUMN status_changed  INTEGER DEFAULT 0;
+ALTER TABLE flights ADD COLUMN status_chg_time TEXT;
+ALTER TABLE flights ADD COLUMN status_chg_from TEXT;
+ALTER TABLE flights ADD COLUMN status_chg_to   TEXT;
@@ -0,0 +1,17 @@
+-- ============================================================
+-- 0009  FIDS feed reconciliation
+-- feed_missing : the flight is no longer listed by a complete FIDS
+--                fetch of its ops window ("dropped from feed"); cleared
+--                when the feed lists it again.
+-- sched_*      : the flight was re-keyed onto a new scheduled time
+--                (keys embed the local sched time); rekeyed_from holds
+--                the old key, whose manual fields were carried over.
+-- ============================================================
+
+ALTER TABLE flights ADD COLUMN feed_missing       INTEGER DEFAULT 0;
+ALTER TABLE flights ADD COLUMN feed_missing_since TEXT;
+ALTER TABLE flights ADD COLUMN sched_changed      INTEGER DEFAULT 0;
+ALTER TABLE flights ADD COLUMN sched_chg_time     TEXT;
+ALTER TABLE flights ADD COLUMN sched_chg_from     TEXT DEFAULT '';
+ALTER TABLE flights ADD COLUMN sched_chg_to       TEXT DEFAULT '';
+ALTER TABLE flights ADD COLUMN rekeyed_from       TEXT DEFAULT '';
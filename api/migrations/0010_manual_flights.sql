@@ -0,0 +1,10 @@
+-- ============================================================
+-- 0010  Manually created flights (charters, diversions, ad-hoc
+--       PRM requests) next to the FIDS ones.
+-- source 'manual' rows are never flagged/dropped by the FIDS
+-- reconciliation; the sync merges a matching FIDS record into the
+-- manual row (source becomes 'fids').
+-- ============================================================
+
+ALTER TABLE flights ADD COLUMN source     TEXT DEFAULT 'fids';   -- fids | manual
+ALTER TABLE flights ADD COLUMN created_by TEXT DEFAULT '';
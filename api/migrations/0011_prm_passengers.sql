@@ -0,0 +1,31 @@
+-- ============================================================
+-- 0011  Per-passenger PRM service records (IATA SSR codes)
+-- Replaces typing two counters: once a flight has records its
+-- flights.wchr / wchc are derived from them (WCHR + WCHS → wchr,
+-- WCHC → wchc) and prm_records / prm_summary are kept for the
+-- boards.  Rows follow a flight through re-keys and are kept
+-- after the flight is archived.
+-- ============================================================
+
+CREATE TABLE IF NOT EXISTS prm_passengers (
+  id              INTEGER PRIMARY KEY AUTOINCREMENT,
+  flight_key      TEXT NOT NULL,             -- flights.key
+  station         TEXT NOT NULL,
+  ssr             TEXT NOT NULL,             -- WCHR | WCHS | WCHC | BLND | DEAF | DPNA | MAAS | STCR
+  name            TEXT DEFAULT '',           -- "SMITH/JANE MRS"
+  seat            TEXT DEFAULT '',           -- "12A"
+  own_wheelchair  INTEGER DEFAULT 0,         -- travels with own chair (BOOLEAN)
+  wheelchair_type TEXT DEFAULT '',           -- WCMP manual | WCBD dry cell | WCBW wet cell | WCLB lithium
+  conn_flight     TEXT DEFAULT '',           -- connecting flight number, "AC 123"
+  conn_time       TEXT,                      -- ISO 8601 UTC of the connecting flight
+  notes           TEXT DEFAULT '',
+  created_by      TEXT DEFAULT '',
+  created_at      TEXT DEFAULT (datetime('now')),
+  updated_by      TEXT DEFAULT '',
+  updated_at      TEXT DEFAULT (datetime('now'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_prm_passengers_flight ON prm_passengers(flight_key);
+
+ALTER TABLE flights ADD COLUMN prm_records INTEGER DEFAULT 0;
+ALTER TABLE flights ADD COLUMN prm_summary TEXT DEFAULT '';
@@ -0,0 +1,27 @@
+-- ============================================================
+-- 0012  PRM pre-advice import (PNL / ADL / PSM teletype)
+-- Passenger records created or changed by an imported message
+-- carry its type and the prm_imports row that applied it; the
+-- log keeps the message text, who applied it and what changed.
+-- History events of an import use board "<KIND> #<id>".
+-- ============================================================
+
+CREATE TABLE IF NOT EXISTS prm_imports (
+  id          INTEGER PRIMARY KEY AUTOINCREMENT,
+  station     TEXT NOT NULL,
+  kind        TEXT NOT NULL,             -- PNL | ADL | PSM
+  flight_key  TEXT NOT NULL,             -- flights.key when applied
+  flight      TEXT DEFAULT '',           -- "AC 123"
+  complete    INTEGER DEFAULT 0,         -- every part up to END<kind> was present (BOOLEAN)
+  message     TEXT DEFAULT '',           -- the message as parsed (all parts)
+  added       INTEGER DEFAULT 0,
+  removed     INTEGER DEFAULT 0,
+  updated     INTEGER DEFAULT 0,
+  applied_by  TEXT DEFAULT '',
+  applied_at  TEXT DEFAULT (datetime('now'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_prm_imports_flight ON prm_imports(flight_key);
+
+ALTER TABLE prm_passengers ADD COLUMN source    TEXT DEFAULT 'manual';   -- manual | PNL | ADL | PSM
+ALTER TABLE prm_passengers ADD COLUMN import_id INTEGER;                 -- prm_imports.id of the last import to touch it
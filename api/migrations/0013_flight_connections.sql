@@ -0,0 +1,36 @@
+-- ============================================================
+-- 0013  Connecting PRM transfers (ARR → onward DEP)
+-- A link carries the passenger count; the last evaluation
+-- (connection minutes, the minimum that applied, at-risk flag)
+-- is kept on the link and mirrored onto both legs for the
+-- boards.  Minimums are per station: one for legs in the same
+-- zone, a longer one when the transfer crosses zones.
+-- ============================================================
+
+CREATE TABLE IF NOT EXISTS flight_connections (
+  id            INTEGER PRIMARY KEY AUTOINCREMENT,
+  station       TEXT NOT NULL,
+  arr_key       TEXT NOT NULL,             -- flights.key of the arrival
+  dep_key       TEXT NOT NULL,             -- flights.key of the onward departure
+  pax           INTEGER NOT NULL DEFAULT 1,
+  notes         TEXT DEFAULT '',
+  conn_min      INTEGER,                   -- dep est − arr est at the last evaluation
+  min_conn_min  INTEGER,                   -- minimum that applied (same / cross zone)
+  at_risk       INTEGER DEFAULT 0,         -- BOOLEAN: conn_min < min_conn_min
+  at_risk_since TEXT,
+  created_by    TEXT DEFAULT '',
+  created_at    TEXT DEFAULT (datetime('now')),
+  updated_by    TEXT DEFAULT '',
+  updated_at    TEXT DEFAULT (datetime('now')),
+  UNIQUE (arr_key, dep_key)
+);
+
+CREATE INDEX IF NOT EXISTS idx_flight_connections_station ON flight_connections(station);
+CREATE INDEX IF NOT EXISTS idx_flight_connections_dep     ON flight_connections(dep_key);
+
+-- Evaluated links for the boards (JSON array) and the alert part
+ALTER TABLE flights ADD COLUMN conn_links     TEXT DEFAULT '';
+ALTER TABLE flights ADD COLUMN conn_risk_text TEXT DEFAULT '';
+
+ALTER TABLE stations ADD COLUMN min_connect_min       INTEGER DEFAULT 45;
+ALTER TABLE stations ADD COLUMN min_connect_xzone_min INTEGER DEFAULT 60;
@@ -0,0 +1,158 @@
+-- ============================================================
+-- 0014  Typed archive
+-- archive.flight_data held each archived flight as a JSON blob,
+-- so the archive could only be read one whole ops day at a time.
+-- archived_flights has the flights columns plus ops_date and is
+-- filled straight from flights (INSERT … SELECT), which lets
+-- /archive/search filter, sort and page across days in SQL.
+-- A migration that adds a flights column must add it here too
+-- (and to ARCHIVE_COLUMNS in src/index.js).
+-- ============================================================
+
+CREATE TABLE IF NOT EXISTS archived_flights (
+  id                  INTEGER PRIMARY KEY AUTOINCREMENT,
+  ops_date            TEXT NOT NULL,             -- "2025-02-25" (station ops day)
+  archived_at         TEXT DEFAULT (datetime('now')),
+  key                 TEXT NOT NULL,
+  station             TEXT NOT NULL,
+  type                TEXT NOT NULL,
+  flight              TEXT NOT NULL,
+  time_est            TEXT,
+  sched               TEXT,
+  origin_dest         TEXT DEFAULT '',
+  gate                TEXT DEFAULT '',
+  terminal            TEXT DEFAULT '',
+  wchr                INTEGER DEFAULT 0,
+  wchc                INTEGER DEFAULT 0,
+  comment             TEXT DEFAULT '',
+  assignment          TEXT DEFAULT '',
+  pax_assisted        INTEGER DEFAULT 0,
+  watchlist           TEXT DEFAULT '',
+  zone_current        TEXT DEFAULT 'Unassigned',
+  zone_previous       TEXT DEFAULT '',
+  zone_prev           TEXT DEFAULT '',
+  gate_changed        INTEGER DEFAULT 0,
+  gate_chg_time       TEXT,
+  gate_chg_from_zone  TEXT DEFAULT '',
+  gate_chg_to_zone    TEXT DEFAULT '',
+  gate_chg_from_gate  TEXT DEFAULT '',
+  gate_chg_to_gate    TEXT DEFAULT '',
+  time_prev_est       TEXT,
+  time_changed        INTEGER DEFAULT 0,
+  time_delta_min      INTEGER,
+  time_chg_time       TEXT,
+  zone_changed        INTEGER DEFAULT 0,
+  zone_chg_time       TEXT,
+  zone_chg_from       TEXT DEFAULT '',
+  zone_chg_to         TEXT DEFAULT '',
+  alert_text          TEXT DEFAULT '',
+  dispatch_ack        INTEGER DEFAULT 0,
+  piera_ack           INTEGER DEFAULT 0,
+  tb_ack              INTEGER DEFAULT 0,
+  t1_ack              INTEGER DEFAULT 0,
+  unassigned_ack      INTEGER DEFAULT 0,
+  gates_ack           INTEGER DEFAULT 0,
+  assign_edited_by    TEXT DEFAULT '',
+  assign_edited_at    TEXT,
+  prev_wchr           INTEGER DEFAULT 0,
+  prev_wchc           INTEGER DEFAULT 0,
+  status              TEXT DEFAULT 'Scheduled',
+  status_changed      INTEGER DEFAULT 0,
+  status_chg_time     TEXT,
+  status_chg_from     TEXT,
+  status_chg_to       TEXT,
+  feed_missing        INTEGER DEFAULT 0,
+  feed_missing_since  TEXT,
+  sched_changed       INTEGER DEFAULT 0,
+  sched_chg_time      TEXT,
+  sched_chg_from      TEXT DEFAULT '',
+  sched_chg_to        TEXT DEFAULT '',
+  rekeyed_from        TEXT DEFAULT '',
+  source              TEXT DEFAULT 'fids',
+  created_by          TEXT DEFAULT '',
+  prm_records         INTEGER DEFAULT 0,
+  prm_summary         TEXT DEFAULT '',
+  conn_links          TEXT DEFAULT '',
+  conn_risk_text      TEXT DEFAULT '',
+  created_at          TEXT,
+  updated_at          TEXT
+);
+
+CREATE INDEX IF NOT EXISTS idx_archived_flights_date   ON archived_flights(station, ops_date, time_est);
+CREATE INDEX IF NOT EXISTS idx_archived_flights_flight ON archived_flights(station, flight);
+CREATE INDEX IF NOT EXISTS idx_archived_flights_key    ON archived_flights(key);
+
+-- ── Existing blobs ───────────────────────────────────────────
+-- Keys missing from older blobs get the column default, not NULL.
+INSERT INTO archived_flights (ops_date, archived_at, key, station, type, flight, time_est, sched, origin_dest, gate, terminal, wchr, wchc, comment, assignment, pax_assisted, watchlist, zone_current, zone_previous, zone_prev, gate_changed, gate_chg_time, gate_chg_from_zone, gate_chg_to_zone, gate_chg_from_gate, gate_chg_to_gate, time_prev_est, time_changed, time_delta_min, time_chg_time, zone_changed, zone_chg_time, zone_chg_from, zone_chg_to, alert_text, dispatch_ack, piera_ack, tb_ack, t1_ack, unassigned_ack, gates_ack, assign_edited_by, assign_edited_at, prev_wchr, prev_wchc, status, status_changed, status_chg_time, status_chg_from, status_chg_to, feed_missing, feed_missing_since, sched_changed, sched_chg_time, sched_chg_from, sched_chg_to, rekeyed_from, source, created_by, prm_records, prm_summary, conn_links, conn_risk_text, created_at, updated_at)
+SELECT
+  ops_date,
+  archived_at,
+  json_extract(flight_data, '$.key'),
+  COALESCE(json_extract(flight_data, '$.station'), station),
+  COALESCE(json_extract(flight_data, '$.type'), ''),
+  COALESCE(json_extract(flight_data, '$.flight'), ''),
+  json_extract(flight_data, '$.time_est'),
+  json_extract(flight_data, '$.sched'),
+  COALESCE(json_extract(flight_data, '$.origin_dest'), ''),
+  COALESCE(json_extract(flight_data, '$.gate'), ''),
+  COALESCE(json_extract(flight_data, '$.terminal'), ''),
+  COALESCE(json_extract(flight_data, '$.wchr'), 0),
+  COALESCE(json_extract(flight_data, '$.wchc'), 0),
+  COALESCE(json_extract(flight_data, '$.comment'), ''),
+  COALESCE(json_extract(flight_data, '$.assignment'), ''),
+  COALESCE(json_extract(flight_data, '$.pax_assisted'), 0),
+  COALESCE(json_extract(flight_data, '$.watchlist'), ''),
+  COALESCE(json_extract(flight_data, '$.zone_current'), 'Unassigned'),
+  COALESCE(json_extract(flight_data, '$.zone_previous'), ''),
+  COALESCE(json_extract(flight_data, '$.zone_prev'), ''),
+  COALESCE(json_extract(flight_data, '$.gate_changed'), 0),
+  json_extract(flight_data, '$.gate_chg_time'),
+  COALESCE(json_extract(flight_data, '$.gate_chg_from_zone'), ''),
+  COALESCE(json_extract(flight_data, '$.gate_chg_to_zone'), ''),
+  COALESCE(json_extract(flight_data, '$.gate_chg_from_gate'), ''),
+  COALESCE(json_extract(flight_data, '$.gate_chg_to_gate'), ''),
+  json_extract(flight_data, '$.time_prev_est'),
+  COALESCE(json_extract(flight_data, '$.time_changed'), 0),
+  json_extract(flight_data, '$.time_delta_min'),
+  json_extract(flight_data, '$.time_chg_time'),
+  COALESCE(json_extract(flight_data, '$.zone_changed'), 0),
+  json_extract(flight_data, '$.zone_chg_time'),
+  COALESCE(json_extract(flight_data, '$.zone_chg_from'), ''),
+  COALESCE(json_extract(flight_data, '$.zone_chg_to'), ''),
+  COALESCE(json_extract(flight_data, '$.alert_text'), ''),
+  COALESCE(json_extract(flight_data, '$.dispatch_ack'), 0),
+  COALESCE(json_extract(flight_data, '$.piera_ack'), 0),
+  COALESCE(json_extract(flight_data, '$.tb_ack'), 0),
+  COALESCE(json_extract(flight_data, '$.t1_ack'), 0),
+  COALESCE(json_extract(flight_data, '$.unassigned_ack'), 0),
+  COALESCE(json_extract(flight_data, '$.gates_ack'), 0),
+  COALESCE(json_extract(flight_data, '$.assign_edited_by'), ''),
+  json_extract(flight_data, '$.assign_edited_at'),
+  COALESCE(json_extract(flight_data, '$.prev_wchr'), 0),
+  COALESCE(json_extract(flight_data, '$.prev_wchc'), 0),
+  COALESCE(json_extract(flight_data, '$.status'), 'Scheduled'),
+  COALESCE(json_extract(flight_data, '$.status_changed'), 0),
+  json_extract(flight_data, '$.status_chg_time'),
+  json_extract(flight_data, '$.status_chg_from'),
+  json_extract(flight_data, '$.status_chg_to'),
+  COALESCE(json_extract(flight_data, '$.feed_missing'), 0),
+  json_extract(flight_data, '$.feed_missing_since'),
+  COALESCE(json_extract(flight_data, '$.sched_changed'), 0),
+  json_extract(flight_data, '$.sched_chg_time'),
+  COALESCE(json_extract(flight_data, '$.sched_chg_from'), ''),
+  COALESCE(json_extract(flight_data, '$.sched_chg_to'), ''),
+  COALESCE(json_extract(flight_data, '$.rekeyed_from'), ''),
+  COALESCE(json_extract(flight_data, '$.source'), 'fids'),
+  COALESCE(json_extract(flight_data, '$.created_by'), ''),
+  COALESCE(json_extract(flight_data, '$.prm_records'), 0),
+  COALESCE(json_extract(flight_data, '$.prm_summary'), ''),
+  COALESCE(json_extract(flight_data, '$.conn_links'), ''),
+  COALESCE(json_extract(flight_data, '$.conn_risk_text'), ''),
+  json_extract(flight_data, '$.created_at'),
+  json_extract(flight_data, '$.updated_at')
+FROM archive
+WHERE json_valid(flight_data) AND json_extract(flight_data, '$.key') IS NOT NULL
+ORDER BY id;
+
+DROP TABLE archive;
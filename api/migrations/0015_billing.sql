@@ -0,0 +1,72 @@
+-- ============================================================
+-- 0015  Airline billing (PRM service statements)
+-- Tariffs are per station + airline with effective ops dates,
+-- like station_airlines; amounts are integer cents.  A monthly
+-- statement per airline is built from archived_flights with one
+-- line per serviced flight and the rates that applied; it stays
+-- a draft (regenerated on demand) until issued, then is locked.
+-- Ambulift movements are a new per-flight count kept by Dispatch.
+-- ============================================================
+
+CREATE TABLE IF NOT EXISTS billing_tariffs (
+  id                 INTEGER PRIMARY KEY AUTOINCREMENT,
+  station            TEXT NOT NULL REFERENCES stations(code),
+  airline            TEXT NOT NULL,               -- 2-char IATA designator
+  currency           TEXT NOT NULL DEFAULT 'CAD',
+  per_wchr_cents     INTEGER NOT NULL DEFAULT 0,
+  per_wchc_cents     INTEGER NOT NULL DEFAULT 0,
+  per_ambulift_cents INTEGER NOT NULL DEFAULT 0,
+  min_flight_cents   INTEGER NOT NULL DEFAULT 0,  -- floor per serviced flight
+  effective_from     TEXT,                        -- ops date, inclusive; NULL = open-ended
+  effective_to       TEXT,
+  notes              TEXT DEFAULT '',
+  updated_by         TEXT DEFAULT '',
+  created_at         TEXT DEFAULT (datetime('now')),
+  updated_at         TEXT DEFAULT (datetime('now'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_billing_tariffs ON billing_tariffs(station, airline);
+
+CREATE TABLE IF NOT EXISTS billing_statements (
+  id              INTEGER PRIMARY KEY AUTOINCREMENT,
+  number          TEXT NOT NULL UNIQUE,      -- "YYZ-AC-2026-10"
+  station         TEXT NOT NULL,
+  airline         TEXT NOT NULL,
+  period          TEXT NOT NULL,             -- "YYYY-MM" (ops dates)
+  status          TEXT NOT NULL DEFAULT 'draft',   -- draft | issued
+  currency        TEXT DEFAULT '',
+  flights         INTEGER DEFAULT 0,
+  wchr            INTEGER DEFAULT 0,
+  wchc            INTEGER DEFAULT 0,
+  ambulift        INTEGER DEFAULT 0,
+  unpriced        INTEGER DEFAULT 0,         -- lines with no tariff in effect
+  total_cents     INTEGER DEFAULT 0,
+  generated_by    TEXT DEFAULT '',
+  generated_at    TEXT,
+  issued_by       TEXT DEFAULT '',
+  issued_at       TEXT,
+  UNIQUE (station, airline, period)
+);
+
+CREATE TABLE IF NOT EXISTS billing_statement_lines (
+  id              INTEGER PRIMARY KEY AUTOINCREMENT,
+  statement_id    INTEGER NOT NULL REFERENCES billing_statements(id),
+  ops_date        TEXT NOT NULL,
+  flight_key      TEXT NOT NULL,             -- archived_flights.key
+  flight          TEXT DEFAULT '',
+  type            TEXT DEFAULT '',
+  sched           TEXT,
+  origin_dest     TEXT DEFAULT '',
+  wchr            INTEGER DEFAULT 0,
+  wchc            INTEGER DEFAULT 0,
+  ambulift        INTEGER DEFAULT 0,
+  tariff_id       INTEGER,                   -- NULL = no tariff in effect (amount 0)
+  service_cents   INTEGER DEFAULT 0,         -- counts × rates
+  amount_cents    INTEGER DEFAULT 0,         -- after the per-flight minimum
+  min_applied     INTEGER DEFAULT 0          -- BOOLEAN
+);
+
+CREATE INDEX IF NOT EXISTS idx_billing_lines_statement ON billing_statement_lines(statement_id, ops_date);
+
+ALTER TABLE flights          ADD COLUMN ambulift INTEGER DEFAULT 0;
+ALTER TABLE archived_flights ADD COLUMN ambulift INTEGER DEFAULT 0;
@@ -0,0 +1,40 @@
+-- ============================================================
+-- 0016  PRM job lifecycle
+-- One job per agent and flight, or per agent and passenger
+-- record.  A job only moves forward through its stages
+--   assigned → en_route → at_aircraft → in_progress
+--            → handed_off → completed
+-- (stages may be skipped); each stage keeps when it was
+-- reached and by whom.  The boards read a compact summary
+-- mirrored onto the flight row (flights.prm_jobs, JSON).
+-- ============================================================
+
+CREATE TABLE IF NOT EXISTS prm_jobs (
+  id              INTEGER PRIMARY KEY AUTOINCREMENT,
+  station         TEXT NOT NULL,
+  flight_key      TEXT NOT NULL,             -- flights.key
+  passenger_id    INTEGER,                   -- prm_passengers.id; NULL = the whole flight
+  label           TEXT DEFAULT '',           -- passenger label when the job was created
+  agent           TEXT NOT NULL,             -- rostered agent name
+  stage           TEXT NOT NULL DEFAULT 'assigned',
+  assigned_at     TEXT,
+  assigned_by     TEXT DEFAULT '',
+  en_route_at     TEXT,
+  en_route_by     TEXT DEFAULT '',
+  at_aircraft_at  TEXT,
+  at_aircraft_by  TEXT DEFAULT '',
+  in_progress_at  TEXT,
+  in_progress_by  TEXT DEFAULT '',
+  handed_off_at   TEXT,
+  handed_off_by   TEXT DEFAULT '',
+  completed_at    TEXT,
+  completed_by    TEXT DEFAULT '',
+  created_at      TEXT DEFAULT (datetime('now')),
+  updated_at      TEXT DEFAULT (datetime('now'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_prm_jobs_flight  ON prm_jobs(flight_key);
+CREATE INDEX IF NOT EXISTS idx_prm_jobs_station ON prm_jobs(station, assigned_at);
+
+ALTER TABLE flights          ADD COLUMN prm_jobs TEXT DEFAULT '';
+ALTER TABLE archived_flights ADD COLUMN prm_jobs TEXT DEFAULT '';
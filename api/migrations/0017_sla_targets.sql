@@ -0,0 +1,21 @@
+-- ============================================================
+-- 0017  PRM service-time targets (compliance report)
+-- A target says a job stage must be reached at most target_min
+-- minutes after the flight time (on-block for arrivals, off-block
+-- for departures); negative = that many minutes before it.
+-- ssr '' applies to every SSR without a more specific row.
+-- A station with no rows uses the built-in defaults.
+-- ============================================================
+
+CREATE TABLE IF NOT EXISTS sla_targets (
+  id          INTEGER PRIMARY KEY AUTOINCREMENT,
+  station     TEXT NOT NULL,
+  direction   TEXT NOT NULL,               -- ARR | DEP
+  ssr         TEXT NOT NULL DEFAULT '',    -- WCHR | WCHC | … | '' (any)
+  stage       TEXT NOT NULL,               -- prm_jobs stage
+  target_min  INTEGER NOT NULL,
+  notes       TEXT DEFAULT '',
+  updated_by  TEXT DEFAULT '',
+  updated_at  TEXT DEFAULT (datetime('now')),
+  UNIQUE (station, direction, ssr, stage)
+);
@@ -0,0 +1,9 @@
+-- ============================================================
+-- 0018  Agent role ("my jobs" on agent.html)
+-- Agent users log in with their roster name (agents.name) as
+-- username; their jobs are the flights whose assignment names
+-- them.  An agent acknowledging a job stamps acked_at (the job
+-- is created at "assigned" if the lead hadn't started one).
+-- ============================================================
+
+ALTER TABLE prm_jobs ADD COLUMN acked_at TEXT;
@@ -0,0 +1,10 @@
+-- ============================================================
+-- 0019  Optimistic concurrency for board edits
+-- edit_version goes up on every dispatch / lead edit of a
+-- flight.  Boards send back the version they edited from; an
+-- edit against an older version is refused (409) with the
+-- current values so the board can merge instead of silently
+-- overwriting another user's change.
+-- ============================================================
+
+ALTER TABLE flights ADD COLUMN edit_version INTEGER NOT NULL DEFAULT 0;
@@ -0,0 +1,24 @@
+-- ============================================================
+-- 0020  ACK attribution
+-- One row per board ACK: who acknowledged which alert on which
+-- board, and when.  alerted_at is the last alerting change
+-- before the ACK (NULL when none was recorded) so ACK latency
+-- can be reported per board; bulk marks ACKs made through
+-- /lead/ack-bulk or /dispatch/ack-bulk.  The *_ack columns on
+-- flights stay the live per-board flags.
+-- ============================================================
+
+CREATE TABLE IF NOT EXISTS flight_acks (
+  id          INTEGER PRIMARY KEY AUTOINCREMENT,
+  station     TEXT NOT NULL,
+  flight_key  TEXT NOT NULL,             -- flights.key (kept after archive)
+  board       TEXT NOT NULL,             -- "DISPATCH" | "PIERA" | "TB" | ...
+  alert_text  TEXT DEFAULT '',           -- the alert as the board saw it
+  alerted_at  TEXT,                      -- last alerting flight_event before the ACK
+  acked_by    TEXT DEFAULT '',           -- username
+  acked_at    TEXT NOT NULL,
+  bulk        INTEGER NOT NULL DEFAULT 0
+);
+
+CREATE INDEX IF NOT EXISTS idx_flight_acks_key   ON flight_acks(flight_key, id);
+CREATE INDEX IF NOT EXISTS idx_flight_acks_board ON flight_acks(station, board, acked_at);
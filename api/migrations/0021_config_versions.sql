@@ -0,0 +1,15 @@
+-- ============================================================
+-- 0021  Config versions (cross-isolate cache invalidation)
+-- Zone overrides, zone rules and station config are cached per
+-- Worker isolate.  Every edit bumps its row here; each isolate
+-- compares the versions against the ones its caches were built
+-- with (every cron tick, and now and then on the request path)
+-- and reloads what changed, so the cron sync never re-applies
+-- an edit that was already undone elsewhere.
+-- ============================================================
+
+CREATE TABLE IF NOT EXISTS config_versions (
+  name        TEXT PRIMARY KEY,          -- "zone_overrides" | "zone_rules" | "stations"
+  version     INTEGER NOT NULL DEFAULT 0,
+  updated_at  TEXT DEFAULT (datetime('now'))
+);
@@ -0,0 +1,22 @@
+-- ============================================================
+-- 0022  Statement rate snapshots
+-- The rates a statement was priced with are copied here when it
+-- is (re)generated, so an issued statement keeps printing them
+-- after the tariff is edited or deleted.  Statements generated
+-- before this migration fall back to the live tariff rows.
+-- ============================================================
+
+CREATE TABLE IF NOT EXISTS billing_statement_rates (
+  id                 INTEGER PRIMARY KEY AUTOINCREMENT,
+  statement_id       INTEGER NOT NULL REFERENCES billing_statements(id),
+  tariff_id          INTEGER NOT NULL,            -- billing_tariffs.id at generation (may be gone)
+  currency           TEXT NOT NULL DEFAULT 'CAD',
+  per_wchr_cents     INTEGER NOT NULL DEFAULT 0,
+  per_wchc_cents     INTEGER NOT NULL DEFAULT 0,
+  per_ambulift_cents INTEGER NOT NULL DEFAULT 0,
+  min_flight_cents   INTEGER NOT NULL DEFAULT 0,
+  effective_from     TEXT,
+  effective_to       TEXT
+);
+
+CREATE INDEX IF NOT EXISTS idx_billing_rates_statement ON billing_statement_rates(statement_id);
@@ -0,0 +1,14 @@
+-- ============================================================
+-- 0023  User → roster agent link
+-- Agent users are tied to their roster entry by id instead of
+-- by matching username to agents.name: roster names may hold
+-- spaces (usernames can't) and a roster rename must not cut an
+-- agent off from their jobs.  Existing Agent users whose
+-- username matched a roster name are linked here; the rest are
+-- linked from the users page.
+-- ============================================================
+
+ALTER TABLE users ADD COLUMN agent_id INTEGER REFERENCES agents(id);
+
+UPDATE users SET agent_id = (SELECT a.id FROM agents a WHERE UPPER(a.name) = UPPER(users.username) LIMIT 1)
+WHERE role = 'Agent' AND agent_id IS NULL;
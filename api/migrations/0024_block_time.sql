@@ -0,0 +1,11 @@
+-- ============================================================
+-- 0024  Actual block time
+-- block_time : when the sync saw an arrival reach Arrived or a
+--              departure reach Departed — the feed's revised time
+--              at that moment, or the sync time when the estimate
+--              was still in the future.  SLA checks measure from it
+--              instead of the estimate, which can keep moving.
+-- ============================================================
+
+ALTER TABLE flights          ADD COLUMN block_time TEXT;
+ALTER TABLE archived_flights ADD COLUMN block_time TEXT;
@@ -1,6 +1,7 @@
 -- ============================================================
 -- PRM D1 Schema  (Phase 1 — exact replica of Dispatch_DB)
 -- Run once:  wrangler d1 execute prm-dispatch --file=schema.sql
+-- Then:      wrangler d1 migrations apply prm-dispatch   (migrations/*.sql)
 -- ============================================================
 
 -- Main flight table (mirrors Dispatch_DB columns 1-for-1)
@@ -10,35 +10,46 @@
  *
  * Required secrets (wrangler secret put):
  *   AUTH_SECRET        — HMAC signing key
- *   AERODATABOX_KEY    — RapidAPI key for AeroDataBox
+ *   AERODATABOX_KEY    — RapidAPI key for AeroDataBox (FIDS_PROVIDER=aerodatabox)
  *
  * Required wrangler.toml vars:
- *   TIMEZONE           — default "America/Toronto"
+ *   FIDS_PROVIDER      — "aerodatabox" (default) | "fixture" | "http"  (see § 7)
+ *   DEFAULT_STATION    — optional; station used when a request names none
+ *                        (else the first active station)
+ *
+ * Stations (IATA code, timezone, ops-day start, contracted airlines) live in
+ * the D1 `stations` / `station_airlines` tables — see § 5b and § 11d.
  *
  * D1 binding:
  *   DB                 — prm-dispatch database
+ *
+ * Durable Object binding:
+ *   BOARD_HUB          — BoardHub (live WebSocket updates to the boards)
  */
 
+import FIDS_SAMPLE_SNAPSHOT from "../fixtures/fids-sample.json";
+
 // ─────────────────────────────────────────────────────────────
 // § 1  CONSTANTS
 // ─────────────────────────────────────────────────────────────
 
 const DEFAULT_TZ = "America/Toronto";
 
+// Fallback station config — used only until the `stations` table is read
+const DEFAULT_STATION = {
+  code: "YYZ", name: "", tz: DEFAULT_TZ,
+  opsStart: { hour: 3, minute: 0 }, active: true, airlines: [],
+  minConnect: 45, minConnectXZone: 60,
+};
+
 // Zone canonical names (must match GAS constants exactly)
 const ZONE_PIERA      = "Pier A";
 const ZONE_TB         = "TB";
 const ZONE_GATES      = "Gates";
 const ZONE_T1         = "T1";
 const ZONE_UNASSIGNED = "Unassigned";
-
-// Fixed gate lists (mirrors GAS)
-const PIERA_GATES = new Set(["B2A","B2C","B3","B4","B5","B20","B22"]);
-const TB_GATES    = new Set(["A6","A7","A8","A9","A10","A11","A12","A13","A14","A15"]);
-const SWING_MIN   = 15;
-const SWING_MAX   = 19;
-const GATES_MIN   = 23;
-const GATES_MAX   = 41;
+// Pseudo-zone for rules/overrides: resolved per flight by the "swing" rules
+const ZONE_SWINGDOOR  = "SwingDoor";
 
 // Region codes (mirrors GAS)
 const REGION_DOM  = "DOM";
@@ -48,6 +59,30 @@ const REGION_INTL = "INTL";
 // Time-change threshold (minutes)
 const TIME_DELTA_THRESHOLD = 20;
 
+// Ambulift movements Dispatch can log on one flight (billed per movement)
+const AMBULIFT_MAX = 20;
+
+// Clears every board's ACK (SQL SET fragment)
+const ACK_RESET_SQL = "dispatch_ack=0,piera_ack=0,tb_ack=0,t1_ack=0,unassigned_ack=0,gates_ack=0";
+
+// Flight status (normalized across FIDS providers — see normalizeFlightStatus)
+const STATUS_SCHEDULED = "Scheduled";
+const STATUS_DELAYED   = "Delayed";
+const STATUS_BOARDING  = "Boarding";
+const STATUS_DEPARTED  = "Departed";
+const STATUS_ARRIVED   = "Arrived";
+const STATUS_CANCELLED = "Cancelled";
+const STATUS_DIVERTED  = "Diverted";
+
+// Flight row origin (flights.source)
+const SOURCE_FIDS   = "fids";
+const SOURCE_MANUAL = "manual";   // created on Dispatch — see handleManualFlightCreate
+
+// Statuses that alert (reset ACKs) when a flight enters them or leaves
+// them; routine progress (Scheduled → Boarding → Departed / Arrived) is
+// stored and audited but does not re-alert every board.
+const STATUS_ALERT = new Set([STATUS_DELAYED, STATUS_CANCELLED, STATUS_DIVERTED]);
+
 // Board → ACK column name
 const BOARD_ACK_COL = {
   DISPATCH:   "dispatch_ack",
@@ -67,17 +102,12 @@ const ZONE_TO_BOARD = {
   [ZONE_UNASSIGNED]: "UNASSIGNED",
 };
 
-// AeroDataBox — airlines we care about
-const WATCH_AIRLINES = new Set([
-  "AF","BG","2T","BW","CA","MU","HU","AU","DL","LH",
-  "EY","BR","F8","AZ","KL","PR","PD","S4","SV","LX",
-  "TK","TS","VS","WS",
-]);
 
 const ROLE_ACCESS = {
-  Dispatch: { dispatch: true,  lead: false, mgmt: false },
-  Lead:     { dispatch: false, lead: true,  mgmt: false },
-  Mgmt:     { dispatch: true,  lead: true,  mgmt: true  },
+  Dispatch: { dispatch: true,  lead: false, mgmt: false, agent: false },
+  Lead:     { dispatch: false, lead: true,  mgmt: false, agent: false },
+  Mgmt:     { dispatch: true,  lead: true,  mgmt: true,  agent: false },
+  Agent:    { dispatch: false, lead: false, mgmt: false, agent: true  },
 };
 
 // In-memory write-through patch (best-effort, same-isolate only)
@@ -91,23 +121,129 @@ let _flightCacheAt = 0;         // timestamp when cache was last populated
 let _flightCacheETag = "";      // hash for conditional polling (ETag)
 const FLIGHT_CACHE_MAX_AGE = 90_000; // 90s — stale only if cron misses
 
-// ── Static-table cache (zone_overrides + us_airport_codes) ──
+// ── Static-table cache (zone_overrides + zone_rules + us_airport_codes) ──
 // These rarely change — cache with 1-hour TTL to avoid querying every cron tick.
-let _zoneOverrides = null;      // Map<gate,zone> | null
+let _zoneOverrides = null;      // Map<station, Map<gate,zone>> | null
 let _zoneOverridesAt = 0;
+let _zoneRules = null;          // Map<station, compiled rule[]> (active sets) | null
+let _zoneRulesAt = 0;
 let _usAirportCodes = null;     // Set<code> | null
 let _usAirportCodesAt = 0;
 const STATIC_CACHE_TTL = 3_600_000; // 1 hour
 
-async function getCachedZoneOverrides(env) {
-  if (_zoneOverrides && (Date.now() - _zoneOverridesAt) < STATIC_CACHE_TTL)
-    return _zoneOverrides;
-  const { results } = await env.DB.prepare(
-    "SELECT gate, zone FROM zone_overrides"
-  ).all();
-  _zoneOverrides = new Map(results.map(r => [r.gate, r.zone]));
-  _zoneOverridesAt = Date.now();
-  return _zoneOverrides;
+// ── Cross-isolate invalidation (config_versions) ──
+// An edit only clears the caches of the isolate that handled it, so it also
+// bumps its config_versions row.  Every isolate compares those versions with
+// the ones it last saw — each cron tick, and at most every CONFIG_CHECK_MS
+// on the request path — and drops the caches that changed.
+const CONFIG_ZONE_OVERRIDES = "zone_overrides";
+const CONFIG_ZONE_RULES     = "zone_rules";
+const CONFIG_STATIONS       = "stations";
+const CONFIG_CHECK_MS = 30_000;
+const _configVersions = new Map(); // name → version last seen
+let _configCheckedAt = 0;
+
+const CONFIG_INVALIDATORS = {
+  [CONFIG_ZONE_OVERRIDES]: () => invalidateZoneOverrides(),
+  [CONFIG_ZONE_RULES]:     () => invalidateZoneRules(),
+  [CONFIG_STATIONS]:       () => invalidateStations(),
+};
+
+/** Drop this isolate's caches whose config_versions row moved.  force: skip the throttle. */
+async function checkConfigVersions(env, force = false) {
+  if (!force && (Date.now() - _configCheckedAt) < CONFIG_CHECK_MS) return;
+  _configCheckedAt = Date.now();
+  const { results } = await env.DB.prepare("SELECT name, version FROM config_versions").all();
+  for (const r of results) {
+    if (_configVersions.get(r.name) !== r.version) CONFIG_INVALIDATORS[r.name]?.();
+    _configVersions.set(r.name, r.version);
+  }
+}
+
+/** Statement bumping a config version; batch it with the edit it announces. */
+function bumpConfigVersion(env, name) {
+  return env.DB.prepare(`
+    INSERT INTO config_versions (name, version, updated_at) VALUES (?, 1, datetime('now'))
+    ON CONFLICT(name) DO UPDATE SET version = version + 1, updated_at = excluded.updated_at
+  `).bind(name);
+}
+
+async function getCachedZoneOverrides(env, stationCode) {
+  await checkConfigVersions(env);
+  if (!_zoneOverrides || (Date.now() - _zoneOverridesAt) >= STATIC_CACHE_TTL) {
+    const { results } = await env.DB.prepare(
+      "SELECT station, gate, zone FROM zone_overrides"
+    ).all();
+    _zoneOverrides = new Map();
+    for (const r of results) {
+      if (!_zoneOverrides.has(r.station)) _zoneOverrides.set(r.station, new Map());
+      _zoneOverrides.get(r.station).set(r.gate, r.zone);
+    }
+    _zoneOverridesAt = Date.now();
+  }
+  return _zoneOverrides.get(stationCode) || new Map();
+}
+
+/** Active zone rules for a station, compiled and in order (see § 4). */
+async function getCachedZoneRules(env, stationCode) {
+  await checkConfigVersions(env);
+  if (!_zoneRules || (Date.now() - _zoneRulesAt) >= STATIC_CACHE_TTL) {
+    const { results } = await env.DB.prepare(`
+      SELECT s.station, r.* FROM zone_rules r
+      JOIN zone_rule_sets s ON s.id = r.rule_set_id
+      WHERE s.status = 'active'
+      ORDER BY s.station, r.position
+    `).all();
+    _zoneRules = new Map();
+    for (const r of results) {
+      if (!_zoneRules.has(r.station)) _zoneRules.set(r.station, []);
+      _zoneRules.get(r.station).push(compileZoneRule(zoneRuleFromRow(r)));
+    }
+    _zoneRulesAt = Date.now();
+  }
+  return _zoneRules.get(stationCode) || [];
+}
+
+// ── Station config cache (stations + station_airlines, same TTL) ──
+let _stations = null;           // Map<code, station> | null
+let _stationsAt = 0;
+
+function parseOpsStart(s) {
+  const m = String(s || "").match(/^(\d{1,2}):(\d{2})$/);
+  return m ? { hour: Number(m[1]), minute: Number(m[2]) } : { ...DEFAULT_STATION.opsStart };
+}
+
+/** Map<code, {code,name,tz,opsStart:{hour,minute},active,airlines:[{id,airline,name,from,to}]}> */
+async function getStations(env) {
+  await checkConfigVersions(env);
+  if (_stations && (Date.now() - _stationsAt) < STATIC_CACHE_TTL) return _stations;
+  const [st, al] = await env.DB.batch([
+    env.DB.prepare("SELECT * FROM stations ORDER BY code"),
+    env.DB.prepare("SELECT * FROM station_airlines ORDER BY station, airline"),
+  ]);
+  _stations = new Map(st.results.map(r => [r.code, {
+    code:      r.code,
+    name:      r.name || "",
+    tz:        r.timezone || DEFAULT_TZ,
+    opsStart:  parseOpsStart(r.ops_day_start),
+    active:    isTrue(r.active),
+    airlines:  [],
+    minConnect:      r.min_connect_min       ?? DEFAULT_STATION.minConnect,
+    minConnectXZone: r.min_connect_xzone_min ?? DEFAULT_STATION.minConnectXZone,
+  }]));
+  for (const a of al.results) {
+    _stations.get(a.station)?.airlines.push({
+      id: a.id, airline: a.airline, name: a.name || "",
+      from: a.effective_from || "", to: a.effective_to || "",
+    });
+  }
+  _stationsAt = Date.now();
+  return _stations;
+}
+
+function invalidateStations() {
+  _stations   = null;
+  _stationsAt = 0;
 }
 
 async function getCachedUSCodes(env) {
@@ -134,9 +270,9 @@ const json = (obj, init = {}) => {
 const withCors = (res, origin = "*") => {
   const h = new Headers(res.headers);
   h.set("access-control-allow-origin", origin);
-  h.set("access-control-allow-methods", "GET,POST,PATCH,OPTIONS");
-  h.set("access-control-allow-headers", "content-type,authorization,if-none-match");
-  h.set("access-control-expose-headers", "etag");
+  h.set("access-control-allow-methods", "GET,POST,PUT,PATCH,DELETE,OPTIONS");
+  h.set("access-control-allow-headers", "content-type,authorization,if-none-match,if-match");
+  h.set("access-control-expose-headers", "etag,retry-after,content-disposition");
   h.set("access-control-max-age", "86400");
   return new Response(res.body, { status: res.status, statusText: res.statusText, headers: h });
 };
@@ -187,7 +323,7 @@ function getTzParts(date, tz) {
     year:   Number(parts.year),
     month:  Number(parts.month),
     day:    Number(parts.day),
-    hour:   Number(parts.hour),
+    hour:   Number(parts.hour) % 24,   // hour12:false renders midnight as "24"
     minute: Number(parts.minute),
     second: Number(parts.second),
   };
@@ -213,37 +349,53 @@ function addDaysLocal(ymd, deltaDays, tz) {
   return { year: p.year, month: p.month, day: p.day };
 }
 
+/** True when local hour:minute falls before the station's ops-day start. */
+function isBeforeOpsStart(hour, minute, station) {
+  const s = station.opsStart;
+  return hour * 60 + minute < s.hour * 60 + s.minute;
+}
+
+/** Ops date (local {year,month,day}) that `now` belongs to at `station`. */
+function getOpsDate(now, station) {
+  const p = getTzParts(now, station.tz);
+  const d = { year: p.year, month: p.month, day: p.day };
+  return isBeforeOpsStart(p.hour, p.minute, station) ? addDaysLocal(d, -1, station.tz) : d;
+}
+
+/** UTC bounds of one ops day: start → next start − 1 ms. */
+function getOpsDayBounds(opDate, station) {
+  const tz    = station.tz;
+  const start = zonedTimeToUtc({ ...opDate, ...station.opsStart, second: 0 }, tz);
+  const next  = zonedTimeToUtc({ ...addDaysLocal(opDate, 1, tz), ...station.opsStart, second: 0 }, tz);
+  return { start, end: new Date(next.getTime() - 1) };
+}
+
 /**
- * Compute operational window in Toronto time.
- * Ops day: 03:00 → next-day 02:59:59.999
+ * Compute operational window in station-local time.
+ * Ops day: ops_day_start (03:00 at YYZ) → next-day start − 1 ms
  * Lookback cap: show at most 1 hour of past flights (default behaviour).
  *
  * Optional overrides:
- *   fromTime  "HH:MM" Toronto local — custom start (no lookback cap)
- *   toTime    "HH:MM" Toronto local — custom end
+ *   fromTime  "HH:MM" station local — custom start (no lookback cap)
+ *   toTime    "HH:MM" station local — custom end
  *   opsDay    "current" | "next"  — shift to next ops day
  */
-function computeOpsWindow(now = new Date(), { fromTime, toTime, opsDay } = {}) {
-  const tz = DEFAULT_TZ;
-  const p  = getTzParts(now, tz);
+function computeOpsWindow(now = new Date(), { fromTime, toTime, opsDay } = {}, station = DEFAULT_STATION) {
+  const tz = station.tz;
 
-  let opDate = { year: p.year, month: p.month, day: p.day };
-  if (p.hour < 3) opDate = addDaysLocal(opDate, -1, tz);
+  let opDate = getOpsDate(now, station);
 
   // Shift to next ops day if requested
   if (opsDay === "next") opDate = addDaysLocal(opDate, 1, tz);
 
-  const opsStart = zonedTimeToUtc({ ...opDate, hour: 3, minute: 0, second: 0 }, tz);
-  const endDate  = addDaysLocal(opDate, 1, tz);
-  const opsEnd   = zonedTimeToUtc({ ...endDate, hour: 2, minute: 59, second: 59 }, tz);
-  opsEnd.setUTCMilliseconds(999);
+  const { start: opsStart, end: opsEnd } = getOpsDayBounds(opDate, station);
 
   let start, end;
 
   if (fromTime) {
     const [fh, fm] = fromTime.split(":").map(Number);
-    // Times < 03:00 belong to the next calendar day within this ops day
-    const fromDate = fh < 3 ? addDaysLocal(opDate, 1, tz) : opDate;
+    // Times before the ops-day start belong to the next calendar day within this ops day
+    const fromDate = isBeforeOpsStart(fh, fm, station) ? addDaysLocal(opDate, 1, tz) : opDate;
     start = zonedTimeToUtc({ ...fromDate, hour: fh, minute: fm, second: 0 }, tz);
   } else if (opsDay === "next") {
     start = opsStart; // show full next ops day (no lookback cap)
@@ -256,7 +408,7 @@ function computeOpsWindow(now = new Date(), { fromTime, toTime, opsDay } = {}) {
 
   if (toTime) {
     const [th, tm] = toTime.split(":").map(Number);
-    const toDate = th < 3 ? addDaysLocal(opDate, 1, tz) : opDate;
+    const toDate = isBeforeOpsStart(th, tm, station) ? addDaysLocal(opDate, 1, tz) : opDate;
     end = zonedTimeToUtc({ ...toDate, hour: th, minute: tm, second: 59 }, tz);
     end.setUTCMilliseconds(999);
   } else {
@@ -273,34 +425,26 @@ function computeOpsWindow(now = new Date(), { fromTime, toTime, opsDay } = {}) {
 
 /**
  * Full ops window with NO lookback cap — used for FIDS sync and archive.
- * Toronto 03:00 → next day 02:59:59.
- * After 12:00 noon (or before 03:00) also includes NEXT ops-day so the
- * "next day" toggle can show pre-loaded flights.
- */
-function computeFullOpsWindow(now = new Date()) {
-  const tz = DEFAULT_TZ;
-  const p  = getTzParts(now, tz);
-
-  let opDate = { year: p.year, month: p.month, day: p.day };
-  if (p.hour < 3) opDate = addDaysLocal(opDate, -1, tz);
-
-  const start  = zonedTimeToUtc({ ...opDate, hour: 3, minute: 0, second: 0 }, tz);
-  const d1     = addDaysLocal(opDate, 1, tz);
-  let   end    = zonedTimeToUtc({ ...d1, hour: 2, minute: 59, second: 59 }, tz);
-  end.setUTCMilliseconds(999);
-
-  // After 12:00 noon or before 03:00: also preload next ops-day
-  if (p.hour >= 12 || p.hour < 3) {
-    const d2 = addDaysLocal(opDate, 2, tz);
-    end       = zonedTimeToUtc({ ...d2, hour: 2, minute: 59, second: 59 }, tz);
-    end.setUTCMilliseconds(999);
-  }
+ * Station ops-day start → next day start − 1 ms.
+ * After 12:00 noon (or before the ops-day start) also includes NEXT
+ * ops-day so the "next day" toggle can show pre-loaded flights.
+ */
+function computeFullOpsWindow(now = new Date(), station = DEFAULT_STATION) {
+  const p      = getTzParts(now, station.tz);
+  const opDate = getOpsDate(now, station);
+
+  const { start } = getOpsDayBounds(opDate, station);
+  let   { end }   = getOpsDayBounds(opDate, station);
+
+  // After 12:00 noon or before the ops-day start: also preload next ops-day
+  if (p.hour >= 12 || isBeforeOpsStart(p.hour, p.minute, station))
+    end = getOpsDayBounds(addDaysLocal(opDate, 1, station.tz), station).end;
 
   return { start, end };
 }
 
 // ─────────────────────────────────────────────────────────────
-// § 4  ZONE LOGIC  (exact replica of GAS getZoneForFlight_)
+// § 4  ZONE LOGIC  (rules in D1 — zone_rules / zone_overrides)
 // ─────────────────────────────────────────────────────────────
 
 function normalizeGate(gate) {
@@ -317,13 +461,6 @@ function getGateNumber(gate) {
   return m ? parseInt(m[1], 10) : null;
 }
 
-function resolveSwingDoor(typeLabel, region) {
-  if (region === REGION_US)   return ZONE_TB;
-  if (region === REGION_INTL) return typeLabel === "ARR" ? ZONE_TB : ZONE_PIERA;
-  if (region === REGION_DOM)  return ZONE_PIERA;
-  return ZONE_TB;
-}
-
 function getRegionForPort(portCode, usMap /* Set<string> */) {
   if (!portCode) return "";
   const code = String(portCode).trim().toUpperCase();
@@ -332,6 +469,68 @@ function getRegionForPort(portCode, usMap /* Set<string> */) {
   return REGION_INTL;
 }
 
+// ── Zone rules ────────────────────────────────────────────────
+// Ordered records from zone_rules (active set per station); first match
+// wins.  Each condition is optional and a rule matches when all of its
+// conditions do.  scope "gate" maps a flight to a zone — "SwingDoor"
+// defers to the scope "swing" rules, which pick a zone by region and
+// direction (also used for SwingDoor overrides).
+//
+// Rule (API / JSON shape):
+//   { scope, gates:[...], gateMin, gateMax, terminals:[...], regions:[...],
+//     direction:"ARR"|"DEP"|"", zone, notes }
+
+const ZONE_RULE_SCOPES  = ["gate", "swing"];
+const ZONE_RULE_REGIONS = [REGION_DOM, REGION_US, REGION_INTL];
+
+function splitList(v) {
+  if (Array.isArray(v)) return v.map(x => String(x).trim().toUpperCase()).filter(Boolean);
+  return String(v || "").split(",").map(x => x.trim().toUpperCase()).filter(Boolean);
+}
+
+function zoneRuleFromRow(r) {
+  return {
+    scope:     r.scope || "gate",
+    gates:     splitList(r.gates),
+    gateMin:   r.gate_min ?? null,
+    gateMax:   r.gate_max ?? null,
+    terminals: splitList(r.terminals),
+    regions:   splitList(r.regions),
+    direction: r.direction || "",
+    zone:      r.zone,
+    notes:     r.notes || "",
+  };
+}
+
+function compileZoneRule(rule) {
+  return {
+    scope:     rule.scope,
+    gates:     rule.gates.length     ? new Set(rule.gates)     : null,
+    gateMin:   rule.gateMin,
+    gateMax:   rule.gateMax,
+    terminals: rule.terminals.length ? new Set(rule.terminals) : null,
+    regions:   rule.regions.length   ? new Set(rule.regions)   : null,
+    direction: rule.direction,
+    zone:      rule.zone,
+  };
+}
+
+/** f = { type, gate (normalized), num, terminal, region } */
+function zoneRuleMatches(rule, f) {
+  if (rule.gates && !rule.gates.has(f.gate))                          return false;
+  if (rule.gateMin != null && (f.num === null || f.num < rule.gateMin)) return false;
+  if (rule.gateMax != null && (f.num === null || f.num > rule.gateMax)) return false;
+  if (rule.terminals && !rule.terminals.has(f.terminal))              return false;
+  if (rule.regions && !rule.regions.has(f.region))                    return false;
+  if (rule.direction && rule.direction !== f.type)                    return false;
+  return true;
+}
+
+function resolveSwingDoor(f, rules) {
+  const hit = rules.find(r => r.scope === "swing" && zoneRuleMatches(r, f));
+  return hit ? hit.zone : ZONE_UNASSIGNED;
+}
+
 /**
  * Determine zone for a flight.
  * @param {string} typeLabel  "ARR" | "DEP"
@@ -339,34 +538,30 @@ function getRegionForPort(portCode, usMap /* Set<string> */) {
  * @param {string} terminal   raw terminal string from FIDS
  * @param {string} region     "DOM" | "US" | "INTL" | ""
  * @param {Map}    overrides  gate(norm) → zone
+ * @param {Array}  rules      compiled zone rules (getCachedZoneRules)
  */
-function getZoneForFlight(typeLabel, gate, terminal, region, overrides) {
-  const tStr = terminal != null ? String(terminal).trim().toUpperCase() : "";
-  const g    = normalizeGate(gate);
+function getZoneForFlight(typeLabel, gate, terminal, region, overrides, rules = []) {
+  const g = normalizeGate(gate);
+  const f = {
+    type:     typeLabel,
+    gate:     g,
+    num:      getGateNumber(g),
+    terminal: terminal != null ? String(terminal).trim().toUpperCase() : "",
+    region:   region || "",
+  };
 
-  // Zone overrides win (check BEFORE gate-number rules)
+  // Zone overrides win (check BEFORE the rules)
   if (overrides && g && overrides.has(g)) {
     const raw   = overrides.get(g).trim();
     const token = raw.toUpperCase().replace(/\s+/g, "");
-    if (token === "SWINGDOOR")  return resolveSwingDoor(typeLabel, region);
+    if (token === "SWINGDOOR")  return resolveSwingDoor(f, rules);
     if (token === "UNASSIGNED") return ZONE_UNASSIGNED;
     return raw;
   }
 
-  // No gate → terminal fallback
-  if (!g) {
-    if (tStr === "1" || tStr === "T1") return ZONE_T1;
-    return ZONE_UNASSIGNED;
-  }
-
-  const num = getGateNumber(g);
-
-  if (PIERA_GATES.has(g))                                    return ZONE_PIERA;
-  if (TB_GATES.has(g))                                       return ZONE_TB;
-  if (num !== null && num >= GATES_MIN && num <= GATES_MAX)  return ZONE_GATES;
-  if (num !== null && num >= SWING_MIN && num <= SWING_MAX)  return resolveSwingDoor(typeLabel, region);
-  if (tStr === "1" || tStr === "T1")                         return ZONE_T1;
-  return ZONE_UNASSIGNED;
+  const hit = rules.find(r => r.scope === "gate" && zoneRuleMatches(r, f));
+  if (!hit) return ZONE_UNASSIGNED;
+  return hit.zone === ZONE_SWINGDOOR ? resolveSwingDoor(f, rules) : hit.zone;
 }
 
 // ─────────────────────────────────────────────────────────────
@@ -407,6 +602,61 @@ function isTrue(v) {
   return s === "true" || s === "1" || s === "yes";
 }
 
+// ─────────────────────────────────────────────────────────────
+// § 5b  STATIONS
+// ─────────────────────────────────────────────────────────────
+
+/** Error carrying an HTTP status for the router's catch-all. */
+function httpError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+function fmtYmd(ymd) {
+  return `${ymd.year}-${String(ymd.month).padStart(2,"0")}-${String(ymd.day).padStart(2,"0")}`;
+}
+
+/** Airline designators contracted at `station` on ops date "YYYY-MM-DD". */
+function getStationAirlines(station, opsDateStr) {
+  return new Set(station.airlines
+    .filter(a => (!a.from || a.from <= opsDateStr) && (!a.to || a.to >= opsDateStr))
+    .map(a => a.airline));
+}
+
+function getDefaultStationCode(env, stations) {
+  const want = String(env.DEFAULT_STATION || "").trim().toUpperCase();
+  if (want && stations.get(want)?.active) return want;
+  for (const st of stations.values()) if (st.active) return st.code;
+  return DEFAULT_STATION.code;
+}
+
+/** Throws unless `user` may work at station `code` ('' home station = all). */
+function assertStationAccess(user, code) {
+  if (user?.station && code && user.station !== code)
+    throw httpError(403, `No access to station ${code}`);
+}
+
+/**
+ * Station for a request: explicit `code`, else the user's home station,
+ * else the deployment default.  Checks access.
+ */
+async function resolveStation(env, code, user) {
+  const stations = await getStations(env);
+  const want = String(code || user?.station || "").trim().toUpperCase()
+    || getDefaultStationCode(env, stations);
+  const station = stations.get(want);
+  if (!station || !station.active) throw httpError(400, `Unknown station: ${want}`);
+  assertStationAccess(user, station.code);
+  return station;
+}
+
+/** Station code from a flight key ("…|HH:mm|YYZ"). */
+function stationFromKey(key) {
+  const parts = String(key || "").split("|");
+  return parts.length >= 5 ? parts[4] : "";
+}
+
 // ─────────────────────────────────────────────────────────────
 // § 6  AUTH  (HMAC tokens — identical to api/src/index.js)
 // ─────────────────────────────────────────────────────────────
@@ -457,9 +707,212 @@ async function verifyToken(env, token) {
   const access = ROLE_ACCESS[payload.role] || null;
   if (!access) return { ok: false, error: `Invalid role: ${payload.role}` };
 
+  // Tokens issued before sessions existed carry no sid — force a fresh login
+  if (!payload.sid) return { ok: false, error: "Session expired. Please login again." };
+  if (!sessionMatches(await getSession(env, payload.sid), payload))
+    return { ok: false, error: "Session expired or revoked. Please login again." };
+
   return { ok: true, user: payload, access };
 }
 
+// ── Sessions (server-side revocation) ───────────────────────
+
+const SESSION_TTL_MS       = 6 * 60 * 60 * 1000;
+const SESSION_CACHE_TTL_MS = 30_000;   // revocation reaches other isolates within 30s
+const _sessions = new Map();           // sid → { row, expAt }
+const SESSION_SQL = `
+  SELECT s.id, s.username, s.revoked_at, u.role AS user_role, u.station AS user_station, u.disabled
+  FROM sessions s LEFT JOIN users u ON u.username = s.username`;
+
+/**
+ * A session still backs a token (or live socket) when it is not revoked,
+ * the account is enabled and its role/station are the ones signed in.
+ */
+function sessionMatches(session, payload) {
+  return !!session && !session.revoked_at && !isTrue(session.disabled)
+    && session.user_role === payload.role
+    && (session.user_station || "") === (payload.station || "");
+}
+
+async function getSession(env, sid) {
+  const now = Date.now();
+  const hit = _sessions.get(sid);
+  if (hit && hit.expAt > now) return hit.row;
+
+  const row = await env.DB.prepare(`${SESSION_SQL} WHERE s.id = ? LIMIT 1`).bind(sid).first();
+
+  if (_sessions.size > 1000)
+    for (const [k, v] of _sessions) if (v.expAt <= now) _sessions.delete(k);
+  _sessions.set(sid, { row: row || null, expAt: now + SESSION_CACHE_TTL_MS });
+  return row || null;
+}
+
+async function createSession(env, req, user) {
+  const now = Date.now();
+  const sid = crypto.randomUUID();
+  const expAt = now + SESSION_TTL_MS;
+  await env.DB.prepare(`
+    INSERT INTO sessions (id, username, role, ip, user_agent, created_at, expires_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+  `).bind(
+    sid, user.username, user.role,
+    req.headers.get("cf-connecting-ip") || "",
+    String(req.headers.get("user-agent") || "").slice(0, 200),
+    new Date(now).toISOString(), new Date(expAt).toISOString()
+  ).run();
+  return { sid, expAt };
+}
+
+/**
+ * Revoke active sessions by id or by username (optionally sparing one),
+ * drop them from this isolate's cache and close their live sockets.
+ * @returns {Promise<string[]>} revoked session ids
+ */
+async function revokeSessions(env, { sid = "", username = "", exceptSid = "", by = "" }) {
+  if (!sid && !username) return [];
+  const nowIso = new Date().toISOString();
+  const { results } = await env.DB.prepare(`
+    UPDATE sessions SET revoked_at = ?, revoked_by = ?
+    WHERE revoked_at IS NULL AND expires_at > ?
+      AND ${sid ? "id = ?" : "username = ?"} AND id != ?
+    RETURNING id
+  `).bind(nowIso, by, nowIso, sid || username, exceptSid).all();
+
+  const ids = results.map(r => r.id);
+  for (const id of ids) _sessions.delete(id);
+  if (ids.length) await closeLiveSessions(env, ids);
+  return ids;
+}
+
+// ── Login throttling ────────────────────────────────────────
+
+const LOGIN_FREE_ATTEMPTS  = { user: 5, ip: 30 };  // failures before the first lockout (shared terminals share an IP)
+const LOGIN_LOCK_BASE_MS   = 30_000;               // doubles with every further failure
+const LOGIN_LOCK_MAX_MS    = 60 * 60_000;
+const LOGIN_FAILURE_TTL_MS = 24 * 60 * 60_000;     // counters start over after a quiet day
+const LOGIN_IP_SUCCESS_CREDIT = 5;                 // IP failures a good login forgives (typos on a shared terminal)
+
+/**
+ * Atomic failure upsert for one scope.  All arithmetic happens in SQL on the
+ * stored row, so parallel guesses each count; a scope that is still locked
+ * is left as it is (RETURNING then shows an older last_failed_at).
+ */
+function loginFailureStmt(env, scope) {
+  const free   = LOGIN_FREE_ATTEMPTS[scope];
+  const locked = "(locked_until IS NOT NULL AND locked_until > excluded.last_failed_at)";
+  const next   = `(CASE WHEN last_failed_at IS NULL
+      OR (julianday(excluded.last_failed_at) - julianday(last_failed_at)) * 86400000 > ${LOGIN_FAILURE_TTL_MS}
+    THEN 1 ELSE failures + 1 END)`;
+  return env.DB.prepare(`
+    INSERT INTO login_attempts (scope, ident, failures, last_failed_at, locked_until)
+    VALUES (?, ?, 1, ?, ?)
+    ON CONFLICT(scope, ident) DO UPDATE SET
+      failures = CASE WHEN ${locked} THEN failures ELSE ${next} END,
+      locked_until = CASE WHEN ${locked} THEN locked_until
+        WHEN ${next} >= ${free} THEN strftime('%Y-%m-%dT%H:%M:%fZ', excluded.last_failed_at,
+          '+' || (MIN(${LOGIN_LOCK_BASE_MS} * (1 << MIN(${next} - ${free}, 20)), ${LOGIN_LOCK_MAX_MS}) / 1000.0) || ' seconds')
+        ELSE NULL END,
+      last_failed_at = CASE WHEN ${locked} THEN last_failed_at ELSE excluded.last_failed_at END
+    RETURNING failures, last_failed_at, locked_until
+  `);
+}
+
+/**
+ * Count a login attempt as a failure for the username and the client IP
+ * before the PIN is checked (a good PIN clears it again), so a burst of
+ * parallel guesses can't all get in under the counter.  An attempt refused
+ * by one scope's lock still counts for the other.
+ * → ms the caller must still wait (0 when the attempt may proceed).
+ */
+async function reserveLoginAttempt(env, username, ip, nowMs) {
+  const nowIso = new Date(nowMs).toISOString();
+  const keys = [["user", username.toLowerCase()]];
+  if (ip) keys.push(["ip", ip]);
+  const res = await env.DB.batch(keys.map(([scope, ident]) => {
+    const firstLock = LOGIN_FREE_ATTEMPTS[scope] <= 1 ? new Date(nowMs + LOGIN_LOCK_BASE_MS).toISOString() : null;
+    return loginFailureStmt(env, scope).bind(scope, ident, nowIso, firstLock);
+  }));
+  let ms = 0;
+  for (const r of res) {
+    const row = r.results[0];
+    if (row && row.last_failed_at !== nowIso)
+      ms = Math.max(ms, (Date.parse(row.locked_until || "") || 0) - nowMs);
+  }
+  return ms;
+}
+
+/**
+ * After a good PIN: drop the username's counter, and give the IP back the
+ * reserved attempt plus LOGIN_IP_SUCCESS_CREDIT so a shared terminal isn't
+ * locked out by everyone's typos.
+ */
+async function clearLoginFailures(env, username, ip = "") {
+  const stmts = [env.DB.prepare(
+    "DELETE FROM login_attempts WHERE scope = 'user' AND ident = ?"
+  ).bind(username.toLowerCase())];
+  if (ip) stmts.push(env.DB.prepare(`
+    UPDATE login_attempts SET failures = MAX(failures - ?, 0), locked_until = NULL
+    WHERE scope = 'ip' AND ident = ?
+  `).bind(1 + LOGIN_IP_SUCCESS_CREDIT, ip));
+  await env.DB.batch(stmts);
+}
+
+/** Nightly: drop long-expired sessions and stale failure counters. */
+async function purgeAuthRecords(env) {
+  const now = Date.now();
+  await env.DB.batch([
+    env.DB.prepare("DELETE FROM sessions WHERE expires_at < ?")
+      .bind(new Date(now - 30 * 24 * 60 * 60_000).toISOString()),
+    env.DB.prepare("DELETE FROM login_attempts WHERE last_failed_at < ? AND (locked_until IS NULL OR locked_until < ?)")
+      .bind(new Date(now - LOGIN_FAILURE_TTL_MS).toISOString(), new Date(now).toISOString()),
+  ]);
+}
+
+// ── PIN hashing (PBKDF2-SHA256, WebCrypto) ──────────────────
+
+const PIN_HASH_PREFIX     = "pbkdf2";
+const PIN_HASH_ITERATIONS = 100_000;   // Workers cap PBKDF2 at 100k iterations
+const PIN_RE              = /^\d{4,6}$/;
+
+function isHashedPin(stored) {
+  return String(stored || "").startsWith(PIN_HASH_PREFIX + "$");
+}
+
+async function pbkdf2(pin, saltBuf, iterations) {
+  const key = await crypto.subtle.importKey(
+    "raw", new TextEncoder().encode(pin), "PBKDF2", false, ["deriveBits"]
+  );
+  return crypto.subtle.deriveBits(
+    { name: "PBKDF2", hash: "SHA-256", salt: saltBuf, iterations },
+    key, 256
+  );
+}
+
+async function hashPin(pin) {
+  const salt = crypto.getRandomValues(new Uint8Array(16));
+  const bits = await pbkdf2(pin, salt, PIN_HASH_ITERATIONS);
+  return `${PIN_HASH_PREFIX}$${PIN_HASH_ITERATIONS}$${base64url.enc(salt)}$${base64url.enc(bits)}`;
+}
+
+/** Constant-time check of `pin` against a stored hash (or legacy plaintext). */
+async function verifyPin(pin, stored) {
+  stored = String(stored || "");
+  if (!isHashedPin(stored)) return timingSafeEqual(new TextEncoder().encode(pin), new TextEncoder().encode(stored));
+
+  const [, iterStr, saltB64, hashB64] = stored.split("$");
+  const iterations = Number(iterStr);
+  if (!iterations || !saltB64 || !hashB64) return false;
+  const bits = await pbkdf2(pin, base64url.decToBuf(saltB64), iterations);
+  return timingSafeEqual(new Uint8Array(bits), new Uint8Array(base64url.decToBuf(hashB64)));
+}
+
+function timingSafeEqual(a, b) {
+  if (a.length !== b.length) return false;
+  let diff = 0;
+  for (let i = 0; i < a.length; i++) diff |= a[i] ^ b[i];
+  return diff === 0;
+}
+
 function getBearer(req) {
   const h = req.headers.get("authorization") || "";
   const m = h.match(/^\s*Bearer\s+(.+)\s*$/i);
@@ -481,6 +934,10 @@ async function requireAuth(req, env, app) {
 // ─────────────────────────────────────────────────────────────
 // § 7  FIDS FETCHER  (mirrors GAS fetchFlairYYZ)
 // ─────────────────────────────────────────────────────────────
+//
+// Providers fetch arrivals + departures for the ops windows and return
+// them in one record shape; FIDS_PROVIDER picks the provider.  The sync
+// (§ 8) never sees provider-specific payloads.
 
 function normalizeFlightNoKey(n) {
   return (n || "").toString().replace(/\s+/g, "").trim().toUpperCase();
@@ -492,6 +949,40 @@ function formatFlightNo(n) {
   return s.substring(0, 2) + " " + s.substring(2);
 }
 
+/**
+ * Provider status string → one of the STATUS_* values, or "" when the
+ * feed says nothing useful (the stored status is then kept).
+ * Covers AeroDataBox (Expected, EnRoute, CheckIn, Boarding, GateClosed,
+ * Departed, Delayed, Approaching, Arrived, Canceled, CanceledUncertain,
+ * Diverted) and the usual free-text FIDS variants.
+ */
+function normalizeFlightStatus(raw) {
+  const s = String(raw ?? "").trim().toUpperCase().replace(/[\s_-]+/g, "");
+  if (!s || s === "UNKNOWN") return "";
+  if (s.startsWith("CANCEL")) return STATUS_CANCELLED;
+  if (s.startsWith("DIVERT")) return STATUS_DIVERTED;
+  if (s === "DELAYED" || s === "LATE") return STATUS_DELAYED;
+  if (s === "BOARDING" || s === "GATECLOSED" || s === "FINALCALL" || s === "GATEOPEN") return STATUS_BOARDING;
+  if (s === "DEPARTED" || s === "ENROUTE" || s === "AIRBORNE" || s === "APPROACHING") return STATUS_DEPARTED;
+  if (s === "ARRIVED" || s === "LANDED") return STATUS_ARRIVED;
+  if (s === "EXPECTED" || s === "SCHEDULED" || s === "CHECKIN" || s === "ONTIME") return STATUS_SCHEDULED;
+  return "";
+}
+
+/** True once an arrival has arrived or a departure departed (an arriving flight "Departed" its origin). */
+function isFinishedFlight(r) {
+  return r.status === (r.type === "ARR" ? STATUS_ARRIVED : STATUS_DEPARTED);
+}
+
+/**
+ * Block time for a flight that just finished: the feed's revised time,
+ * unless that is still ahead of `nowIso` (the status ran ahead of the
+ * estimate), then now.
+ */
+function blockTimeAt(estIso, nowIso) {
+  return estIso && estIso <= nowIso ? estIso : nowIso;
+}
+
 function dedupeByKey(list, keyFn) {
   const seen = new Set();
   const out  = [];
@@ -504,6 +995,67 @@ function dedupeByKey(list, keyFn) {
   return out;
 }
 
+function fmtLocalMinute(date, tz) {
+  const p = getTzParts(date, tz);
+  return `${fmtYmd(p)}T${String(p.hour).padStart(2,"0")}:${String(p.minute).padStart(2,"0")}`;
+}
+
+/**
+ * Ops-day fetch windows (station-local): the current ops day (03:00 → 02:59
+ * at YYZ), plus the next ops day after 12:00 noon or before the ops-day
+ * start (preload).
+ * @returns {{ day: object, opsDate: string, from: string, to: string, start: Date, end: Date }[]}
+ *          from/to as local "YYYY-MM-DDTHH:mm", start/end as UTC Dates
+ */
+function getFIDSWindows(now = new Date(), station = DEFAULT_STATION) {
+  const tz     = station.tz;
+  const p      = getTzParts(now, tz);
+  const opBase = getOpsDate(now, station);
+
+  const days = [opBase];
+  if (p.hour >= 12 || isBeforeOpsStart(p.hour, p.minute, station)) days.push(addDaysLocal(opBase, 1, tz));
+
+  return days.map(day => {
+    const { start, end } = getOpsDayBounds(day, station);
+    return {
+      day,
+      opsDate: fmtYmd(day),
+      from:    fmtLocalMinute(start, tz),
+      to:      fmtLocalMinute(end, tz),
+      start,
+      end,
+    };
+  });
+}
+
+/**
+ * FIDS time → ISO UTC.  Strings with an offset (or Z) are taken as-is;
+ * naive local strings ("2025-06-14 10:05", "2025-06-14T10:05:00") are
+ * read in the station timezone.
+ */
+function parseFIDSTime(s, tz = DEFAULT_TZ) {
+  if (!s) return "";
+  const m = String(s).trim().match(/^(\d{4})-(\d{2})-(\d{2})[T ](\d{2}):(\d{2})(?::(\d{2}))?$/);
+  if (m) {
+    return zonedTimeToUtc({
+      year: +m[1], month: +m[2], day: +m[3], hour: +m[4], minute: +m[5], second: +(m[6] || 0),
+    }, tz).toISOString();
+  }
+  const d = new Date(s);
+  return isNaN(d.getTime()) ? "" : d.toISOString();
+}
+
+function findFIDSWindow(iso, windows) {
+  const t = Date.parse(iso);
+  return windows.find(w => t >= w.start.getTime() && t <= w.end.getTime()) || null;
+}
+
+function inFIDSWindows(iso, windows) {
+  return !!findFIDSWindow(iso, windows);
+}
+
+// ── Provider: AeroDataBox (RapidAPI) ────────────────────────
+
 async function fetchWindowPaged(url, apiKey, airlineSet) {
   const PAGE_SIZE   = 300;
   const MAX_PAGES   = 4;
@@ -511,6 +1063,7 @@ async function fetchWindowPaged(url, apiKey, airlineSet) {
 
   let allArr = [], allDep = [];
   let offset = 0, pages = 0;
+  let complete = false;   // false when a page cap cut the window short
 
   while (pages < MAX_PAGES) {
     const resp = await fetch(`${url}&limit=${PAGE_SIZE}&offset=${offset}`, {
@@ -532,110 +1085,278 @@ async function fetchWindowPaged(url, apiKey, airlineSet) {
     allArr = allArr.concat(arr);
     allDep = allDep.concat(dep);
 
-    if ((res.arrivals?.length ?? 0) + (res.departures?.length ?? 0) < PAGE_SIZE) break;
+    if ((res.arrivals?.length ?? 0) + (res.departures?.length ?? 0) < PAGE_SIZE) { complete = true; break; }
     if ((allArr.length + allDep.length) >= TARGET_KEEP) break;
 
     offset += PAGE_SIZE;
     pages++;
   }
 
-  return { arrivals: allArr, departures: allDep };
+  return { arrivals: allArr, departures: allDep, complete };
 }
 
-/**
- * Fetch FIDS data from AeroDataBox (mirrors GAS fetchFlairYYZ).
- * Returns { arrivals: [{flight,origin,sched,est,terminal,gate},...],
- *           departures:[{flight,dest,sched,est,terminal,gate},...] }
- */
-async function fetchFIDSData(env) {
+/** AeroDataBox flight object → provider record, or null for codeshares. */
+function shapeAeroDataBoxFlight(f, typeLabel) {
+  const cs = (f.codeshareStatus || "").toLowerCase();
+  if (cs.includes("codeshared")) return null;
+
+  const here  = typeLabel === "ARR" ? f.arrival   : f.departure;
+  const there = typeLabel === "ARR" ? f.departure : f.arrival;
+  return {
+    flight:   formatFlightNo(f.number),
+    [typeLabel === "ARR" ? "origin" : "dest"]: there?.airport?.iata || "",
+    sched:    here?.scheduledTime?.local || here?.scheduledTime?.utc  || "",
+    est:      here?.revisedTime?.local   || here?.scheduledTime?.local || "",
+    terminal: here?.terminal || "",
+    gate:     here?.gate     || "",
+    status:   f.status       || "",
+  };
+}
+
+async function fetchAeroDataBoxFIDS(env, windows, station) {
   const apiKey = env.AERODATABOX_KEY || "";
   if (!apiKey) throw new Error("Missing AERODATABOX_KEY secret.");
 
-  const tz  = DEFAULT_TZ;
-  const now = new Date();
-  const p   = getTzParts(now, tz);
+  const Q = "?withLeg=true&direction=Both&withCancelled=true&withCodeshared=false&withCargo=false&withPrivate=false&withLocation=false";
+  const BASE = `https://aerodatabox.p.rapidapi.com/flights/airports/iata/${station.code}`;
+
+  // AeroDataBox max window = 12 hours.  Split each ops day (03:00→02:59 at YYZ):
+  //   03:00→15:00 (12h)  |  15:00→02:59 (11h59m)
+  const urls = [];
+  for (const w of windows) {
+    const mid = fmtLocalMinute(new Date(w.start.getTime() + 12 * 3_600_000), station.tz);
+    urls.push({ w, url: `${BASE}/${w.from}/${mid}${Q}` });
+    urls.push({ w, url: `${BASE}/${mid}/${w.to}${Q}` });
+  }
 
-  // Current ops-day base date (before 03:00 = yesterday)
-  let opBase = { year: p.year, month: p.month, day: p.day };
-  if (p.hour < 3) opBase = addDaysLocal(opBase, -1, tz);
+  // Any airline contracted on one of the fetched ops days
+  const airlineSet = new Set(windows.flatMap(w => [...getStationAirlines(station, w.opsDate)]));
 
-  function fmtDate(ymd) {
-    return `${ymd.year}-${String(ymd.month).padStart(2,"0")}-${String(ymd.day).padStart(2,"0")}`;
+  // An ops day is complete only when both of its halves paged to the end
+  let rawArr = [], rawDep = [];
+  const capped = new Set();
+  for (const { w, url } of urls) {
+    const page = await fetchWindowPaged(url, apiKey, airlineSet);
+    rawArr = rawArr.concat(page.arrivals);
+    rawDep = rawDep.concat(page.departures);
+    if (!page.complete) capped.add(w.opsDate);
   }
 
-  const d0 = fmtDate(opBase);
-  const d1 = fmtDate(addDaysLocal(opBase, 1, tz));
-  const d2 = fmtDate(addDaysLocal(opBase, 2, tz));
+  return {
+    arrivals:    rawArr.map(f => shapeAeroDataBoxFlight(f, "ARR")).filter(Boolean),
+    departures:  rawDep.map(f => shapeAeroDataBoxFlight(f, "DEP")).filter(Boolean),
+    completeDays: windows.map(w => w.opsDate).filter(d => !capped.has(d)),
+  };
+}
 
-  const Q = "?withLeg=true&direction=Both&withCancelled=true&withCodeshared=false&withCargo=false&withPrivate=false&withLocation=false";
-  const BASE = "https://aerodatabox.p.rapidapi.com/flights/airports/iata/YYZ";
+// ── Provider: fixture (recorded snapshot, offline) ──────────
+//
+// Snapshot JSON: { station?, opsDate: "YYYY-MM-DD", arrivals: [...], departures: [...] }
+// Records are either provider records ({flight, origin|dest, sched, est,
+// terminal, gate, status?}) or raw AeroDataBox flight objects, so a captured
+// AeroDataBox response can be replayed as-is.  Read from FIDS_FIXTURE_URL
+// ({station} is substituted) when set, otherwise the bundled YYZ sample.
+// Unless FIDS_FIXTURE_SHIFT is "0", times are moved onto today's ops day
+// (same local wall clock).  Only a snapshot marked "complete": true is
+// reconciled against, and only for the ops day it covers.
+
+function shiftIsoDaysLocal(iso, days, tz = DEFAULT_TZ) {
+  if (!iso || !days) return iso;
+  const p = getTzParts(new Date(iso), tz);
+  const d = addDaysLocal({ year: p.year, month: p.month, day: p.day }, days, tz);
+  return zonedTimeToUtc({ ...d, hour: p.hour, minute: p.minute, second: p.second }, tz).toISOString();
+}
 
-  // AeroDataBox max window = 12 hours.  Split 03:00→02:59 into 3 chunks:
-  //   03:00→15:00 (12h)  |  15:00→02:59 (11h59m)
-  const windows = [
-    `${BASE}/${d0}T03:00/${d0}T15:00${Q}`,
-    `${BASE}/${d0}T15:00/${d1}T02:59${Q}`,
-  ];
-  // After 12:00 noon or before 03:00: also preload next ops-day
-  if (p.hour >= 12 || p.hour < 3) {
-    windows.push(`${BASE}/${d1}T03:00/${d1}T15:00${Q}`);
-    windows.push(`${BASE}/${d1}T15:00/${d2}T02:59${Q}`);
+async function fetchFixtureFIDS(env, windows, station) {
+  let snap = FIDS_SAMPLE_SNAPSHOT;
+  if (env.FIDS_FIXTURE_URL) {
+    const url  = env.FIDS_FIXTURE_URL.replaceAll("{station}", encodeURIComponent(station.code));
+    const resp = await fetch(url);
+    if (!resp.ok) throw new Error(`FIDS fixture ${resp.status}: ${url}`);
+    snap = await resp.json();
   }
+  if (snap.station && snap.station !== station.code) return { arrivals: [], departures: [], completeDays: [] };
 
-  let rawArr = [], rawDep = [];
-  for (const url of windows) {
-    const { arrivals, departures } = await fetchWindowPaged(url, apiKey, WATCH_AIRLINES);
-    rawArr = rawArr.concat(arrivals);
-    rawDep = rawDep.concat(departures);
+  let shiftDays = 0, snapDay = snap.opsDate || "";
+  if (String(env.FIDS_FIXTURE_SHIFT ?? "1") !== "0" && /^\d{4}-\d{2}-\d{2}$/.test(snap.opsDate || "")) {
+    const [y, m, d] = snap.opsDate.split("-").map(Number);
+    shiftDays = Math.round((Date.UTC(windows[0].day.year, windows[0].day.month - 1, windows[0].day.day) - Date.UTC(y, m - 1, d)) / 86_400_000);
+    snapDay = windows[0].opsDate;
   }
 
-  // Dedupe
-  rawArr = dedupeByKey(rawArr, f => {
-    const t = f.arrival?.scheduledTime?.utc || f.arrival?.scheduledTime?.local || "";
-    return `${normalizeFlightNoKey(f.number)}|${t}`;
-  });
-  rawDep = dedupeByKey(rawDep, f => {
-    const t = f.departure?.scheduledTime?.utc || f.departure?.scheduledTime?.local || "";
-    return `${normalizeFlightNoKey(f.number)}|${t}`;
-  });
+  function load(list, typeLabel) {
+    const out = [];
+    for (const raw of list || []) {
+      const f = raw.number !== undefined ? shapeAeroDataBoxFlight(raw, typeLabel) : { ...raw };
+      if (!f) continue;
+      f.sched = shiftIsoDaysLocal(parseFIDSTime(f.sched, station.tz), shiftDays, station.tz);
+      f.est   = shiftIsoDaysLocal(parseFIDSTime(f.est, station.tz), shiftDays, station.tz);
+      if (f.sched && inFIDSWindows(f.sched, windows)) out.push(f);
+    }
+    return out;
+  }
 
-  // Shape
-  const arrivals   = [];
-  const departures = [];
-
-  for (const f of rawArr) {
-    const code = normalizeFlightNoKey(f.number).substring(0, 2);
-    if (!WATCH_AIRLINES.has(code)) continue;
-    const cs = (f.codeshareStatus || "").toLowerCase();
-    if (cs.includes("codeshared")) continue;
-
-    arrivals.push({
-      flight:   formatFlightNo(f.number),
-      origin:   f.departure?.airport?.iata || "",
-      sched:    f.arrival?.scheduledTime?.local  || f.arrival?.scheduledTime?.utc  || "",
-      est:      f.arrival?.revisedTime?.local    || f.arrival?.scheduledTime?.local || "",
-      terminal: f.arrival?.terminal || "",
-      gate:     f.arrival?.gate     || "",
-    });
+  return {
+    arrivals:     load(snap.arrivals, "ARR"),
+    departures:   load(snap.departures, "DEP"),
+    completeDays: snap.complete === true ? windows.map(w => w.opsDate).filter(d => d === snapDay) : [],
+  };
+}
+
+// ── Provider: generic HTTP JSON ─────────────────────────────
+//
+// FIDS_HTTP_URL      — called once per ops window; {from} {to} (station
+//                      local "YYYY-MM-DDTHH:mm") and {airport} (station
+//                      IATA code) are substituted
+// FIDS_HTTP_HEADERS  — JSON object of request headers (secret: API keys)
+// FIDS_HTTP_MAPPING  — JSON, merged over FIDS_HTTP_DEFAULT_MAPPING.  Paths
+//                      are dot-separated ("data.flights", "times.0.value").
+//                      Use arrivals/departures for two lists, or list +
+//                      direction + arrivalValues for one mixed list.
+//                      `complete` names a flag that is true when the
+//                      response holds the whole window; without one the
+//                      feed is never reconciled (dropped flights).
+
+const FIDS_HTTP_DEFAULT_MAPPING = {
+  arrivals:      "arrivals",
+  departures:    "departures",
+  list:          "",
+  direction:     "",
+  arrivalValues: ["A", "ARR", "ARRIVAL"],
+  complete:      "",
+  fields: {
+    flight:   "flight",
+    airport:  "airport",      // origin for arrivals, destination for departures
+    sched:    "scheduled",
+    est:      "estimated",
+    terminal: "terminal",
+    gate:     "gate",
+    status:   "status",
+  },
+};
+
+function getJsonPath(obj, path) {
+  if (!path) return undefined;
+  let cur = obj;
+  for (const part of String(path).split(".")) {
+    if (cur == null) return undefined;
+    cur = cur[part];
+  }
+  return cur;
+}
+
+function parseJsonVar(env, name) {
+  const raw = env[name];
+  if (!raw) return {};
+  if (typeof raw === "object") return raw;
+  try { return JSON.parse(raw); }
+  catch { throw new Error(`${name} is not valid JSON.`); }
+}
+
+async function fetchHttpFIDS(env, windows, station) {
+  const urlTpl = env.FIDS_HTTP_URL || "";
+  if (!urlTpl) throw new Error("Missing FIDS_HTTP_URL.");
+
+  const headers = parseJsonVar(env, "FIDS_HTTP_HEADERS");
+  const custom  = parseJsonVar(env, "FIDS_HTTP_MAPPING");
+  const map     = { ...FIDS_HTTP_DEFAULT_MAPPING, ...custom,
+                    fields: { ...FIDS_HTTP_DEFAULT_MAPPING.fields, ...(custom.fields || {}) } };
+  const arrValues = new Set((map.arrivalValues || []).map(v => String(v).toUpperCase()));
+
+  function shape(rec, typeLabel) {
+    const F = map.fields;
+    const sched = parseFIDSTime(getJsonPath(rec, F.sched), station.tz);
+    return {
+      flight:   formatFlightNo(getJsonPath(rec, F.flight)),
+      [typeLabel === "ARR" ? "origin" : "dest"]: String(getJsonPath(rec, F.airport) ?? "").trim().toUpperCase(),
+      sched,
+      est:      parseFIDSTime(getJsonPath(rec, F.est), station.tz) || sched,
+      terminal: String(getJsonPath(rec, F.terminal) ?? "").trim(),
+      gate:     String(getJsonPath(rec, F.gate) ?? "").trim(),
+      status:   String(getJsonPath(rec, F.status) ?? "").trim(),
+    };
+  }
+
+  const arrivals = [], departures = [], completeDays = [];
+  for (const w of windows) {
+    const url = urlTpl
+      .replaceAll("{from}",    encodeURIComponent(w.from))
+      .replaceAll("{to}",      encodeURIComponent(w.to))
+      .replaceAll("{airport}", encodeURIComponent(station.code));
+    const resp = await fetch(url, { headers });
+    if (!resp.ok) {
+      const txt = await resp.text().catch(() => "");
+      throw new Error(`FIDS HTTP ${resp.status}: ${txt.slice(0, 200)}`);
+    }
+    const body = await resp.json();
+    if (map.complete && isTrue(getJsonPath(body, map.complete))) completeDays.push(w.opsDate);
+
+    if (map.list) {
+      for (const rec of getJsonPath(body, map.list) || []) {
+        const dir = String(getJsonPath(rec, map.direction) ?? "").trim().toUpperCase();
+        if (arrValues.has(dir)) arrivals.push(shape(rec, "ARR"));
+        else                    departures.push(shape(rec, "DEP"));
+      }
+    } else {
+      for (const rec of getJsonPath(body, map.arrivals)   || []) arrivals.push(shape(rec, "ARR"));
+      for (const rec of getJsonPath(body, map.departures) || []) departures.push(shape(rec, "DEP"));
+    }
   }
 
-  for (const f of rawDep) {
-    const code = normalizeFlightNoKey(f.number).substring(0, 2);
-    if (!WATCH_AIRLINES.has(code)) continue;
-    const cs = (f.codeshareStatus || "").toLowerCase();
-    if (cs.includes("codeshared")) continue;
+  const keep = f => f.sched && inFIDSWindows(f.sched, windows);
+  return { arrivals: arrivals.filter(keep), departures: departures.filter(keep), completeDays };
+}
+
+// ── Provider registry ───────────────────────────────────────
+
+/**
+ * FIDS_PROVIDER → fetch(env, windows, station) resolving to
+ *   { arrivals: [{flight,origin,sched,est,terminal,gate,status},...],
+ *     departures:[{flight,dest,sched,est,terminal,gate,status},...] }
+ * for the given station's ops windows (see getFIDSWindows).  `status` is
+ * the provider's raw string; the sync normalizes it.  `completeDays` lists
+ * the ops dates whose window the provider fetched in full (paged to the
+ * end); only those are reconciled, so a page cap or a feed that can't
+ * tell never has its missing flights treated as dropped.
+ */
+const FIDS_PROVIDERS = {
+  aerodatabox: fetchAeroDataBoxFIDS,
+  fixture:     fetchFixtureFIDS,
+  http:        fetchHttpFIDS,
+};
 
-    departures.push({
-      flight:   formatFlightNo(f.number),
-      dest:     f.arrival?.airport?.iata || "",
-      sched:    f.departure?.scheduledTime?.local || f.departure?.scheduledTime?.utc  || "",
-      est:      f.departure?.revisedTime?.local   || f.departure?.scheduledTime?.local || "",
-      terminal: f.departure?.terminal || "",
-      gate:     f.departure?.gate     || "",
+/**
+ * Fetch one station's FIDS data from the configured provider (default
+ * AeroDataBox), keep airlines contracted on each flight's ops day and
+ * dedupe on flight + scheduled time.
+ * Returns { provider, windows, completeDays, arrivals: [...], departures: [...] }
+ * — see FIDS_PROVIDERS; pass it to syncFIDSToD1 as-is.
+ */
+async function fetchFIDSData(env, station) {
+  const provider = String(env.FIDS_PROVIDER || "aerodatabox").trim().toLowerCase();
+  const fetcher  = FIDS_PROVIDERS[provider];
+  if (!fetcher) throw new Error(`Unknown FIDS_PROVIDER: ${provider}`);
+
+  const windows  = getFIDSWindows(new Date(), station);
+  const airlines = new Map(windows.map(w => [w, getStationAirlines(station, w.opsDate)]));
+  const res = await fetcher(env, windows, station);
+
+  function clean(list) {
+    const kept = (list || []).filter(f => {
+      // Flights outside the windows (late revisions) use the first ops day's contracts
+      const w = findFIDSWindow(parseFIDSTime(f.sched, station.tz), windows) || windows[0];
+      return airlines.get(w).has(normalizeFlightNoKey(f.flight).substring(0, 2));
     });
+    return dedupeByKey(kept, f => `${normalizeFlightNoKey(f.flight)}|${parseFIDSTime(f.sched, station.tz)}`);
   }
 
-  return { arrivals, departures };
+  return {
+    provider,
+    windows,
+    completeDays: res.completeDays || [],
+    arrivals:     clean(res.arrivals),
+    departures:   clean(res.departures),
+  };
 }
 
 // ─────────────────────────────────────────────────────────────
@@ -651,23 +1372,58 @@ function parseAeroTime(s) {
 
 /**
  * Build the canonical flight key.
- * Format: "YYYY-MM-DD|TYPE|FLIGHT|HH:mm"   (all in Toronto local time)
- * Matches GAS buildKey() exactly.
+ * Format: "YYYY-MM-DD|TYPE|FLIGHT|HH:mm|STATION"   (date/time in station local time)
+ * GAS buildKey() plus the station suffix.
  */
-function buildFlightKey(typeLabel, flightNo, schedIso, tz) {
+function buildFlightKey(typeLabel, flightNo, schedIso, tz, stationCode) {
   if (!flightNo || !schedIso) return "";
   const d = new Date(schedIso);
   if (isNaN(d.getTime())) return "";
   const p = getTzParts(d, tz);
   const dateStr = `${p.year}-${String(p.month).padStart(2,"0")}-${String(p.day).padStart(2,"0")}`;
   const timeStr = `${String(p.hour).padStart(2,"0")}:${String(p.minute).padStart(2,"0")}`;
-  return `${dateStr}|${typeLabel}|${flightNo}|${timeStr}`;
+  return `${dateStr}|${typeLabel}|${flightNo}|${timeStr}|${stationCode}`;
+}
+
+/**
+ * Flag a zone change on update row `u` (ZonePrev carry-over mirrors GAS
+ * applyZoneChangeRow_).  Returns true when the zone actually changed.
+ */
+function applyZoneChange(ex, u, newZone, nowIso) {
+  const oldZone = ex.zone_current || "";
+  if (!oldZone || !newZone || oldZone === newZone) return false;
+
+  const curPrev = (ex.zone_prev || "").trim();
+  let canOverwrite = true;
+  if (curPrev) {
+    const prevBoard = zoneToBoard(curPrev);
+    if (prevBoard && !getBoardAck(ex, prevBoard)) canOverwrite = false;
+  }
+  if (canOverwrite) u.zone_prev = oldZone;
+
+  u.zone_current  = newZone;
+  u.zone_changed  = 1;
+  u.zone_chg_time = nowIso;
+  u.zone_chg_from = oldZone;
+  u.zone_chg_to   = newZone;
+  return true;
 }
 
 function rebuildAlertText(gate_changed, gate_chg_from_gate, gate_chg_to_gate,
                           zone_changed, zone_chg_from, zone_chg_to,
-                          time_changed, time_delta_min) {
+                          time_changed, time_delta_min,
+                          status_changed = false, status_chg_from = "", status_chg_to = "",
+                          sched_changed = false, sched_chg_from = "", sched_chg_to = "",
+                          feed_missing = false, conn_risk_text = "") {
   const parts = [];
+  if (feed_missing) parts.push("Dropped from feed");
+  if (conn_risk_text) parts.push(conn_risk_text);
+  if (status_changed && status_chg_to) {
+    parts.push(`Status: ${status_chg_from || STATUS_SCHEDULED} -> ${status_chg_to}`);
+  }
+  if (sched_changed && (sched_chg_from || sched_chg_to)) {
+    parts.push(`Re-timed: ${sched_chg_from || ""} -> ${sched_chg_to || ""}`);
+  }
   if (gate_changed) {
     const fg = gate_chg_from_gate || "";
     const tg = gate_chg_to_gate   || "";
@@ -684,28 +1440,62 @@ function rebuildAlertText(gate_changed, gate_chg_from_gate, gate_chg_to_gate,
   return parts.join(" | ");
 }
 
+/** rebuildAlertText over every change flag of a flight row. */
+function alertTextForRow(u) {
+  return rebuildAlertText(
+    isTrue(u.gate_changed), u.gate_chg_from_gate, u.gate_chg_to_gate,
+    isTrue(u.zone_changed), u.zone_chg_from, u.zone_chg_to,
+    isTrue(u.time_changed), u.time_delta_min,
+    isTrue(u.status_changed), u.status_chg_from, u.status_chg_to,
+    isTrue(u.sched_changed), u.sched_chg_from, u.sched_chg_to,
+    isTrue(u.feed_missing), u.conn_risk_text || ""
+  );
+}
+
 /**
  * Full FIDS → D1 sync — exact replica of GAS syncDispatchDB.
  * Manual fields (wchr, wchc, comment, assignment, pax_assisted) are NEVER overwritten.
  * Per-board ACKs are reset only when a NEW change is detected.
+ *
+ * Windows whose ops date is in `completeDays` are also reconciled: flights
+ * in them that the feed no longer lists are re-keyed or marked dropped
+ * (see reconcileFeed).
  */
-async function syncFIDSToD1(env, arrivals, departures) {
+async function syncFIDSToD1(env, station, arrivals, departures, { windows = null, completeDays = [] } = {}) {
   const now    = new Date();
   const nowIso = now.toISOString();
-  const tz     = DEFAULT_TZ;
+  const tz     = station.tz;
 
   // ── Load zone overrides (cached — 1hr TTL) ──────────────
-  const zoneOverrides = await getCachedZoneOverrides(env);
+  const zoneOverrides = await getCachedZoneOverrides(env, station.code);
+  const zoneRules     = await getCachedZoneRules(env, station.code);
 
   // ── Load US airport codes (cached — 1hr TTL) ────────────
   const usMap = await getCachedUSCodes(env);
 
-  // ── Load ALL existing flights (key → row) ────────────────
-  const { results: existing } = await env.DB.prepare("SELECT * FROM flights").all();
+  // ── Load ALL existing flights for the station (key → row) ─
+  const { results: existing } = await env.DB.prepare(
+    "SELECT * FROM flights WHERE station = ?"
+  ).bind(station.code).all();
   const existingMap = new Map(existing.map(r => [r.key, r]));
 
+  // Manual flights the feed may pick up under a different key (sched typed
+  // differently): type | flight | ops day → rows
+  const opsDayOf  = iso => fmtYmd(getOpsDate(new Date(iso), station));
+  const manualIdx = new Map();
+  for (const r of existing) {
+    if (r.source !== SOURCE_MANUAL || !r.sched) continue;
+    const id = `${r.type}|${normalizeFlightNoKey(r.flight)}|${opsDayOf(r.sched)}`;
+    if (!manualIdx.has(id)) manualIdx.set(id, []);
+    manualIdx.get(id).push(r);
+  }
+
   const toInsert = [];
   const toUpdate = [];
+  const toMerge  = [];   // { from, to } manual row re-keyed onto the FIDS key
+  const events   = [];
+  const seenKeys = new Set();
+  const merged   = new Set();
 
   function processFlights(flights, typeLabel) {
     for (const f of flights) {
@@ -713,29 +1503,48 @@ async function syncFIDSToD1(env, arrivals, departures) {
       const estIso   = parseAeroTime(f.est) || schedIso;
       if (!f.flight || !schedIso) continue;
 
-      const key = buildFlightKey(typeLabel, f.flight, schedIso, tz);
+      const key = buildFlightKey(typeLabel, f.flight, schedIso, tz, station.code);
       if (!key) continue;
+      seenKeys.add(key);
 
       const originOrDest = typeLabel === "ARR" ? (f.origin || "") : (f.dest || "");
       const region  = getRegionForPort(originOrDest, usMap);
-      const newZone = getZoneForFlight(typeLabel, f.gate, f.terminal, region, zoneOverrides) || ZONE_UNASSIGNED;
+      const newZone = getZoneForFlight(typeLabel, f.gate, f.terminal, region, zoneOverrides, zoneRules) || ZONE_UNASSIGNED;
       const newGateNorm = normalizeGate(f.gate);
+      const fidsStatus  = normalizeFlightStatus(f.status);
 
-      const ex = existingMap.get(key);
+      let ex = existingMap.get(key);
+
+      // ── Manual flight now listed by the feed → merge, don't duplicate ─
+      if (!ex) {
+        const id     = `${typeLabel}|${normalizeFlightNoKey(f.flight)}|${opsDayOf(schedIso)}`;
+        const manual = (manualIdx.get(id) || []).find(r => !seenKeys.has(r.key) && !merged.has(r.key));
+        if (manual) {
+          merged.add(manual.key);
+          seenKeys.add(manual.key);
+          toMerge.push({ from: manual.key, to: key });
+          events.push(flightEvent(key, "sync", { field: "rekey", oldValue: manual.key, newValue: key, actor: EVENT_SYNC_ACTOR, at: nowIso }));
+          ex = { ...manual, key };
+        }
+      }
 
       if (!ex) {
         // ── NEW FLIGHT ─────────────────────────────────────
         toInsert.push({
           key,
+          station:      station.code,
           type:         typeLabel,
           flight:       f.flight,
           time_est:     estIso,
           sched:        schedIso,
           origin_dest:  originOrDest,
           gate:         f.gate || "",
+          terminal:     f.terminal || "",
           zone_current: newZone,
           zone_previous: newZone,
           zone_prev:    "",
+          status:       fidsStatus || STATUS_SCHEDULED,
+          block_time:   isFinishedFlight({ type: typeLabel, status: fidsStatus }) ? blockTimeAt(estIso, nowIso) : null,
           alert_text:   "",
           created_at:   nowIso,
           updated_at:   nowIso,
@@ -746,6 +1555,8 @@ async function syncFIDSToD1(env, arrivals, departures) {
         const oldGateNorm = normalizeGate(ex.gate);
         const oldZone     = ex.zone_current || "";
         const oldEst      = ex.time_est ? new Date(ex.time_est) : null;
+        const oldStatus   = ex.status || STATUS_SCHEDULED;
+        const newStatus   = fidsStatus || oldStatus;
 
         // Carry forward existing change flags + ACKs
         let u = {
@@ -755,6 +1566,7 @@ async function syncFIDSToD1(env, arrivals, departures) {
           sched:               schedIso,
           origin_dest:         originOrDest,
           gate:                f.gate || "",
+          terminal:            f.terminal || "",
 
           zone_current:        ex.zone_current || newZone,
           zone_previous:       ex.zone_previous || ex.zone_current || newZone,
@@ -777,6 +1589,22 @@ async function syncFIDSToD1(env, arrivals, departures) {
           zone_chg_from:       ex.zone_chg_from,
           zone_chg_to:         ex.zone_chg_to,
 
+          sched_changed:       ex.sched_changed,
+          sched_chg_from:      ex.sched_chg_from,
+          sched_chg_to:        ex.sched_chg_to,
+
+          feed_missing:        0,
+          feed_missing_since:  null,
+
+          conn_risk_text:      ex.conn_risk_text || "",
+
+          status:              newStatus,
+          status_changed:      ex.status_changed,
+          status_chg_time:     ex.status_chg_time,
+          status_chg_from:     ex.status_chg_from,
+          status_chg_to:       ex.status_chg_to,
+          block_time:          ex.block_time ?? null,
+
           dispatch_ack:        ex.dispatch_ack,
           piera_ack:           ex.piera_ack,
           tb_ack:              ex.tb_ack,
@@ -800,23 +1628,7 @@ async function syncFIDSToD1(env, arrivals, departures) {
         }
 
         // ── Zone change detection ──────────────────────────
-        if (oldZone && newZone && oldZone !== newZone) {
-          // ZonePrev carry-over logic (mirrors GAS applyZoneChangeRow_)
-          const curPrev = (ex.zone_prev || "").trim();
-          let canOverwrite = true;
-          if (curPrev) {
-            const prevBoard = zoneToBoard(curPrev);
-            if (prevBoard && !getBoardAck(ex, prevBoard)) canOverwrite = false;
-          }
-          if (canOverwrite) u.zone_prev = oldZone;
-
-          u.zone_current  = newZone;
-          u.zone_changed  = 1;
-          u.zone_chg_time = nowIso;
-          u.zone_chg_from = oldZone;
-          u.zone_chg_to   = newZone;
-          anyNewChange    = true;
-        }
+        if (applyZoneChange(ex, u, newZone, nowIso)) anyNewChange = true;
 
         // Fill gate_chg_to_zone after zone is settled
         if (u.gate_changed) u.gate_chg_to_zone = u.zone_current || "";
@@ -833,6 +1645,19 @@ async function syncFIDSToD1(env, arrivals, departures) {
           }
         }
 
+        // ── Status change detection ────────────────────────
+        if (newStatus !== oldStatus && (STATUS_ALERT.has(newStatus) || STATUS_ALERT.has(oldStatus))) {
+          u.status_changed  = 1;
+          u.status_chg_time = nowIso;
+          u.status_chg_from = oldStatus;
+          u.status_chg_to   = newStatus;
+          anyNewChange      = true;
+        }
+
+        // ── Block time: stamped once, when the flight finishes ─
+        if (!isFinishedFlight({ type: typeLabel, status: newStatus })) u.block_time = null;
+        else if (!u.block_time) u.block_time = blockTimeAt(estIso, nowIso);
+
         // ── Reset ALL ACKs on any new change ──────────────
         if (anyNewChange) {
           u.dispatch_ack   = 0;
@@ -844,22 +1669,33 @@ async function syncFIDSToD1(env, arrivals, departures) {
         }
 
         // Rebuild alert text
-        u.alert_text = rebuildAlertText(
-          isTrue(u.gate_changed), u.gate_chg_from_gate, u.gate_chg_to_gate,
-          isTrue(u.zone_changed), u.zone_chg_from, u.zone_chg_to,
-          isTrue(u.time_changed), u.time_delta_min
-        );
+        u.alert_text = alertTextForRow(u);
 
         // ── Skip UPDATE when FIDS data is unchanged ─────────
-        // Only write if gate/time/zone/origin actually changed from API.
+        // Only write if gate/time/zone/origin/status actually changed from API.
         const fidsChanged = anyNewChange
           || (f.gate || "") !== (ex.gate || "")
           || estIso !== (ex.time_est || "")
           || schedIso !== (ex.sched || "")
           || originOrDest !== (ex.origin_dest || "")
+          || (f.terminal || "") !== (ex.terminal || "")
+          || newStatus !== oldStatus
+          || isTrue(ex.feed_missing)
+          || ex.source === SOURCE_MANUAL
           || f.flight !== (ex.flight || "");
         if (!fidsChanged) continue;
 
+        // ── Audit trail: gate / time / zone changes ────────
+        const ev = (field, oldValue, newValue) =>
+          events.push(flightEvent(key, "sync", { field, oldValue, newValue, actor: EVENT_SYNC_ACTOR, at: nowIso }));
+        if ((f.gate || "") !== (ex.gate || ""))       ev("gate",         ex.gate || "",          f.gate || "");
+        if (estIso !== (ex.time_est || ""))           ev("time_est",     ex.time_est || "",      estIso);
+        if (schedIso !== (ex.sched || ""))            ev("sched",        ex.sched || "",         schedIso);
+        if (u.zone_current !== (ex.zone_current || "")) ev("zone_current", ex.zone_current || "", u.zone_current);
+        if (newStatus !== oldStatus)                  ev("status",       oldStatus,              newStatus);
+        if (isTrue(ex.feed_missing))                  ev("feed_missing", 1,                      0);
+        if (ex.source === SOURCE_MANUAL)              ev("source",       SOURCE_MANUAL,          SOURCE_FIDS);
+
         toUpdate.push(u);
       }
     }
@@ -868,19 +1704,29 @@ async function syncFIDSToD1(env, arrivals, departures) {
   processFlights(arrivals,   "ARR");
   processFlights(departures, "DEP");
 
+  // ── Re-key merged manual flights first (updates below use the FIDS key) ─
+  if (toMerge.length) {
+    const MRG = env.DB.prepare("UPDATE flights SET key=?, rekeyed_from=? WHERE key=?");
+    const PAX = env.DB.prepare("UPDATE prm_passengers SET flight_key=? WHERE flight_key=?");
+    await env.DB.batch(toMerge.flatMap(m => [
+      MRG.bind(m.to, m.from, m.from), PAX.bind(m.to, m.from), rekeyConnectionsStmt(env, m.from, m.to),
+      rekeyJobsStmt(env, m.from, m.to),
+    ]));
+  }
+
   // ── Batch INSERT new flights ───────────────────────────────
   if (toInsert.length > 0) {
     const INS = env.DB.prepare(`
       INSERT INTO flights
-        (key,type,flight,time_est,sched,origin_dest,gate,
-         zone_current,zone_previous,zone_prev,alert_text,
+        (key,station,type,flight,time_est,sched,origin_dest,gate,terminal,
+         zone_current,zone_previous,zone_prev,status,block_time,alert_text,
          dispatch_ack,piera_ack,tb_ack,t1_ack,unassigned_ack,gates_ack,
          created_at,updated_at)
-      VALUES (?,?,?,?,?,?,?,?,?,?,?,?,?,?,?,?,?,?,?)
+      VALUES (?,?,?,?,?,?,?,?,?,?,?,?,?,?,?,?,?,?,?,?,?,?,?)
     `);
     const batch = toInsert.map(r => INS.bind(
-      r.key, r.type, r.flight, r.time_est, r.sched, r.origin_dest, r.gate,
-      r.zone_current, r.zone_previous, r.zone_prev, r.alert_text,
+      r.key, r.station, r.type, r.flight, r.time_est, r.sched, r.origin_dest, r.gate, r.terminal,
+      r.zone_current, r.zone_previous, r.zone_prev, r.status, r.block_time, r.alert_text,
       0, 0, 0, 0, 0, 0,
       r.created_at, r.updated_at
     ));
@@ -892,24 +1738,28 @@ async function syncFIDSToD1(env, arrivals, departures) {
   if (toUpdate.length > 0) {
     const UPD = env.DB.prepare(`
       UPDATE flights SET
-        flight=?,time_est=?,sched=?,origin_dest=?,gate=?,
+        flight=?,time_est=?,sched=?,origin_dest=?,gate=?,terminal=?,
         zone_current=?,zone_previous=?,zone_prev=?,
         gate_changed=?,gate_chg_time=?,gate_chg_from_zone=?,gate_chg_to_zone=?,
         gate_chg_from_gate=?,gate_chg_to_gate=?,
         time_prev_est=?,time_changed=?,time_delta_min=?,time_chg_time=?,
         zone_changed=?,zone_chg_time=?,zone_chg_from=?,zone_chg_to=?,
+        status=?,status_changed=?,status_chg_time=?,status_chg_from=?,status_chg_to=?,block_time=?,
+        feed_missing=?,feed_missing_since=?,source='fids',
         alert_text=?,
         dispatch_ack=?,piera_ack=?,tb_ack=?,t1_ack=?,unassigned_ack=?,gates_ack=?,
         updated_at=?
       WHERE key=?
     `);
     const batch = toUpdate.map(u => UPD.bind(
-      u.flight, u.time_est, u.sched, u.origin_dest, u.gate,
+      u.flight, u.time_est, u.sched, u.origin_dest, u.gate, u.terminal,
       u.zone_current, u.zone_previous, u.zone_prev,
       u.gate_changed, u.gate_chg_time, u.gate_chg_from_zone, u.gate_chg_to_zone,
       u.gate_chg_from_gate, u.gate_chg_to_gate,
       u.time_prev_est, u.time_changed, u.time_delta_min, u.time_chg_time,
       u.zone_changed, u.zone_chg_time, u.zone_chg_from, u.zone_chg_to,
+      u.status, u.status_changed, u.status_chg_time, u.status_chg_from, u.status_chg_to, u.block_time,
+      u.feed_missing, u.feed_missing_since,
       u.alert_text,
       u.dispatch_ack, u.piera_ack, u.tb_ack, u.t1_ack, u.unassigned_ack, u.gates_ack,
       u.updated_at,
@@ -919,16 +1769,153 @@ async function syncFIDSToD1(env, arrivals, departures) {
       await env.DB.batch(batch.slice(i, i + 100));
   }
 
-  console.log(`[sync] inserted=${toInsert.length} updated=${toUpdate.length} skipped=${existing.length - toUpdate.length}`);
+  await recordFlightEvents(env, events);
+
+  // ── Reconcile flights the feed no longer lists ────────────
+  // Only windows fetched in full, and only after a non-empty fetch: an
+  // outage or a page-capped response must not drop every flight.  A flight
+  // that already departed or arrived may fall off the feed; leave it be.
+  let recon = { rekeyed: 0, dropped: 0 };
+  const fullWindows = (windows || []).filter(w => completeDays.includes(w.opsDate));
+  if (fullWindows.length && seenKeys.size) {
+    const missing = existing.filter(ex =>
+      ex.source !== SOURCE_MANUAL && !seenKeys.has(ex.key) && findFIDSWindow(ex.sched, fullWindows)
+      && !isFinishedFlight(ex));
+    if (missing.length) {
+      const seenRows = [
+        ...toInsert,
+        ...existing.filter(ex => seenKeys.has(ex.key)),
+      ];
+      recon = await reconcileFeed(env, station, missing, seenRows, nowIso);
+    }
+  }
+
+  // ── Connection times after gate / time changes on either leg ─
+  const conns = await evaluateConnections(env, station, { nowIso });
 
-  // ── Refresh in-memory flight cache after sync ───────────
-  // This is the ONLY place the cache is populated — poll endpoints read from it.
-  await refreshFlightCache(env);
+  console.log(`[sync] ${station.code} inserted=${toInsert.length} updated=${toUpdate.length} skipped=${existing.length - toUpdate.length} merged=${toMerge.length} rekeyed=${recon.rekeyed} dropped=${recon.dropped} connRisk=${conns.newlyAtRisk}`);
 
-  return { inserted: toInsert.length, updated: toUpdate.length };
+  if (toInsert.length || toUpdate.length || recon.rekeyed || recon.dropped || conns.updated)
+    await publishLive(env, { type: "sync", station: station.code, inserted: toInsert.length, updated: toUpdate.length });
+
+  return { station: station.code, inserted: toInsert.length, updated: toUpdate.length, merged: toMerge.length, ...recon,
+           connectionsAtRisk: conns.newlyAtRisk };
 }
 
-/** Reload flight cache from D1 (called after FIDS sync and on cache miss). */
+// Manual fields carried onto the new row when a flight is re-keyed
+// (filled only where the new row is still blank).
+const REKEY_CARRY_FIELDS = ["wchr", "wchc", "comment", "assignment", "pax_assisted", "watchlist", "assign_edited_by", "assign_edited_at",
+                            "prm_records", "prm_summary", "ambulift", "prm_jobs"];
+
+function isBlankManual(v) {
+  return v == null || v === "" || v === 0 || v === "0";
+}
+
+/** "YYYY-MM-DD|TYPE|FLIGHT|HH:mm|STN" → "HH:mm" */
+function keyLocalTime(key) {
+  return String(key || "").split("|")[3] || "";
+}
+
+const REKEY_MAX_SHIFT_MIN = 240;   // furthest a re-timed flight's schedule may move
+
+/**
+ * Flights in a fully fetched window that the feed no longer lists.
+ *
+ * Re-key: the key embeds the scheduled local time, so a schedule change
+ * shows up as the old key vanishing and a new one (same type, flight
+ * number and ops day, created no earlier) appearing.  The new row is the
+ * one scheduled nearest the old time, within REKEY_MAX_SHIFT_MIN; a tie
+ * is ambiguous and not re-keyed.  The old row's manual fields move onto
+ * it, it alerts "Re-timed: old -> new" and the old row is deleted.  Its
+ * history stays under the old key and is linked through a "rekey" event.
+ *
+ * Otherwise the row is marked dropped from feed (kept on the boards with
+ * an alert) until the feed lists it again.
+ */
+async function reconcileFeed(env, station, missing, seenRows, nowIso) {
+  const opsDay  = iso => fmtYmd(getOpsDate(new Date(iso), station));
+  const matchId = r => `${r.type}|${normalizeFlightNoKey(r.flight)}|${opsDay(r.sched)}`;
+
+  const candidates = new Map();   // matchId → [rows seen this fetch]
+  for (const r of seenRows) {
+    const id = matchId(r);
+    if (!candidates.has(id)) candidates.set(id, []);
+    candidates.get(id).push(r);
+  }
+
+  const batch   = [];
+  const events  = [];
+  const claimed = new Set();
+  const recount = [];   // both rows had passenger records → counts need a recompute
+  let rekeyed = 0, dropped = 0;
+
+  const shiftMin = (a, b) => Math.abs(Date.parse(a.sched) - Date.parse(b.sched)) / 60_000;
+
+  for (const old of missing) {
+    const matches = (candidates.get(matchId(old)) || [])
+      .filter(r => !claimed.has(r.key) && (r.created_at || "") >= (old.created_at || "")
+                && shiftMin(r, old) <= REKEY_MAX_SHIFT_MIN)
+      .sort((a, b) => shiftMin(a, old) - shiftMin(b, old));
+
+    if (matches.length && (matches.length === 1 || shiftMin(matches[0], old) < shiftMin(matches[1], old))) {
+      const nu = await getFlightRow(env, matches[0].key) || matches[0];
+      claimed.add(nu.key);
+
+      const merged = { ...nu };
+      for (const f of REKEY_CARRY_FIELDS)
+        if (isBlankManual(nu[f]) && !isBlankManual(old[f])) merged[f] = old[f];
+      merged.sched_changed  = 1;
+      merged.sched_chg_time = nowIso;
+      merged.sched_chg_from = keyLocalTime(old.key);
+      merged.sched_chg_to   = keyLocalTime(nu.key);
+      merged.rekeyed_from   = old.key;
+      merged.alert_text     = alertTextForRow(merged);
+
+      batch.push(env.DB.prepare(`
+        UPDATE flights SET
+          wchr=?,wchc=?,comment=?,assignment=?,pax_assisted=?,watchlist=?,assign_edited_by=?,assign_edited_at=?,
+          prm_records=?,prm_summary=?,ambulift=?,prm_jobs=?,
+          sched_changed=1,sched_chg_time=?,sched_chg_from=?,sched_chg_to=?,rekeyed_from=?,
+          alert_text=?,${ACK_RESET_SQL},edit_version=edit_version+1,updated_at=?
+        WHERE key=?
+      `).bind(
+        merged.wchr ?? 0, merged.wchc ?? 0, merged.comment || "", merged.assignment || "",
+        merged.pax_assisted ?? 0, merged.watchlist || "", merged.assign_edited_by || "", merged.assign_edited_at ?? null,
+        merged.prm_records ?? 0, merged.prm_summary || "", merged.ambulift ?? 0, merged.prm_jobs || "",
+        nowIso, merged.sched_chg_from, merged.sched_chg_to, old.key,
+        merged.alert_text, nowIso, nu.key
+      ));
+      batch.push(env.DB.prepare("DELETE FROM flights WHERE key = ?").bind(old.key));
+      batch.push(env.DB.prepare("UPDATE prm_passengers SET flight_key = ? WHERE flight_key = ?").bind(nu.key, old.key));
+      batch.push(rekeyConnectionsStmt(env, old.key, nu.key));
+      batch.push(rekeyJobsStmt(env, old.key, nu.key));
+      if (Number(old.prm_records) > 0 && Number(nu.prm_records) > 0) recount.push(nu.key);
+
+      const ev = { actor: EVENT_SYNC_ACTOR, at: nowIso };
+      events.push(flightEvent(nu.key,  "sync", { ...ev, field: "rekey", oldValue: old.key, newValue: nu.key }));
+      events.push(flightEvent(old.key, "sync", { ...ev, field: "rekey", oldValue: old.key, newValue: nu.key }));
+      rekeyed++;
+      continue;
+    }
+
+    if (isTrue(old.feed_missing)) continue;   // already flagged
+
+    const u = { ...old, feed_missing: 1 };
+    batch.push(env.DB.prepare(`
+      UPDATE flights SET feed_missing=1,feed_missing_since=?,alert_text=?,${ACK_RESET_SQL},updated_at=? WHERE key=?
+    `).bind(nowIso, alertTextForRow(u), nowIso, old.key));
+    events.push(flightEvent(old.key, "sync", { field: "feed_missing", oldValue: 0, newValue: 1, actor: EVENT_SYNC_ACTOR, at: nowIso }));
+    dropped++;
+  }
+
+  for (let i = 0; i < batch.length; i += 100)
+    await env.DB.batch(batch.slice(i, i + 100));
+  await recordFlightEvents(env, events);
+  for (const key of recount) await refreshPassengerCounts(env, key, EVENT_SYNC_ACTOR);
+  return { rekeyed, dropped };
+}
+
+/** Reload flight cache from D1 (called after FIDS sync and on cache miss). */
 async function refreshFlightCache(env) {
   const { results } = await env.DB.prepare("SELECT * FROM flights").all();
   _flightCache = results;
@@ -942,79 +1929,356 @@ async function refreshFlightCache(env) {
 // § 8b  ARCHIVE RETRIEVAL (Mgmt)
 // ─────────────────────────────────────────────────────────────
 
-async function handleArchiveDates(req, env) {
+async function handleArchiveDates(req, env, user) {
+  const station = await resolveStation(env, new URL(req.url).searchParams.get("station"), user);
   const { results } = await env.DB.prepare(
-    "SELECT DISTINCT ops_date, COUNT(*) as flight_count FROM archive GROUP BY ops_date ORDER BY ops_date DESC"
-  ).all();
-  return json({ ok: true, dates: results.map(r => ({ date: r.ops_date, flights: r.flight_count })) });
+    "SELECT ops_date, COUNT(*) as flight_count FROM archived_flights WHERE station = ? GROUP BY ops_date ORDER BY ops_date DESC"
+  ).bind(station.code).all();
+  return json({ ok: true, station: station.code, dates: results.map(r => ({ date: r.ops_date, flights: r.flight_count })) });
 }
 
-async function handleArchiveRows(req, env) {
+async function handleArchiveRows(req, env, user) {
   const url = new URL(req.url);
+  const station = await resolveStation(env, url.searchParams.get("station"), user);
   const opsDate = (url.searchParams.get("date") || "").trim();
   if (!opsDate || !/^\d{4}-\d{2}-\d{2}$/.test(opsDate))
     return json({ ok: false, error: "Provide ?date=YYYY-MM-DD" }, { status: 400 });
 
-  const { results } = await env.DB.prepare(
-    "SELECT flight_data FROM archive WHERE ops_date = ? ORDER BY id"
-  ).bind(opsDate).all();
-
-  const rows = results.map(r => {
-    try { return JSON.parse(r.flight_data); } catch { return null; }
-  }).filter(Boolean);
+  const { results: rows } = await env.DB.prepare(
+    "SELECT * FROM archived_flights WHERE station = ? AND ops_date = ? ORDER BY time_est, id"
+  ).bind(station.code, opsDate).all();
 
-  return json({ ok: true, opsDate, flights: rows.length, rows });
+  return json({ ok: true, station: station.code, opsDate, flights: rows.length, rows });
 }
 
-// § 9  NIGHTLY ARCHIVE  (mirrors GAS nightlyArchive)
-// ─────────────────────────────────────────────────────────────
+// Sortable columns for /archive/search (whitelist → SQL expression)
+const ARCHIVE_SORT = {
+  ops_date:     "ops_date",
+  time_est:     "time_est",
+  sched:        "sched",
+  flight:       "flight",
+  type:         "type",
+  origin_dest:  "origin_dest",
+  gate:         "gate",
+  zone_current: "zone_current",
+  wchr:         "wchr",
+  wchc:         "wchc",
+  pax_assisted: "pax_assisted",
+  assignment:   "assignment",
+  status:       "status",
+};
+const ARCHIVE_PAGE_MAX = 500;
 
-async function nightlyArchive(env) {
-  const now = new Date();
-  const tz  = DEFAULT_TZ;
-  const p   = getTzParts(now, tz);
+/**
+ * WHERE clause for the archive filters shared by /archive/search and
+ * /archive/export.  from / to: ops dates, inclusive.  flight: part of the
+ * number, spaces ignored.  agent: part of the assignment.  q: free-text
+ * tokens, each found in one of EXPORT_SEARCH_FIELDS.
+ * Returns { where, args } or { error }.
+ */
+function archiveFilters(p, station) {
+  const from = (p.get("from") || "").trim();
+  const to   = (p.get("to")   || "").trim();
+  if ((from && !YMD_RE.test(from)) || (to && !YMD_RE.test(to)))
+    return { error: "from / to must be YYYY-MM-DD." };
+
+  const where = ["station = ?"];
+  const args  = [station.code];
+  const add   = (sql, ...v) => { where.push(sql); args.push(...v); };
+
+  if (from) add("ops_date >= ?", from);
+  if (to)   add("ops_date <= ?", to);
+
+  const flight = normalizeFlightNoKey(p.get("flight"));
+  if (flight) add("REPLACE(UPPER(flight), ' ', '') LIKE ?", `%${flight}%`);
+  const airline = String(p.get("airline") || "").trim().toUpperCase();
+  if (airline) {
+    if (!AIRLINE_CODE_RE.test(airline)) return { error: "Airline must be a 2-character IATA designator." };
+    add("SUBSTR(REPLACE(UPPER(flight), ' ', ''), 1, 2) = ?", airline);
+  }
+  const zone = String(p.get("zone") || "").trim();
+  if (zone) add("zone_current = ?", normalizeZone(zone));
+  const gate = normalizeGate(p.get("gate"));
+  if (gate) add("REPLACE(REPLACE(UPPER(gate), ' ', ''), '-', '') = ?", gate);
+  const agent = String(p.get("agent") || "").trim().toUpperCase();
+  if (agent) add("UPPER(assignment) LIKE ?", `%${agent}%`);
+  const type = String(p.get("type") || "").trim().toUpperCase();
+  if (type === "ARR" || type === "DEP") add("type = ?", type);
+  for (const token of searchTokens(p.get("q")))
+    add(`UPPER(${EXPORT_SEARCH_FIELDS.map(f => `COALESCE(${f}, '')`).join(" || ' ' || ")}) LIKE ?`, `%${token}%`);
+
+  return { where: where.join(" AND "), args };
+}
 
-  // Archive yesterday's ops-day (before 03:00 → use day-2)
-  let archiveBase = { year: p.year, month: p.month, day: p.day };
-  if (p.hour < 3) archiveBase = addDaysLocal(archiveBase, -2, tz);
-  else             archiveBase = addDaysLocal(archiveBase, -1, tz);
+/**
+ * GET /archive/search?station=&from=&to=&flight=&airline=&zone=&gate=&agent=&type=&q=
+ *                    &sort=&dir=asc|desc&page=1&pageSize=100
+ * Filters: see archiveFilters.  Totals cover every match, not just the page.
+ */
+async function handleArchiveSearch(req, env, user) {
+  const url     = new URL(req.url);
+  const p       = url.searchParams;
+  const station = await resolveStation(env, p.get("station"), user);
+
+  const filters = archiveFilters(p, station);
+  if (filters.error) return json({ ok: false, error: filters.error }, { status: 400 });
+  const { where: whereSql, args } = filters;
+
+  const sortCol  = ARCHIVE_SORT[p.get("sort")] || "ops_date";
+  const dir      = String(p.get("dir") || "").toLowerCase() === "desc" ? "DESC" : "ASC";
+  const pageSize = Math.min(Math.max(parseInt(p.get("pageSize"), 10) || 100, 1), ARCHIVE_PAGE_MAX);
+  const page     = Math.max(parseInt(p.get("page"), 10) || 1, 1);
+
+  const [totals, rows] = await env.DB.batch([
+    env.DB.prepare(`
+      SELECT COUNT(*) AS flights, COALESCE(SUM(wchr), 0) AS wchr, COALESCE(SUM(wchc), 0) AS wchc,
+             SUM(CASE WHEN COALESCE(wchr, 0) + COALESCE(wchc, 0) > 0 THEN 1 ELSE 0 END) AS prm_flights,
+             MIN(ops_date) AS first_date, MAX(ops_date) AS last_date
+      FROM archived_flights WHERE ${whereSql}
+    `).bind(...args),
+    env.DB.prepare(`
+      SELECT * FROM archived_flights WHERE ${whereSql}
+      ORDER BY ${sortCol} ${dir}, ops_date ${dir}, time_est ${dir}, id
+      LIMIT ? OFFSET ?
+    `).bind(...args, pageSize, (page - 1) * pageSize),
+  ]);
+
+  const t = totals.results[0] || {};
+  return json({
+    ok: true, station: station.code,
+    page, pageSize, total: t.flights || 0, pages: Math.ceil((t.flights || 0) / pageSize),
+    sort: Object.keys(ARCHIVE_SORT).find(k => ARCHIVE_SORT[k] === sortCol), dir: dir.toLowerCase(),
+    totals: {
+      flights: t.flights || 0, wchr: t.wchr || 0, wchc: t.wchc || 0, prmFlights: t.prm_flights || 0,
+      firstDate: t.first_date || "", lastDate: t.last_date || "",
+    },
+    rows: rows.results,
+  });
+}
 
-  const archStart = zonedTimeToUtc({ ...archiveBase, hour: 3, minute: 0, second: 0 }, tz);
-  const archEnd   = zonedTimeToUtc({ ...addDaysLocal(archiveBase, 1, tz), hour: 2, minute: 59, second: 59 }, tz);
-  archEnd.setUTCMilliseconds(999);
+// Group expressions for /archive/stats.  week = the Monday it starts on;
+// hour = scheduled local hour, read from the key ("…|HH:mm|STN").
+const STATS_GROUPS = {
+  day:     "ops_date",
+  week:    "date(ops_date, 'weekday 0', '-6 days')",
+  month:   "substr(ops_date, 1, 7)",
+  airline: "SUBSTR(REPLACE(UPPER(flight), ' ', ''), 1, 2)",
+  zone:    "COALESCE(NULLIF(zone_current, ''), 'Unassigned')",
+  hour:    "substr(key, length(key) - length(station) - 5, 2)",
+};
+const STATS_MAX_DAYS     = 400;
+const STATS_DEFAULT_DAYS = 30;
 
-  const opsDateStr = `${archiveBase.year}-${String(archiveBase.month).padStart(2,"0")}-${String(archiveBase.day).padStart(2,"0")}`;
+// flight_events that count as a time change: an estimate moving by at
+// least TIME_DELTA_THRESHOLD (the same rule that raises the alert)
+const STATS_TIME_CHANGE_SQL = `(e.field = 'time_est' AND e.old_value <> '' AND
+  ABS(julianday(e.new_value) - julianday(e.old_value)) * 1440 >= ${TIME_DELTA_THRESHOLD})`;
+// …and anything else that raises an alert the boards must ACK
+const STATS_ALERT_EVENT_SQL = `((e.event_type = 'sync' AND e.field IN ('gate', 'zone_current', 'status', 'sched', 'feed_missing'))
+  OR (e.field = 'conn_risk' AND e.new_value <> '') OR ${STATS_TIME_CHANGE_SQL})`;
 
-  // Fetch flights in the archive window
-  const { results } = await env.DB.prepare(
-    "SELECT * FROM flights WHERE time_est >= ? AND time_est <= ?"
-  ).bind(archStart.toISOString(), archEnd.toISOString()).all();
+/**
+ * Archived ops-day range from ?from=&to= (inclusive) → { from, to } | { error }.
+ * Defaults to the STATS_DEFAULT_DAYS days before today's ops date.
+ */
+function statsRange(p, station) {
+  let from = (p.get("from") || "").trim();
+  let to   = (p.get("to")   || "").trim();
+  if ((from && !YMD_RE.test(from)) || (to && !YMD_RE.test(to)))
+    return { error: "from / to must be YYYY-MM-DD." };
+  if (!to) to = fmtYmd(addDaysLocal(getOpsDate(new Date(), station), -1, station.tz));
+  if (!from) {
+    const [y, m, d] = to.split("-").map(Number);
+    from = fmtYmd(addDaysLocal({ year: y, month: m, day: d }, -(STATS_DEFAULT_DAYS - 1), station.tz));
+  }
+  const days = (Date.parse(to) - Date.parse(from)) / 86_400_000 + 1;
+  if (!(days >= 1)) return { error: "from must not be after to." };
+  if (days > STATS_MAX_DAYS) return { error: `At most ${STATS_MAX_DAYS} days per request.` };
+  return { from, to };
+}
+
+/**
+ * GET /archive/stats?station=&from=&to=&groupBy=day|week|month|airline|zone|hour
+ * KPIs over archived ops days (from / to inclusive; default the last 30
+ * days before today's ops date).  Per group:
+ *   flights, prmFlights, wchr, wchc, paxAssisted
+ *   unassigned   PRM flights archived without an agent assignment
+ *   gateChanges  feed gate changes (first gate assignments excluded)
+ *   timeChanges  estimate moves ≥ TIME_DELTA_THRESHOLD minutes
+ *   acks, ackAvgMin, ackMaxMin
+ *                board ACKs and their minutes since the last alerting
+ *                change before them (ACKs with no such change skipped)
+ * and boards: [{ board, acks, bulk, avgMin, maxMin }] — the same latency
+ * per ACKing board from the ACK records, slowest first.
+ */
+async function handleArchiveStats(req, env, user) {
+  const p       = new URL(req.url).searchParams;
+  const station = await resolveStation(env, p.get("station"), user);
+
+  const groupBy = String(p.get("groupBy") || "day").trim().toLowerCase();
+  if (!STATS_GROUPS[groupBy])
+    return json({ ok: false, error: `groupBy must be one of: ${Object.keys(STATS_GROUPS).join(", ")}.` }, { status: 400 });
+
+  const range = statsRange(p, station);
+  if (range.error) return json({ ok: false, error: range.error }, { status: 400 });
+  const { from, to } = range;
+
+  const scope = `
+    WITH f AS (
+      SELECT key, ${STATS_GROUPS[groupBy]} AS grp, wchr, wchc, pax_assisted, assignment
+      FROM archived_flights WHERE station = ? AND ops_date >= ? AND ops_date <= ?
+    )`;
+  const args = [station.code, from, to];
+
+  const [volumes, acks, boardAcks] = await env.DB.batch([
+    env.DB.prepare(`${scope},
+      ev AS (
+        SELECT e.flight_key,
+               SUM(CASE WHEN e.event_type = 'sync' AND e.field = 'gate' AND e.old_value <> '' THEN 1 ELSE 0 END) AS gate_changes,
+               SUM(CASE WHEN ${STATS_TIME_CHANGE_SQL} THEN 1 ELSE 0 END) AS time_changes
+        FROM flight_events e
+        WHERE e.flight_key IN (SELECT key FROM f) AND e.field IN ('gate', 'time_est')
+        GROUP BY e.flight_key
+      )
+      SELECT f.grp,
+             COUNT(*) AS flights,
+             SUM(CASE WHEN COALESCE(f.wchr, 0) + COALESCE(f.wchc, 0) > 0 THEN 1 ELSE 0 END) AS prm_flights,
+             COALESCE(SUM(f.wchr), 0) AS wchr, COALESCE(SUM(f.wchc), 0) AS wchc,
+             COALESCE(SUM(f.pax_assisted), 0) AS pax_assisted,
+             SUM(CASE WHEN COALESCE(f.wchr, 0) + COALESCE(f.wchc, 0) > 0
+                       AND TRIM(COALESCE(f.assignment, '')) = '' THEN 1 ELSE 0 END) AS unassigned,
+             COALESCE(SUM(ev.gate_changes), 0) AS gate_changes,
+             COALESCE(SUM(ev.time_changes), 0) AS time_changes
+      FROM f LEFT JOIN ev ON ev.flight_key = f.key
+      GROUP BY f.grp ORDER BY f.grp
+    `).bind(...args),
+    env.DB.prepare(`${scope},
+      lat AS (
+        SELECT a.flight_key,
+               (julianday(a.created_at) - julianday((
+                 SELECT MAX(e.created_at) FROM flight_events e
+                 WHERE e.flight_key = a.flight_key AND e.created_at <= a.created_at AND ${STATS_ALERT_EVENT_SQL}
+               ))) * 1440 AS minutes
+        FROM flight_events a
+        WHERE a.event_type = 'ack' AND a.flight_key IN (SELECT key FROM f)
+      )
+      SELECT f.grp, COUNT(*) AS acks, AVG(lat.minutes) AS avg_min, MAX(lat.minutes) AS max_min
+      FROM lat JOIN f ON f.key = lat.flight_key
+      WHERE lat.minutes IS NOT NULL
+      GROUP BY f.grp
+    `).bind(...args),
+    env.DB.prepare(`${scope},
+      lat AS (
+        SELECT a.board, a.bulk, (julianday(a.acked_at) - julianday(a.alerted_at)) * 1440 AS minutes
+        FROM flight_acks a
+        WHERE a.flight_key IN (SELECT key FROM f) AND a.alerted_at IS NOT NULL
+      )
+      SELECT board, COUNT(*) AS acks, SUM(bulk) AS bulk, AVG(minutes) AS avg_min, MAX(minutes) AS max_min
+      FROM lat GROUP BY board ORDER BY avg_min DESC
+    `).bind(...args),
+  ]);
+
+  const ackBy = new Map(acks.results.map(a => [a.grp, a]));
+  const round1 = (v) => v == null ? null : Math.round(v * 10) / 10;
+  const groups = volumes.results.map(r => {
+    const a = ackBy.get(r.grp);
+    return {
+      group: r.grp ?? "",
+      flights: r.flights, prmFlights: r.prm_flights, wchr: r.wchr, wchc: r.wchc, paxAssisted: r.pax_assisted,
+      unassigned: r.unassigned, gateChanges: r.gate_changes, timeChanges: r.time_changes,
+      acks: a?.acks || 0, ackAvgMin: round1(a?.avg_min), ackMaxMin: round1(a?.max_min),
+    };
+  });
 
-  if (!results.length) {
-    console.log(`[archive] no flights for ops-date ${opsDateStr}`);
-    return { archived: 0 };
+  const totals = { flights: 0, prmFlights: 0, wchr: 0, wchc: 0, paxAssisted: 0, unassigned: 0, gateChanges: 0, timeChanges: 0, acks: 0 };
+  let ackMinutes = 0, ackMax = null;
+  for (const g of groups)
+    for (const k of Object.keys(totals)) totals[k] += g[k];
+  for (const a of acks.results) {
+    ackMinutes += a.avg_min * a.acks;
+    ackMax = Math.max(ackMax ?? 0, round1(a.max_min));
   }
+  totals.ackAvgMin = totals.acks ? round1(ackMinutes / totals.acks) : null;
+  totals.ackMaxMin = ackMax;
 
-  // Idempotent: remove any previous (possibly partial) archive for this date
-  await env.DB.prepare(
-    "DELETE FROM archive WHERE ops_date = ?"
-  ).bind(opsDateStr).run();
+  const boards = boardAcks.results.map(b => ({
+    board: b.board, acks: b.acks, bulk: b.bulk || 0,
+    avgMin: round1(b.avg_min), maxMin: round1(b.max_min),
+  }));
 
-  // Write to archive table (one row per flight)
-  const INS = env.DB.prepare(
-    "INSERT INTO archive (ops_date, flight_data) VALUES (?, ?)"
-  );
-  const batch = results.map(r => INS.bind(opsDateStr, JSON.stringify(r)));
-  for (let i = 0; i < batch.length; i += 100)
-    await env.DB.batch(batch.slice(i, i + 100));
+  return json({ ok: true, station: station.code, from, to, groupBy, groups, totals, boards });
+}
 
-  // Delete archived flights from the main table (keep DB clean)
-  await env.DB.prepare(
-    "DELETE FROM flights WHERE time_est >= ? AND time_est <= ?"
-  ).bind(archStart.toISOString(), archEnd.toISOString()).run();
+// § 9  NIGHTLY ARCHIVE  (mirrors GAS nightlyArchive)
+// ─────────────────────────────────────────────────────────────
 
-  console.log(`[archive] ops-date=${opsDateStr} archived=${results.length}`);
-  return { archived: results.length };
+/** Archive the station's last completed ops day. */
+async function nightlyArchive(env, station) {
+  const opsDate = addDaysLocal(getOpsDate(new Date(), station), -1, station.tz);
+  return archiveOpsDate(env, station, fmtYmd(opsDate));
+}
+
+// flights columns copied to archived_flights (keep in step with the migrations)
+const ARCHIVE_COLUMNS = [
+  "key", "station", "type", "flight", "time_est", "sched", "origin_dest", "gate", "terminal",
+  "wchr", "wchc", "comment", "assignment", "pax_assisted", "watchlist",
+  "zone_current", "zone_previous", "zone_prev",
+  "gate_changed", "gate_chg_time", "gate_chg_from_zone", "gate_chg_to_zone", "gate_chg_from_gate", "gate_chg_to_gate",
+  "time_prev_est", "time_changed", "time_delta_min", "time_chg_time",
+  "zone_changed", "zone_chg_time", "zone_chg_from", "zone_chg_to", "alert_text",
+  "dispatch_ack", "piera_ack", "tb_ack", "t1_ack", "unassigned_ack", "gates_ack",
+  "assign_edited_by", "assign_edited_at", "prev_wchr", "prev_wchc",
+  "status", "status_changed", "status_chg_time", "status_chg_from", "status_chg_to",
+  "feed_missing", "feed_missing_since", "sched_changed", "sched_chg_time", "sched_chg_from", "sched_chg_to",
+  "rekeyed_from", "source", "created_by", "prm_records", "prm_summary", "conn_links", "conn_risk_text",
+  "ambulift", "prm_jobs", "block_time", "created_at", "updated_at",
+];
+
+/**
+ * Move one station ops day ("YYYY-MM-DD") from `flights` to `archived_flights`.
+ * Idempotent: a previous (possibly partial) archive of that day is replaced.
+ */
+async function archiveOpsDate(env, station, opsDateStr) {
+  const [y, m, d] = opsDateStr.split("-").map(Number);
+  const { start: archStart, end: archEnd } = getOpsDayBounds({ year: y, month: m, day: d }, station);
+  const window = { start: archStart.toISOString(), end: archEnd.toISOString() };
+
+  const inWindow = await env.DB.prepare(
+    "SELECT COUNT(*) AS cnt FROM flights WHERE station = ? AND time_est >= ? AND time_est <= ?"
+  ).bind(station.code, window.start, window.end).first();
+  const count = inWindow?.cnt || 0;
+
+  if (!count) {
+    console.log(`[archive] ${station.code} no flights for ops-date ${opsDateStr}`);
+    return { station: station.code, opsDate: opsDateStr, archived: 0, note: "no flights in window", window };
+  }
+
+  // One batch = one transaction: replace any previous (possibly partial)
+  // archive of this date, copy the rows, then drop them from flights
+  const cols = ARCHIVE_COLUMNS.join(", ");
+  await env.DB.batch([
+    env.DB.prepare(
+      "DELETE FROM archived_flights WHERE station = ? AND ops_date = ?"
+    ).bind(station.code, opsDateStr),
+    env.DB.prepare(`
+      INSERT INTO archived_flights (ops_date, ${cols})
+      SELECT ?, ${cols} FROM flights WHERE station = ? AND time_est >= ? AND time_est <= ?
+      ORDER BY time_est
+    `).bind(opsDateStr, station.code, window.start, window.end),
+    env.DB.prepare(
+      "DELETE FROM flights WHERE station = ? AND time_est >= ? AND time_est <= ?"
+    ).bind(station.code, window.start, window.end),
+  ]);
+
+  // Connections go once neither leg is left (an overnight transfer keeps
+  // its link until the departure is archived too)
+  await env.DB.prepare(`
+    DELETE FROM flight_connections WHERE station = ?
+      AND arr_key NOT IN (SELECT key FROM flights) AND dep_key NOT IN (SELECT key FROM flights)
+  `).bind(station.code).run();
+
+  console.log(`[archive] ${station.code} ops-date=${opsDateStr} archived=${count}`);
+  return { station: station.code, opsDate: opsDateStr, archived: count, window };
 }
 
 // ─────────────────────────────────────────────────────────────
@@ -1043,6 +2307,270 @@ function applyPatch(rowObj) {
   return { ...rowObj, ...p.patch };
 }
 
+// ─────────────────────────────────────────────────────────────
+// § 10b  FLIGHT EVENTS  (append-only audit trail)
+// ─────────────────────────────────────────────────────────────
+
+const EVENT_SYNC_ACTOR = "FIDS";
+
+function eventVal(v) {
+  return v == null ? null : String(v);
+}
+
+/**
+ * Build one flight_events row.
+ * @param {string} key    flight key
+ * @param {string} type   "edit" | "ack" | "sync"
+ * @param {object} o      { field, oldValue, newValue, board, actor, at }
+ */
+function flightEvent(key, type, { field = "", oldValue = null, newValue = null, board = "", actor = "", at } = {}) {
+  return {
+    flight_key: String(key),
+    event_type: type,
+    field,
+    old_value:  eventVal(oldValue),
+    new_value:  eventVal(newValue),
+    board,
+    actor,
+    created_at: at || new Date().toISOString(),
+  };
+}
+
+/** Append events in batches of 100 (never updated or deleted). */
+async function recordFlightEvents(env, events) {
+  if (!events.length) return;
+  const INS = env.DB.prepare(`
+    INSERT INTO flight_events (flight_key,event_type,field,old_value,new_value,board,actor,created_at)
+    VALUES (?,?,?,?,?,?,?,?)
+  `);
+  const batch = events.map(e => INS.bind(
+    e.flight_key, e.event_type, e.field, e.old_value, e.new_value, e.board, e.actor, e.created_at
+  ));
+  for (let i = 0; i < batch.length; i += 100)
+    await env.DB.batch(batch.slice(i, i + 100));
+}
+
+/** Current row for `key` — in-memory cache first, D1 fallback. */
+async function getFlightRow(env, key) {
+  const cached = _flightCache.find(r => r.key === key);
+  if (cached) return cached;
+  return env.DB.prepare("SELECT * FROM flights WHERE key = ? LIMIT 1").bind(key).first();
+}
+
+// ─────────────────────────────────────────────────────────────
+// § 10c  LIVE UPDATES  (Durable Object WebSocket hub)
+// ─────────────────────────────────────────────────────────────
+//
+// One BoardHub instance ("boards") holds every connected dispatch/lead/agent
+// socket.  Handlers publish sync results, field edits and ACKs to it;
+// boards apply them immediately and fall back to ETag polling when the
+// socket drops.  Uses the hibernation API so idle sockets cost nothing.
+//
+// The token is only checked at upgrade, so each socket carries its
+// session (sid, role, expiry): expired sockets are closed on the next
+// broadcast, and an alarm re-checks the sessions table for revoked,
+// disabled or re-roled accounts.  Messages are filtered per socket by
+// the app its board needs (liveMessageFor).
+
+const LIVE_HUB_NAME      = "boards";
+const LIVE_AUTH_CHECK_MS = 60_000;
+
+function getLiveHub(env) {
+  if (!env.BOARD_HUB) return null;
+  return env.BOARD_HUB.get(env.BOARD_HUB.idFromName(LIVE_HUB_NAME));
+}
+
+/**
+ * Broadcast a message to every connected board.  Best-effort: a failed
+ * publish never fails the write that triggered it.
+ * @param {object} msg  { type: "sync" | "edit" | "ack", ... }
+ */
+async function publishLive(env, msg) {
+  const hub = getLiveHub(env);
+  if (!hub) return;
+  try {
+    await hub.fetch("https://hub/broadcast", {
+      method: "POST",
+      body:   JSON.stringify({ ...msg, at: new Date().toISOString() }),
+    });
+  } catch (err) {
+    console.error("[live] publish error:", err?.message || err);
+  }
+}
+
+/** Close the live sockets opened by revoked sessions.  Best-effort. */
+async function closeLiveSessions(env, sids) {
+  const hub = getLiveHub(env);
+  if (!hub) return;
+  try {
+    await hub.fetch("https://hub/disconnect", { method: "POST", body: JSON.stringify({ sids }) });
+  } catch (err) {
+    console.error("[live] disconnect error:", err?.message || err);
+  }
+}
+
+/** App a live board needs: AGENT → agent, DISPATCH → dispatch, any lead zone board → lead. */
+function liveAppFor(board) {
+  if (board === "AGENT") return "agent";
+  if (board === "DISPATCH") return "dispatch";
+  return "lead";
+}
+
+/**
+ * The part of a broadcast a socket of `app` may see, or null.  ACKs go
+ * to the app that owns the board; agent sockets only learn that a
+ * flight changed (and whether its assignment did), never the patch.
+ */
+function liveMessageFor(app, msg) {
+  if (msg.type === "sync") return msg;
+  if (app === "agent") {
+    if (msg.type !== "edit") return null;
+    return { type: "edit", station: msg.station, key: msg.key, at: msg.at, assigned: msg.patch?.assignment !== undefined };
+  }
+  if (msg.type === "ack") return liveAppFor(msg.board) === app ? msg : null;
+  return msg;
+}
+
+function closeLiveSocket(ws, reason) {
+  try { ws.close(4001, reason); } catch { /* already closed */ }
+}
+
+/** GET /live?token=&board=&station=  — WebSocket upgrade (browsers can't set Authorization on WS). */
+async function handleLiveConnect(req, env) {
+  if ((req.headers.get("upgrade") || "").toLowerCase() !== "websocket")
+    return json({ ok: false, error: "Expected WebSocket upgrade" }, { status: 426 });
+
+  const url = new URL(req.url);
+  const v   = await verifyToken(env, url.searchParams.get("token") || "");
+  if (!v.ok) return json({ ok: false, error: v.error || "Unauthorized" }, { status: 401 });
+  const board = String(url.searchParams.get("board") || "").toUpperCase();
+  const app   = liveAppFor(board);
+  if (!v.access[app])
+    return json({ ok: false, error: `No access to ${app} live updates` }, { status: 403 });
+
+  const hub = getLiveHub(env);
+  if (!hub) return json({ ok: false, error: "Live updates not configured" }, { status: 503 });
+  const station = await resolveStation(env, url.searchParams.get("station"), v.user);
+
+  const fwd = new URL("https://hub/connect");
+  fwd.searchParams.set("username", v.user.username || "");
+  fwd.searchParams.set("sid", v.user.sid || "");
+  fwd.searchParams.set("role", v.user.role);
+  fwd.searchParams.set("userStation", v.user.station || "");
+  fwd.searchParams.set("expAt", String(v.user.expAt));
+  fwd.searchParams.set("station", station.code);
+  fwd.searchParams.set("board", board);
+  fwd.searchParams.set("app", app);
+  return hub.fetch(new Request(fwd.toString(), req));
+}
+
+export class BoardHub {
+  constructor(ctx, env) {
+    this.ctx = ctx;
+    this.env = env;
+    // Keep-alive answered without waking the object
+    this.ctx.setWebSocketAutoResponse(new WebSocketRequestResponsePair("ping", "pong"));
+  }
+
+  async fetch(req) {
+    const url = new URL(req.url);
+
+    if (url.pathname === "/broadcast") {
+      const msg = await req.json().catch(() => null);
+      if (!msg) return json({ ok: false, error: "Bad message" }, { status: 400 });
+      const now = Date.now();
+      const out = new Map();   // app → serialized message ("" = not for it)
+      let clients = 0;
+      for (const ws of this.ctx.getWebSockets()) {
+        const att = ws.deserializeAttachment() || {};
+        if (!(att.expAt > now)) { closeLiveSocket(ws, "session expired"); continue; }
+        // Boards only hear about their own station
+        if (msg.station && att.station !== msg.station) continue;
+        if (!out.has(att.app)) {
+          const m = liveMessageFor(att.app, msg);
+          out.set(att.app, m ? JSON.stringify(m) : "");
+        }
+        if (!out.get(att.app)) continue;
+        try { ws.send(out.get(att.app)); clients++; } catch { /* closing socket */ }
+      }
+      return json({ ok: true, clients });
+    }
+
+    if (url.pathname === "/disconnect") {
+      const sids = new Set((await req.json().catch(() => ({}))).sids || []);
+      let closed = 0;
+      for (const ws of this.ctx.getWebSockets()) {
+        if (!sids.has(ws.deserializeAttachment()?.sid)) continue;
+        closeLiveSocket(ws, "session revoked");
+        closed++;
+      }
+      return json({ ok: true, closed });
+    }
+
+    if (url.pathname === "/connect") {
+      const pair   = new WebSocketPair();
+      const [client, server] = Object.values(pair);
+      this.ctx.acceptWebSocket(server);
+      server.serializeAttachment({
+        username:    url.searchParams.get("username")    || "",
+        sid:         url.searchParams.get("sid")         || "",
+        role:        url.searchParams.get("role")        || "",
+        userStation: url.searchParams.get("userStation") || "",
+        expAt:       Number(url.searchParams.get("expAt")) || 0,
+        station:     url.searchParams.get("station")     || "",
+        board:       url.searchParams.get("board")       || "",
+        app:         url.searchParams.get("app")         || "",
+      });
+      server.send(JSON.stringify({ type: "hello", at: new Date().toISOString() }));
+      if (await this.ctx.storage.getAlarm() === null)
+        await this.ctx.storage.setAlarm(Date.now() + LIVE_AUTH_CHECK_MS);
+      return new Response(null, { status: 101, webSocket: client });
+    }
+
+    return json({ ok: false, error: "Not found" }, { status: 404 });
+  }
+
+  /** Close sockets whose session expired or no longer backs them; repeats while any are open. */
+  async alarm() {
+    const now  = Date.now();
+    const open = [];
+    for (const ws of this.ctx.getWebSockets()) {
+      const att = ws.deserializeAttachment() || {};
+      if (att.expAt > now) open.push([ws, att]);
+      else closeLiveSocket(ws, "session expired");
+    }
+    if (!open.length) return;
+
+    try {
+      const sids = [...new Set(open.map(([, att]) => att.sid))];
+      const sessions = new Map();
+      for (let i = 0; i < sids.length; i += 100) {
+        const chunk = sids.slice(i, i + 100);
+        const { results } = await this.env.DB.prepare(
+          `${SESSION_SQL} WHERE s.id IN (${chunk.map(() => "?").join(",")})`
+        ).bind(...chunk).all();
+        for (const r of results) sessions.set(r.id, r);
+      }
+      for (const [ws, att] of open)
+        if (!sessionMatches(sessions.get(att.sid), { role: att.role, station: att.userStation }))
+          closeLiveSocket(ws, "session revoked");
+    } catch (err) {
+      console.error("[live] session check error:", err?.message || err);
+    }
+    await this.ctx.storage.setAlarm(Date.now() + LIVE_AUTH_CHECK_MS);
+  }
+
+  webSocketMessage() { /* boards only listen */ }
+
+  webSocketClose(ws, code, reason) {
+    try { ws.close(code, reason); } catch { /* already closed */ }
+  }
+
+  webSocketError(ws) {
+    try { ws.close(1011, "error"); } catch { /* already closed */ }
+  }
+}
+
 // ─────────────────────────────────────────────────────────────
 // § 11  API HANDLERS
 // ─────────────────────────────────────────────────────────────
@@ -1057,21 +2585,72 @@ async function handleLogin(req, env) {
   if (!username || !pin)
     return json({ ok: false, error: "Missing username or pin." }, { status: 400 });
 
+  const ip       = req.headers.get("cf-connecting-ip") || "";
+  const lockedMs = await reserveLoginAttempt(env, username, ip, Date.now());
+  if (lockedMs > 0) {
+    return json(
+      { ok: false, error: `Too many failed attempts. Try again in ${Math.ceil(lockedMs / 60_000)} min.` },
+      { status: 429, headers: { "retry-after": String(Math.ceil(lockedMs / 1000)) } }
+    );
+  }
+
   const { results } = await env.DB.prepare(
-    "SELECT username, role, pin FROM users WHERE username = ? LIMIT 1"
+    "SELECT username, role, station, pin, disabled FROM users WHERE username = ? LIMIT 1"
   ).bind(username).all();
 
   const user = results[0];
-  if (!user || user.pin !== pin)
+  // Disabled accounts get the same answer as a wrong PIN, before the PIN is
+  // checked, so the response never confirms a disabled user's PIN
+  if (!user || isTrue(user.disabled) || !(await verifyPin(pin, user.pin)))
     return json({ ok: false, error: "Invalid username or pin." }, { status: 401 });
+  await clearLoginFailures(env, username, ip);
 
   const access = ROLE_ACCESS[user.role];
   if (!access)
     return json({ ok: false, error: `Invalid role: ${user.role}` }, { status: 401 });
 
-  const expAt = Date.now() + (6 * 60 * 60 * 1000);
-  const token = await signToken(env, { username: user.username, role: user.role, expAt });
-  return json({ ok: true, token, user: { username: user.username, role: user.role, expAt }, access });
+  // Transparent migration: re-store a legacy plaintext PIN as a hash
+  if (!isHashedPin(user.pin)) {
+    await env.DB.prepare(
+      "UPDATE users SET pin=?, pin_changed_at=COALESCE(pin_changed_at, ?) WHERE username=? AND pin=?"
+    ).bind(await hashPin(pin), new Date().toISOString(), user.username, user.pin).run();
+  }
+
+  const { sid, expAt } = await createSession(env, req, user);
+  const station = user.station || "";
+  const token = await signToken(env, { username: user.username, role: user.role, station, sid, expAt });
+  return json({ ok: true, token, user: { username: user.username, role: user.role, station, expAt }, access });
+}
+
+/** POST /auth/change-pin  { currentPin, newPin } — any signed-in user. */
+async function handleChangePin(req, env, user) {
+  const body       = await req.json().catch(() => ({}));
+  const currentPin = String(body.currentPin || "").trim();
+  const newPin     = String(body.newPin     || "").trim();
+
+  if (!PIN_RE.test(newPin))
+    return json({ ok: false, error: "New PIN must be 4–6 digits." }, { status: 400 });
+
+  const row = await env.DB.prepare(
+    "SELECT pin FROM users WHERE username = ? LIMIT 1"
+  ).bind(user.username).first();
+  if (!row || !(await verifyPin(currentPin, row.pin)))
+    return json({ ok: false, error: "Current PIN is incorrect." }, { status: 403 });
+
+  const nowIso = new Date().toISOString();
+  await env.DB.prepare(
+    "UPDATE users SET pin=?, pin_changed_at=?, updated_at=? WHERE username=?"
+  ).bind(await hashPin(newPin), nowIso, nowIso, user.username).run();
+
+  // Sign out every other device that knew the old PIN
+  const revoked = await revokeSessions(env, { username: user.username, exceptSid: user.sid, by: user.username });
+  return json({ ok: true, revokedSessions: revoked.length });
+}
+
+/** POST /auth/logout — revokes the caller's own session. */
+async function handleLogout(req, env, user) {
+  await revokeSessions(env, { sid: user.sid, by: user.username });
+  return json({ ok: true });
 }
 
 async function handleValidate(req, env) {
@@ -1085,14 +2664,18 @@ async function handleValidate(req, env) {
 
 // ── Dispatch rows ─────────────────────────────────────────────
 
-async function handleDispatchRows(req, env) {
+async function handleDispatchRows(req, env, user) {
+  const url      = new URL(req.url);
+  const station  = await resolveStation(env, url.searchParams.get("station"), user);
+  await reloadFlightCacheSince(env, url.searchParams.get("since"));
+  const etag     = stationETag(station.code);
+
   // ── ETag conditional polling — return 304 if nothing changed ──
   const ifNoneMatch = req.headers.get("if-none-match") || "";
-  if (_flightCacheETag && ifNoneMatch === _flightCacheETag) {
-    return new Response(null, { status: 304, headers: { "ETag": _flightCacheETag } });
+  if (etag && ifNoneMatch === etag) {
+    return new Response(null, { status: 304, headers: { "ETag": etag } });
   }
 
-  const url      = new URL(req.url);
   const fromTime = url.searchParams.get("from") || "";
   const toTime   = url.searchParams.get("to")   || "";
   const opsDay   = url.searchParams.get("opsDay") || "current";
@@ -1101,8 +2684,8 @@ async function handleDispatchRows(req, env) {
     fromTime: fromTime || undefined,
     toTime:   toTime   || undefined,
     opsDay:   opsDay   || undefined,
-  });
-  const rows = await getFlightsInWindow(env, win.startISO, win.endISO);
+  }, station);
+  const rows = await getFlightsInWindow(env, station.code, win.startISO, win.endISO);
 
   const out = rows
     .map(r => {
@@ -1116,32 +2699,88 @@ async function handleDispatchRows(req, env) {
         origin:      r.origin_dest,
         gate:        r.gate,
         zone:        r.zone_current,
+        status:      r.status || STATUS_SCHEDULED,
+        dropped:     isTrue(r.feed_missing),
+        rekeyedFrom: r.rekeyed_from || "",
+        source:      r.source || SOURCE_FIDS,
+        prmRecords:  Number(r.prm_records) || 0,
+        prmSummary:  r.prm_summary || "",
+        connections: parseConnLinks(r.conn_links),
 
         alert:       acked ? "" : (r.alert_text || ""),
         gateChanged: acked ? false : isTrue(r.gate_changed),
         zoneChanged: acked ? false : isTrue(r.zone_changed),
         timeChanged: acked ? false : isTrue(r.time_changed),
+        statusChanged: acked ? false : isTrue(r.status_changed),
 
         timeDelta:   acked ? ""  : String(r.time_delta_min ?? ""),
         timeChgAt:   acked ? ""  : (r.time_chg_time || ""),
 
         wchr:        String(r.wchr ?? ""),
         wchc:        String(r.wchc ?? ""),
+        ambulift:    String(r.ambulift ?? ""),
         comment:     r.comment || "",
         assignment:  r.assignment || "",
         pax:         String(r.pax_assisted ?? ""),
+        version:     Number(r.edit_version) || 0,
       });
     })
     .sort((a, b) => new Date(a.timeEst).getTime() - new Date(b.timeEst).getTime());
 
   const res = json({ ok: true, rows: out, generatedAt: new Date().toISOString() });
-  if (_flightCacheETag) res.headers.set("ETag", _flightCacheETag);
+  if (etag) res.headers.set("ETag", etag);
   return res;
 }
 
+// ── Edit versions (optimistic concurrency) ────────────────────
+// flights.edit_version goes up on every dispatch / lead edit.  Boards send
+// back the version their row showed (body `version` or If-Match); an edit
+// against an older version is refused with 409 and the current values, so
+// the board can offer a merge instead of overwriting someone else's change.
+
+/** Version the client edited from; null when it sent none, NaN when malformed. */
+function expectedEditVersion(req, body) {
+  const raw = body.version ?? String(req.headers.get("if-match") || "").replace(/^W\//, "").replaceAll('"', "");
+  if (raw === null || raw === "") return null;
+  const n = Number(raw);
+  return Number.isInteger(n) && n >= 0 ? n : NaN;
+}
+
+/** UPDATE flights … bumping edit_version → the new version, or null on a version mismatch. */
+async function updateFlightVersioned(env, key, fields, vals, expected) {
+  const check = expected === null ? "" : " AND edit_version=?";
+  const row = await env.DB.prepare(
+    `UPDATE flights SET ${fields.join(",")},edit_version=edit_version+1 WHERE key=?${check} RETURNING edit_version`
+  ).bind(...vals, key, ...(expected === null ? [] : [expected])).first();
+  return row ? Number(row.edit_version) : null;
+}
+
+/** 409 with the row's current values, read from D1 (the cache may be behind). */
+async function editConflict(env, key, toClient) {
+  const row = await env.DB.prepare("SELECT * FROM flights WHERE key = ? LIMIT 1").bind(key).first();
+  if (!row) return json({ ok: false, error: "Unknown flight." }, { status: 404 });
+  updateCacheRow(key, row);
+  _patches.delete(String(key));
+  const last = await env.DB.prepare(
+    "SELECT actor, created_at FROM flight_events WHERE flight_key = ? AND event_type = 'edit' ORDER BY id DESC LIMIT 1"
+  ).bind(key).first();
+  return json({
+    ok: false, error: "This flight was changed by someone else.",
+    version: Number(row.edit_version) || 0, current: toClient(row),
+    changedBy: last?.actor || "", changedAt: last?.created_at || "",
+  }, { status: 409 });
+}
+
+const dispatchEditValues = r => ({
+  wchr: String(r.wchr ?? ""), wchc: String(r.wchc ?? ""), ambulift: String(r.ambulift ?? ""), comment: r.comment || "",
+});
+const leadEditValues = r => ({
+  assignment: r.assignment || "", pax: String(r.pax_assisted ?? ""), watchlist: r.watchlist || "",
+});
+
 // ── Dispatch update ───────────────────────────────────────────
 
-async function handleDispatchUpdate(req, env) {
+async function handleDispatchUpdate(req, env, user) {
   const body    = await req.json().catch(() => ({}));
   const key     = String(body.key || "");
   if (!key) throw new Error("Missing key");
@@ -1149,41 +2788,51 @@ async function handleDispatchUpdate(req, env) {
   const fields = [];
   const vals   = [];
   const patch  = {};
+  const events = [];
+  const actor  = user?.username || "";
+
+  // Previous values (read from cache first, then D1 fallback)
+  const before = await getFlightRow(env, key);
+  assertStationAccess(user, stationFromKey(key));
+  const expected = expectedEditVersion(req, body);
+  if (Number.isNaN(expected)) return json({ ok: false, error: "Invalid version." }, { status: 400 });
+
+  if ((body.wchr !== undefined || body.wchc !== undefined) && Number(before?.prm_records) > 0)
+    return json({ ok: false, error: "WCHR/WCHC on this flight come from its passenger list." }, { status: 409 });
 
   if (body.wchr !== undefined) {
-    // Track previous value (read from cache first, then D1 fallback)
-    let cachedRow = _flightCache.find(r => r.key === key);
-    if (!cachedRow) {
-      const { results } = await env.DB.prepare(
-        "SELECT wchr, wchc FROM flights WHERE key = ?"
-      ).bind(key).all();
-      cachedRow = results[0];
-    }
-    const oldWchr = cachedRow?.wchr ?? 0;
+    const oldWchr = before?.wchr ?? 0;
     if (String(oldWchr) !== String(body.wchr)) {
       fields.push("prev_wchr=?"); vals.push(oldWchr);
+      events.push(flightEvent(key, "edit", { field: "wchr", oldValue: oldWchr, newValue: body.wchr, board: "DISPATCH", actor }));
     }
     fields.push("wchr=?");  vals.push(body.wchr);
     patch.wchr = String(body.wchr ?? "");
   }
 
   if (body.wchc !== undefined) {
-    let cachedRow = _flightCache.find(r => r.key === key);
-    if (!cachedRow) {
-      const { results } = await env.DB.prepare(
-        "SELECT wchr, wchc FROM flights WHERE key = ?"
-      ).bind(key).all();
-      cachedRow = results[0];
-    }
-    const oldWchc = cachedRow?.wchc ?? 0;
+    const oldWchc = before?.wchc ?? 0;
     if (String(oldWchc) !== String(body.wchc)) {
       fields.push("prev_wchc=?"); vals.push(oldWchc);
+      events.push(flightEvent(key, "edit", { field: "wchc", oldValue: oldWchc, newValue: body.wchc, board: "DISPATCH", actor }));
     }
     fields.push("wchc=?");  vals.push(body.wchc);
     patch.wchc = String(body.wchc ?? "");
   }
 
+  if (body.ambulift !== undefined) {
+    const n = String(body.ambulift ?? "").trim() === "" ? 0 : Number(body.ambulift);
+    if (!Number.isInteger(n) || n < 0 || n > AMBULIFT_MAX)
+      return json({ ok: false, error: `Ambulift must be a whole number 0–${AMBULIFT_MAX}.` }, { status: 400 });
+    if (Number(before?.ambulift ?? 0) !== n)
+      events.push(flightEvent(key, "edit", { field: "ambulift", oldValue: before?.ambulift ?? 0, newValue: n, board: "DISPATCH", actor }));
+    fields.push("ambulift=?"); vals.push(n);
+    patch.ambulift = String(n);
+  }
+
   if (body.comment !== undefined) {
+    if (String(before?.comment ?? "") !== String(body.comment ?? ""))
+      events.push(flightEvent(key, "edit", { field: "comment", oldValue: before?.comment ?? "", newValue: body.comment, board: "DISPATCH", actor }));
     fields.push("comment=?"); vals.push(body.comment);
     patch.comment = String(body.comment ?? "");
   }
@@ -1191,36 +2840,156 @@ async function handleDispatchUpdate(req, env) {
   if (!fields.length) return json({ ok: true });
 
   fields.push("updated_at=?"); vals.push(new Date().toISOString());
-  vals.push(key);
 
-  await env.DB.prepare(
-    `UPDATE flights SET ${fields.join(",")} WHERE key=?`
-  ).bind(...vals).run();
+  const version = await updateFlightVersioned(env, key, fields, vals, expected);
+  if (version === null) return editConflict(env, key, dispatchEditValues);
+  await recordFlightEvents(env, events);
+  patch.version = version;
 
   // Update in-memory cache with DB-level fields
-  const dbPatch = {};
+  const dbPatch = { edit_version: version };
   if (body.wchr !== undefined)    dbPatch.wchr = body.wchr;
   if (body.wchc !== undefined)    dbPatch.wchc = body.wchc;
   if (body.comment !== undefined) dbPatch.comment = body.comment;
+  if (patch.ambulift !== undefined) dbPatch.ambulift = Number(patch.ambulift);
   updateCacheRow(key, dbPatch);
 
-  if (Object.keys(patch).length) setPatch(key, patch);
-  return json({ ok: true });
+  if (Object.keys(patch).length) {
+    setPatch(key, patch);
+    await publishLive(env, { type: "edit", station: stationFromKey(key), key, board: "DISPATCH", patch });
+  }
+  return json({ ok: true, version });
 }
 
 // ── Dispatch ACK ──────────────────────────────────────────────
 
-async function handleDispatchAck(req, env) {
+async function handleDispatchAck(req, env, user) {
   const body = await req.json().catch(() => ({}));
   const key  = String(body.key || "");
   if (!key) throw new Error("Missing key");
 
+  assertStationAccess(user, stationFromKey(key));
+  const before = await getFlightRow(env, key);
+  if (!before) return json({ ok: false, error: "Unknown flight." }, { status: 404 });
+  const nowIso = new Date().toISOString();
+
   await env.DB.prepare(
     "UPDATE flights SET dispatch_ack=1, updated_at=? WHERE key=?"
-  ).bind(new Date().toISOString(), key).run();
+  ).bind(nowIso, key).run();
+  await recordFlightEvents(env, [flightEvent(key, "ack", {
+    field: "dispatch_ack", oldValue: before.dispatch_ack ?? 0, newValue: 1,
+    board: "DISPATCH", actor: user?.username || "", at: nowIso,
+  })]);
+  await ackRecordStmt(env, {
+    station: stationFromKey(key), key, board: "DISPATCH",
+    alertText: before.alert_text, actor: user?.username || "", at: nowIso,
+  }).run();
 
   updateCacheRow(key, { dispatch_ack: 1 });
-  setPatch(key, { alert: "", gateChanged: false, timeChanged: false, zoneChanged: false });
+  setPatch(key, { alert: "", gateChanged: false, timeChanged: false, zoneChanged: false, statusChanged: false });
+  await publishLive(env, { type: "ack", station: stationFromKey(key), key, board: "DISPATCH" });
+  return json({ ok: true });
+}
+
+// ── Manual flights (charters, diversions, ad-hoc requests) ───
+// Rows with source = 'manual' are never flagged or dropped by the FIDS
+// reconciliation; when the feed later lists the same flight the sync
+// merges into the manual row (see syncFIDSToD1).
+
+const MANUAL_FLIGHT_RE = /^[A-Z0-9]{2}\d{1,4}[A-Z]?$/;
+
+function parseCount(v) {
+  if (v === undefined || v === null || String(v).trim() === "") return 0;
+  const n = Number(v);
+  return Number.isInteger(n) && n >= 0 && n <= 99 ? n : NaN;
+}
+
+/**
+ * POST /dispatch/flights
+ * { station?, type: "ARR"|"DEP", flight, sched, est?, originDest?, gate?, terminal?, wchr?, wchc?, comment? }
+ * sched / est: ISO, or station-local "YYYY-MM-DDTHH:mm".
+ */
+async function handleManualFlightCreate(req, env, user) {
+  const body    = await req.json().catch(() => ({}));
+  const station = await resolveStation(env, body.station, user);
+
+  const type     = String(body.type || "").trim().toUpperCase();
+  const flightNo = normalizeFlightNoKey(body.flight);
+  const schedIso = parseFIDSTime(body.sched, station.tz);
+  const estIso   = parseFIDSTime(body.est, station.tz) || schedIso;
+  const port     = String(body.originDest || "").trim().toUpperCase();
+  const wchr     = parseCount(body.wchr);
+  const wchc     = parseCount(body.wchc);
+
+  if (type !== "ARR" && type !== "DEP")
+    return json({ ok: false, error: "type must be ARR or DEP." }, { status: 400 });
+  if (!MANUAL_FLIGHT_RE.test(flightNo))
+    return json({ ok: false, error: "Flight must look like WS816 / F8 501." }, { status: 400 });
+  if (!schedIso)
+    return json({ ok: false, error: "Provide a scheduled time." }, { status: 400 });
+  if (port && !/^[A-Z]{3}$/.test(port))
+    return json({ ok: false, error: "Origin/destination must be a 3-letter IATA code." }, { status: 400 });
+  if (Number.isNaN(wchr) || Number.isNaN(wchc))
+    return json({ ok: false, error: "WCHR / WCHC must be whole numbers." }, { status: 400 });
+
+  const flight = formatFlightNo(flightNo);
+  const key    = buildFlightKey(type, flight, schedIso, station.tz, station.code);
+  if (await getFlightRow(env, key))
+    return json({ ok: false, error: `${flight} ${type} at that time is already on the board.` }, { status: 409 });
+
+  const gate     = String(body.gate || "").trim().toUpperCase();
+  const terminal = String(body.terminal || "").trim();
+  const region   = getRegionForPort(port, await getCachedUSCodes(env));
+  const zone     = getZoneForFlight(type, gate, terminal, region,
+                     await getCachedZoneOverrides(env, station.code),
+                     await getCachedZoneRules(env, station.code)) || ZONE_UNASSIGNED;
+
+  const nowIso = new Date().toISOString();
+  const actor  = user?.username || "";
+  await env.DB.prepare(`
+    INSERT INTO flights
+      (key,station,type,flight,time_est,sched,origin_dest,gate,terminal,
+       zone_current,zone_previous,zone_prev,status,alert_text,
+       wchr,wchc,comment,source,created_by,created_at,updated_at)
+    VALUES (?,?,?,?,?,?,?,?,?,?,?,'',?,'',?,?,?,?,?,?,?)
+  `).bind(
+    key, station.code, type, flight, estIso, schedIso, port, gate, terminal,
+    zone, zone, STATUS_SCHEDULED,
+    wchr, wchc, String(body.comment || ""), SOURCE_MANUAL, actor, nowIso, nowIso
+  ).run();
+  await recordFlightEvents(env, [flightEvent(key, "edit", {
+    field: "source", oldValue: "", newValue: SOURCE_MANUAL, board: "DISPATCH", actor, at: nowIso,
+  })]);
+
+  await refreshFlightCache(env);
+  await publishLive(env, { type: "sync", station: station.code, inserted: 1, updated: 0 });
+  return json({ ok: true, key, zone });
+}
+
+/** DELETE /dispatch/flights?key=  — manual flights only. */
+async function handleManualFlightDelete(req, env, user) {
+  const key = String(new URL(req.url).searchParams.get("key") || "").trim();
+  if (!key) return json({ ok: false, error: "Provide ?key=" }, { status: 400 });
+  assertStationAccess(user, stationFromKey(key));
+
+  const row = await getFlightRow(env, key);
+  if (!row) return json({ ok: false, error: "Unknown flight." }, { status: 404 });
+  if (row.source !== SOURCE_MANUAL)
+    return json({ ok: false, error: "Only manually created flights can be deleted." }, { status: 409 });
+
+  await env.DB.batch([
+    env.DB.prepare("DELETE FROM flights WHERE key = ? AND source = ?").bind(key, SOURCE_MANUAL),
+    env.DB.prepare("DELETE FROM prm_passengers WHERE flight_key = ?").bind(key),
+    env.DB.prepare("DELETE FROM flight_connections WHERE arr_key = ? OR dep_key = ?").bind(key, key),
+    env.DB.prepare("DELETE FROM prm_jobs WHERE flight_key = ?").bind(key),
+  ]);
+  await evaluateConnections(env, await resolveStation(env, row.station, user), { actor: user?.username || "" });
+  await recordFlightEvents(env, [flightEvent(key, "edit", {
+    field: "deleted", oldValue: "", newValue: 1, board: "DISPATCH", actor: user?.username || "",
+  })]);
+
+  await refreshFlightCache(env);
+  await publishLive(env, { type: "sync", station: row.station, inserted: 0, updated: 1 });
   return json({ ok: true });
 }
 
@@ -1236,14 +3005,18 @@ function handleLeadInit() {
 
 // ── Lead rows ─────────────────────────────────────────────────
 
-async function handleLeadRows(req, env) {
+async function handleLeadRows(req, env, user) {
+  const url        = new URL(req.url);
+  const station    = await resolveStation(env, url.searchParams.get("station"), user);
+  await reloadFlightCacheSince(env, url.searchParams.get("since"));
+  const etag       = stationETag(station.code);
+
   // ── ETag conditional polling — return 304 if nothing changed ──
   const ifNoneMatch = req.headers.get("if-none-match") || "";
-  if (_flightCacheETag && ifNoneMatch === _flightCacheETag) {
-    return new Response(null, { status: 304, headers: { "ETag": _flightCacheETag } });
+  if (etag && ifNoneMatch === etag) {
+    return new Response(null, { status: 304, headers: { "ETag": etag } });
   }
 
-  const url        = new URL(req.url);
   const zoneWanted = normalizeZone(url.searchParams.get("zone") || "TB");
   const typeFilter = String(url.searchParams.get("type") || "ALL").toUpperCase();
   const q          = String(url.searchParams.get("q") || "").trim().toUpperCase().replace(/\s+/g, "");
@@ -1255,11 +3028,12 @@ async function handleLeadRows(req, env) {
     fromTime: fromTime || undefined,
     toTime:   toTime   || undefined,
     opsDay:   opsDay   || undefined,
-  });
-  const rows = await getFlightsInWindow(env, win.startISO, win.endISO);
+  }, station);
+  const rows = await getFlightsInWindow(env, station.code, win.startISO, win.endISO);
 
   // Board ACK column for the wanted zone
   const board   = zoneWanted !== "ALL" ? ZONE_TO_BOARD[zoneWanted] : null;
+  const clashes = conflictNamesByKey(rows);
 
   const out = [];
   for (const r of rows) {
@@ -1296,17 +3070,29 @@ async function handleLeadRows(req, env) {
       origin:      r.origin_dest || "",
       gate:        r.gate,
       zone:        r.zone_current,
+      status:      r.status || STATUS_SCHEDULED,
+      dropped:     isTrue(r.feed_missing),
+      rekeyedFrom: r.rekeyed_from || "",
+      source:      r.source || SOURCE_FIDS,
+      prmRecords:  Number(r.prm_records) || 0,
+      prmSummary:  r.prm_summary || "",
+      connections: parseConnLinks(r.conn_links),
+      jobs:        parseJobs(r.prm_jobs),
 
       wchr:        String(r.wchr ?? ""),
       wchc:        String(r.wchc ?? ""),
+      ambulift:    String(r.ambulift ?? ""),
       assignment:  r.assignment || "",
+      conflicts:   clashes.get(r.key) || [],
       pax:         String(r.pax_assisted ?? ""),
       watchlist:   r.watchlist || "",
+      version:     Number(r.edit_version) || 0,
 
       alert:       ackedHere ? "" : (r.alert_text || ""),
       gateChanged: ackedHere ? false : isTrue(r.gate_changed),
       zoneChanged: ackedHere ? false : isTrue(r.zone_changed),
       timeChanged: ackedHere ? false : isTrue(r.time_changed),
+      statusChanged: ackedHere ? false : isTrue(r.status_changed),
 
       zoneFrom:    ackedHere ? "" : (r.zone_chg_from || ""),
       zoneTo:      ackedHere ? "" : (r.zone_chg_to   || ""),
@@ -1316,7 +3102,7 @@ async function handleLeadRows(req, env) {
 
   out.sort((a, b) => new Date(a.timeEst).getTime() - new Date(b.timeEst).getTime());
   const res = json({ ok: true, rows: out, generatedAt: new Date().toISOString() });
-  if (_flightCacheETag) res.headers.set("ETag", _flightCacheETag);
+  if (etag) res.headers.set("ETag", etag);
   return res;
 }
 
@@ -1330,17 +3116,45 @@ async function handleLeadUpdate(req, env, user) {
   const fields = [];
   const vals   = [];
   const patch  = {};
+  const events = [];
+  const actor  = user.username || "";
+  const board  = ZONE_TO_BOARD[normalizeZone(body.zone || "")] || "";
+  const station = await resolveStation(env, stationFromKey(key), user);
+  const before = await getFlightRow(env, key);
+  const expected = expectedEditVersion(req, body);
+  if (Number.isNaN(expected)) return json({ ok: false, error: "Invalid version." }, { status: 400 });
+  let conflicts = [];
 
   if (body.assignment !== undefined) {
+    // Every newly added name must be a rostered agent for the current ops
+    // window; names already on the flight stay even once their shift is over
+    const names = String(body.assignment || "").split(",").map(n => n.trim()).filter(Boolean);
+    const had   = assignmentNames(before?.assignment);
+    const added = names.filter(n => !had.includes(n.toUpperCase()));
+    if (added.length) {
+      const win      = computeFullOpsWindow(new Date(), station);
+      const rostered = await getRosteredNames(env, station.code, win.start.toISOString(), win.end.toISOString());
+      const unknown  = added.filter(n => !rostered.has(n.toUpperCase()));
+      if (unknown.length)
+        return json({ ok: false, error: `Not on the roster: ${unknown.join(", ")}` }, { status: 400 });
+    }
     fields.push("assignment=?", "assign_edited_by=?", "assign_edited_at=?");
     vals.push(body.assignment, user.username || "", new Date().toISOString());
     patch.assignment = String(body.assignment ?? "");
+    if (String(before?.assignment ?? "") !== patch.assignment)
+      events.push(flightEvent(key, "edit", { field: "assignment", oldValue: before?.assignment ?? "", newValue: patch.assignment, board, actor }));
+
+    // Warn (don't block) when a newly added agent can't make both flights
+    if (before && added.length)
+      conflicts = await assignmentConflicts(env, station, { ...before, assignment: patch.assignment }, added);
   }
 
   if (body.pax !== undefined) {
     fields.push("pax_assisted=?");
     vals.push(body.pax);
     patch.pax = String(body.pax ?? "");
+    if (String(before?.pax_assisted ?? "") !== patch.pax)
+      events.push(flightEvent(key, "edit", { field: "pax_assisted", oldValue: before?.pax_assisted ?? "", newValue: patch.pax, board, actor }));
   }
 
   if (body.watchlist !== undefined) {
@@ -1348,31 +3162,36 @@ async function handleLeadUpdate(req, env, user) {
     fields.push("watchlist=?");
     vals.push(wVal);
     patch.watchlist = wVal;
+    if (String(before?.watchlist ?? "") !== wVal)
+      events.push(flightEvent(key, "edit", { field: "watchlist", oldValue: before?.watchlist ?? "", newValue: wVal, board, actor }));
   }
 
   if (!fields.length) return json({ ok: true });
 
   fields.push("updated_at=?"); vals.push(new Date().toISOString());
-  vals.push(key);
 
-  await env.DB.prepare(
-    `UPDATE flights SET ${fields.join(",")} WHERE key=?`
-  ).bind(...vals).run();
+  const version = await updateFlightVersioned(env, key, fields, vals, expected);
+  if (version === null) return editConflict(env, key, leadEditValues);
+  await recordFlightEvents(env, events);
+  patch.version = version;
 
   // Update in-memory cache with DB-level fields
-  const dbPatch = {};
+  const dbPatch = { edit_version: version };
   if (body.assignment !== undefined) dbPatch.assignment = body.assignment;
   if (body.pax !== undefined)        dbPatch.pax_assisted = body.pax;
   if (body.watchlist !== undefined)   dbPatch.watchlist = (body.watchlist === true || body.watchlist === "true" || body.watchlist === 1) ? "1" : "";
   updateCacheRow(key, dbPatch);
 
-  if (Object.keys(patch).length) setPatch(key, patch);
-  return json({ ok: true });
+  if (Object.keys(patch).length) {
+    setPatch(key, patch);
+    await publishLive(env, { type: "edit", station: station.code, key, board, patch });
+  }
+  return json({ ok: true, version, conflicts });
 }
 
 // ── Lead ACK ──────────────────────────────────────────────────
 
-async function handleLeadAck(req, env) {
+async function handleLeadAck(req, env, user) {
   const body     = await req.json().catch(() => ({}));
   const key      = String(body.key || "");
   const zoneRaw  = String(body.zone || "");
@@ -1385,20 +3204,15 @@ async function handleLeadAck(req, env) {
   const ackCol = BOARD_ACK_COL[board];
   const nowIso = new Date().toISOString();
 
-  // Check ZonePrev carry-over from cache (avoid D1 read)
-  let row = _flightCache.find(r => r.key === key);
-  if (!row) {
-    // Cache miss — fall back to D1
-    const { results } = await env.DB.prepare(
-      "SELECT zone_prev, zone_current FROM flights WHERE key=? LIMIT 1"
-    ).bind(key).all();
-    row = results[0];
-  }
+  assertStationAccess(user, stationFromKey(key));
+
+  // Check ZonePrev carry-over (cache first, D1 fallback)
+  const row = await getFlightRow(env, key);
+  if (!row) return json({ ok: false, error: "Unknown flight." }, { status: 404 });
 
   // If zone_prev matches the ACKing zone and flight has moved away,
   // clear zone_prev (mirrors GAS ackFlight / setBoardAckByKey_)
   const clearZonePrev =
-    row &&
     normalizeZone(row.zone_prev) === zone &&
     normalizeZone(row.zone_current) !== zone;
 
@@ -1407,74 +3221,3550 @@ async function handleLeadAck(req, env) {
     : `UPDATE flights SET ${ackCol}=1, updated_at=? WHERE key=?`;
 
   await env.DB.prepare(sql).bind(nowIso, key).run();
+  await recordFlightEvents(env, [flightEvent(key, "ack", {
+    field: ackCol, oldValue: row[ackCol] ?? 0, newValue: 1,
+    board, actor: user?.username || "", at: nowIso,
+  })]);
+  await ackRecordStmt(env, {
+    station: stationFromKey(key), key, board,
+    alertText: row.alert_text, actor: user?.username || "", at: nowIso,
+  }).run();
 
   const ackPatch = { [ackCol]: 1 };
   if (clearZonePrev) ackPatch.zone_prev = "";
   updateCacheRow(key, ackPatch);
-  setPatch(key, { alert: "", gateChanged: false, timeChanged: false, zoneChanged: false });
+  setPatch(key, { alert: "", gateChanged: false, timeChanged: false, zoneChanged: false, statusChanged: false });
+  await publishLive(env, { type: "ack", station: stationFromKey(key), key, board });
   return json({ ok: true });
 }
 
-// ── D1 query helper (uses in-memory cache when available) ─────
+// ── Flight history ────────────────────────────────────────────
 
-async function getFlightsInWindow(env, startISO, endISO) {
-  // If cache is warm (populated by last cron sync), filter in-memory — ZERO D1 reads
-  if (_flightCache.length > 0 && (Date.now() - _flightCacheAt) < FLIGHT_CACHE_MAX_AGE) {
-    return _flightCache.filter(r =>
-      r.time_est >= startISO && r.time_est <= endISO
-    );
+async function handleFlightHistory(req, env, user) {
+  const url = new URL(req.url);
+  const key = String(url.searchParams.get("key") || "").trim();
+  if (!key) return json({ ok: false, error: "Provide ?key=" }, { status: 400 });
+  assertStationAccess(user, stationFromKey(key));
+
+  // Follow re-keys back so a re-timed flight keeps its earlier history
+  const keys = [key];
+  for (let hop = 0; hop < 5; hop++) {
+    const prev = await env.DB.prepare(
+      "SELECT old_value FROM flight_events WHERE flight_key = ? AND field = 'rekey' AND new_value = ? ORDER BY id DESC LIMIT 1"
+    ).bind(keys[keys.length - 1], keys[keys.length - 1]).first();
+    if (!prev?.old_value || keys.includes(prev.old_value)) break;
+    keys.push(prev.old_value);
   }
-  // Cache miss (cold start / isolate recycled) — query D1 and populate cache
-  await refreshFlightCache(env);
-  return _flightCache.filter(r =>
-    r.time_est >= startISO && r.time_est <= endISO
-  );
+
+  const { results } = await env.DB.prepare(`
+    SELECT id, flight_key, event_type, field, old_value, new_value, board, actor, created_at
+    FROM flight_events WHERE flight_key IN (${keys.map(() => "?").join(",")}) ORDER BY id DESC LIMIT 500
+  `).bind(...keys).all();
+
+  const events = results.map(r => ({
+    id:       r.id,
+    key:      r.flight_key,
+    type:     r.event_type,
+    field:    r.field,
+    oldValue: r.old_value,
+    newValue: r.new_value,
+    board:    r.board,
+    actor:    r.actor,
+    at:       r.created_at,
+  }));
+
+  // Who ACKed what, per board (newest first)
+  const { results: ackRows } = await env.DB.prepare(`
+    SELECT board, alert_text, alerted_at, acked_by, acked_at, bulk
+    FROM flight_acks WHERE flight_key IN (${keys.map(() => "?").join(",")}) ORDER BY id DESC LIMIT 200
+  `).bind(...keys).all();
+  const acks = ackRows.map(a => ({
+    board:     a.board,
+    alert:     a.alert_text || "",
+    alertedAt: a.alerted_at || "",
+    by:        a.acked_by,
+    at:        a.acked_at,
+    bulk:      isTrue(a.bulk),
+  }));
+  return json({ ok: true, key, events, acks });
 }
 
-// ─────────────────────────────────────────────────────────────
-// § 12  SCHEDULED HANDLER  (Cron Triggers)
-// ─────────────────────────────────────────────────────────────
+// ── Lead roster (agents + shifts) ─────────────────────────────
 
-async function handleScheduled(event, env) {
-  const cron = event.cron || "";
+const ROSTER_ZONES = [ZONE_TB, ZONE_GATES, ZONE_PIERA, ZONE_T1];
 
-  // Nightly archive at 03:30 Toronto time (07:30 UTC in EDT, 08:30 UTC in EST)
-  if (cron === "30 7 * * *" || cron === "30 8 * * *") {
-    try { await nightlyArchive(env); }
-    catch (err) { console.error("[archive] error:", err?.message || err); }
-    return;
-  }
+function parseIsoOrNull(v) {
+  if (!v) return null;
+  const d = new Date(v);
+  return isNaN(d.getTime()) ? null : d.toISOString();
+}
 
-  // Every-minute FIDS sync (all other cron expressions)
-  try {
-    const { arrivals, departures } = await fetchFIDSData(env);
-    const result = await syncFIDSToD1(env, arrivals, departures);
-    console.log(`[cron] sync complete:`, JSON.stringify(result));
-  } catch (err) {
-    console.error("[cron] sync error:", err?.message || err);
-  }
+/** Validate a breaks array → normalized [{start,end}] (ISO UTC). Throws on bad input. */
+function normalizeBreaks(raw) {
+  if (raw == null || raw === "") return [];
+  const list = Array.isArray(raw) ? raw : JSON.parse(String(raw));
+  return list.map(b => {
+    const start = parseIsoOrNull(b?.start);
+    const end   = parseIsoOrNull(b?.end);
+    if (!start || !end || end <= start) throw new Error("Invalid break window.");
+    return { start, end };
+  });
 }
 
-// ─────────────────────────────────────────────────────────────
-// § 13  FETCH HANDLER  (HTTP router)
-// ─────────────────────────────────────────────────────────────
+function shiftToJson(s) {
+  let breaks = [];
+  try { breaks = JSON.parse(s.breaks || "[]"); } catch {}
+  const nowIso = new Date().toISOString();
+  return {
+    id:      s.id,
+    agentId: s.agent_id,
+    station: s.station,
+    zone:    s.zone,
+    start:   s.shift_start,
+    end:     s.shift_end,
+    breaks,
+    onShift: s.shift_start <= nowIso && nowIso <= s.shift_end,
+    onBreak: breaks.some(b => b.start <= nowIso && nowIso <= b.end),
+  };
+}
 
-export default {
-  async fetch(req, env, ctx) {
-    const origin = req.headers.get("origin") || "*";
+/** Later of an ISO window start and now: shifts that already ended (or were removed) don't count. */
+function rosterFrom(startISO) {
+  const nowIso = new Date().toISOString();
+  return startISO > nowIso ? startISO : nowIso;
+}
 
-    if (req.method === "OPTIONS")
-      return withCors(new Response(null, { status: 204 }), origin);
+/**
+ * Names of active agents with a shift at `stationCode` overlapping
+ * [startISO, endISO] that hasn't ended yet.  Used by handleLeadUpdate to
+ * validate assignments.
+ */
+async function getRosteredNames(env, stationCode, startISO, endISO) {
+  const { results } = await env.DB.prepare(`
+    SELECT DISTINCT a.name FROM agents a
+    JOIN agent_shifts s ON s.agent_id = a.id
+    WHERE a.active = 1 AND s.station = ? AND s.shift_start <= ? AND s.shift_end > ?
+  `).bind(stationCode, endISO, rosterFrom(startISO)).all();
+  return new Set(results.map(r => r.name.toUpperCase()));
+}
 
-    try {
-      const url  = new URL(req.url);
-      const path = url.pathname.replace(/\/+$/, "") || "/";
+async function handleLeadAgents(req, env, user) {
+  const url  = new URL(req.url);
+  const station = await resolveStation(env, url.searchParams.get("station"), user);
+  const zone = normalizeZone(url.searchParams.get("zone") || "");
+  const win  = computeFullOpsWindow(new Date(), station);
+  const startISO = win.start.toISOString();
+  const endISO   = win.end.toISOString();
+
+  const binds = [station.code, endISO, rosterFrom(startISO)];
+  let sql = `
+    SELECT s.*, a.name, a.active FROM agent_shifts s
+    JOIN agents a ON a.id = s.agent_id
+    WHERE a.active = 1 AND s.station = ? AND s.shift_start <= ? AND s.shift_end > ?`;
+  if (zone && zone !== "ALL") { sql += " AND s.zone = ?"; binds.push(zone); }
+  sql += " ORDER BY s.shift_start, a.name";
+
+  const { results } = await env.DB.prepare(sql).bind(...binds).all();
+
+  // Group shifts under their agent
+  const byAgent = new Map();
+  for (const s of results) {
+    if (!byAgent.has(s.agent_id))
+      byAgent.set(s.agent_id, { id: s.agent_id, name: s.name, shifts: [] });
+    byAgent.get(s.agent_id).shifts.push(shiftToJson(s));
+  }
+
+  const agents = [...byAgent.values()].map(a => ({
+    ...a,
+    onShift: a.shifts.some(s => s.onShift),
+    onBreak: a.shifts.some(s => s.onShift && s.onBreak),
+  }));
+
+  return json({ ok: true, station: station.code, zone: zone || "ALL", agents });
+}
+
+/**
+ * POST /lead/agents  { name, station?, zone?, start?, end?, breaks? }
+ * Creates (or re-activates) the agent. When `zone` is given a shift is also
+ * created at `station` — default: now → end of the station's current ops day.
+ */
+async function handleLeadAgentCreate(req, env, user) {
+  const body = await req.json().catch(() => ({}));
+  const name = String(body.name || "").trim().replace(/\s+/g, " ");
+  if (!name)              return json({ ok: false, error: "Missing name." }, { status: 400 });
+  if (/[,]/.test(name))   return json({ ok: false, error: "Agent name cannot contain commas." }, { status: 400 });
+
+  const existing = await env.DB.prepare("SELECT id FROM agents WHERE name = ? LIMIT 1").bind(name).first();
+  if (existing) await assertAgentAccess(env, user, existing.id);
+
+  // Validate the shift before anything is written; agent and shift go in one batch
+  const shift = body.zone ? await parseShift(env, body, user) : null;
+  if (shift?.error) return json({ ok: false, error: shift.error }, { status: 400 });
+
+  const nowIso = new Date().toISOString();
+  const stmts = [
+    env.DB.prepare(`
+      INSERT INTO agents (name, active, notes, created_at, updated_at) VALUES (?, 1, ?, ?, ?)
+      ON CONFLICT(name) DO UPDATE SET active=1, notes=COALESCE(?, agents.notes), updated_at=excluded.updated_at
+      RETURNING id, name, active, notes
+    `).bind(name, String(body.notes || ""), nowIso, nowIso, body.notes === undefined ? null : String(body.notes || "")),
+  ];
+  if (shift) stmts.push(insertShiftStmt(env, "(SELECT id FROM agents WHERE name = ?)", [name], shift, user, nowIso));
+  const res = await env.DB.batch(stmts);
+
+  return json({ ok: true, agent: res[0].results[0], shift: shift ? shiftToJson(res[1].results[0]) : null });
+}
+
+/**
+ * Agents are shared across stations; a station-scoped caller may only
+ * manage one whose shifts are all at their station.  404 for an unknown id.
+ */
+async function assertAgentAccess(env, user, agentId) {
+  const [agent, stations] = await env.DB.batch([
+    env.DB.prepare("SELECT id, name FROM agents WHERE id = ?").bind(agentId),
+    env.DB.prepare("SELECT DISTINCT station FROM agent_shifts WHERE agent_id = ?").bind(agentId),
+  ]);
+  if (!agent.results.length) throw httpError(404, "Unknown agent.");
+  for (const r of stations.results) assertStationAccess(user, r.station);
+  return agent.results[0];
+}
+
+/**
+ * True while the name is on a live board: in a flight's assignment or on
+ * one of its jobs.  Those strings carry the name, so a rename would strand them.
+ */
+async function agentNameInUse(env, name) {
+  const upper = name.toUpperCase();
+  const [flights, jobs] = await env.DB.batch([
+    env.DB.prepare("SELECT assignment FROM flights WHERE assignment LIKE ?").bind(`%${name}%`),
+    env.DB.prepare("SELECT 1 FROM prm_jobs WHERE UPPER(agent) = ? AND flight_key IN (SELECT key FROM flights) LIMIT 1").bind(upper),
+  ]);
+  return jobs.results.length > 0 || flights.results.some(f => assignmentNames(f.assignment).includes(upper));
+}
+
+/** PATCH /lead/agents  { id, name?, active?, notes? } */
+async function handleLeadAgentUpdate(req, env, user) {
+  const body = await req.json().catch(() => ({}));
+  const id   = Number(body.id);
+  if (!id) return json({ ok: false, error: "Missing id." }, { status: 400 });
+  const cur = await assertAgentAccess(env, user, id);
+
+  const fields = [];
+  const vals   = [];
+  if (body.name !== undefined) {
+    const name = String(body.name || "").trim().replace(/\s+/g, " ");
+    if (!name || /[,]/.test(name))
+      return json({ ok: false, error: "Invalid name." }, { status: 400 });
+    const taken = await env.DB.prepare("SELECT 1 FROM agents WHERE name = ? AND id != ? LIMIT 1").bind(name, id).first();
+    if (taken) return json({ ok: false, error: `Agent ${name} already exists.` }, { status: 409 });
+    if (name !== cur.name && await agentNameInUse(env, cur.name))
+      return json({ ok: false, error: `${cur.name} is assigned on the boards; rename them once those flights are archived.` }, { status: 409 });
+    fields.push("name=?"); vals.push(name);
+  }
+  if (body.active !== undefined) { fields.push("active=?"); vals.push(isTrue(body.active) ? 1 : 0); }
+  if (body.notes  !== undefined) { fields.push("notes=?");  vals.push(String(body.notes || "")); }
+  if (!fields.length) return json({ ok: true });
+
+  fields.push("updated_at=?"); vals.push(new Date().toISOString());
+  vals.push(id);
+  await env.DB.prepare(`UPDATE agents SET ${fields.join(",")} WHERE id=?`).bind(...vals).run();
+  return json({ ok: true });
+}
+
+/** DELETE /lead/agents?id=  — soft delete (keeps shift history). */
+async function handleLeadAgentDelete(req, env, user) {
+  const id = Number(new URL(req.url).searchParams.get("id"));
+  if (!id) return json({ ok: false, error: "Missing id." }, { status: 400 });
+  await assertAgentAccess(env, user, id);
+  await env.DB.prepare(
+    "UPDATE agents SET active=0, updated_at=? WHERE id=?"
+  ).bind(new Date().toISOString(), id).run();
+  return json({ ok: true });
+}
+
+/** Validate new-shift fields → { station, zone, start, end, breaks } or { error }. */
+async function parseShift(env, body, user) {
+  const zone = normalizeZone(body.zone);
+  if (!ROSTER_ZONES.includes(zone)) return { error: `Unknown zone: ${body.zone}` };
+  const station = await resolveStation(env, body.station, user);
+
+  const now   = new Date();
+  const start = parseIsoOrNull(body.start) || now.toISOString();
+  const end   = parseIsoOrNull(body.end)   || computeFullOpsWindow(now, station).end.toISOString();
+  if (end <= start) return { error: "Shift end must be after start." };
+
+  let breaks;
+  try { breaks = normalizeBreaks(body.breaks); }
+  catch (e) { return { error: e.message || "Invalid breaks." }; }
+  return { station, zone, start, end, breaks };
+}
+
+/** INSERT … RETURNING * for a parsed shift; `agentSql` is "?" or a subquery taking `agentArgs`. */
+function insertShiftStmt(env, agentSql, agentArgs, s, user, nowIso) {
+  return env.DB.prepare(`
+    INSERT INTO agent_shifts (agent_id, station, zone, shift_start, shift_end, breaks, created_by, created_at, updated_at)
+    VALUES (${agentSql}, ?, ?, ?, ?, ?, ?, ?, ?) RETURNING *
+  `).bind(...agentArgs, s.station.code, s.zone, s.start, s.end, JSON.stringify(s.breaks), user?.username || "", nowIso, nowIso);
+}
+
+async function createShift(env, agentId, body, user) {
+  const s = await parseShift(env, body, user);
+  if (s.error) return s;
+  const row = await insertShiftStmt(env, "?", [agentId], s, user, new Date().toISOString()).first();
+  return { shift: shiftToJson(row) };
+}
+
+/** POST /lead/agents/shifts  { agentId, station?, zone, start?, end?, breaks? } */
+async function handleLeadShiftCreate(req, env, user) {
+  const body    = await req.json().catch(() => ({}));
+  const agentId = Number(body.agentId);
+  if (!agentId) return json({ ok: false, error: "Missing agentId." }, { status: 400 });
+
+  const agent = await env.DB.prepare(
+    "SELECT id FROM agents WHERE id = ? AND active = 1"
+  ).bind(agentId).first();
+  if (!agent) return json({ ok: false, error: "Unknown agent." }, { status: 404 });
+
+  const res = await createShift(env, agentId, body, user);
+  if (res.error) return json({ ok: false, error: res.error }, { status: 400 });
+  return json({ ok: true, shift: res.shift });
+}
+
+/** PATCH /lead/agents/shifts  { id, zone?, start?, end?, breaks? } */
+async function handleLeadShiftUpdate(req, env, user) {
+  const body = await req.json().catch(() => ({}));
+  const id   = Number(body.id);
+  if (!id) return json({ ok: false, error: "Missing id." }, { status: 400 });
+
+  const cur = await env.DB.prepare("SELECT * FROM agent_shifts WHERE id = ?").bind(id).first();
+  if (!cur) return json({ ok: false, error: "Unknown shift." }, { status: 404 });
+  assertStationAccess(user, cur.station);
+
+  const zone  = body.zone  !== undefined ? normalizeZone(body.zone) : cur.zone;
+  const start = body.start !== undefined ? parseIsoOrNull(body.start) : cur.shift_start;
+  const end   = body.end   !== undefined ? parseIsoOrNull(body.end)   : cur.shift_end;
+  if (!ROSTER_ZONES.includes(zone)) return json({ ok: false, error: `Unknown zone: ${body.zone}` }, { status: 400 });
+  if (!start || !end || end <= start) return json({ ok: false, error: "Shift end must be after start." }, { status: 400 });
+
+  let breaks = cur.breaks || "[]";
+  if (body.breaks !== undefined) {
+    try { breaks = JSON.stringify(normalizeBreaks(body.breaks)); }
+    catch (e) { return json({ ok: false, error: e.message || "Invalid breaks." }, { status: 400 }); }
+  }
+
+  const row = await env.DB.prepare(`
+    UPDATE agent_shifts SET zone=?, shift_start=?, shift_end=?, breaks=?, updated_at=?
+    WHERE id=? RETURNING *
+  `).bind(zone, start, end, breaks, new Date().toISOString(), id).first();
+
+  return json({ ok: true, shift: shiftToJson(row) });
+}
+
+/** DELETE /lead/agents/shifts?id=  — ends the shift now (or drops a future one). */
+async function handleLeadShiftDelete(req, env, user) {
+  const id = Number(new URL(req.url).searchParams.get("id"));
+  if (!id) return json({ ok: false, error: "Missing id." }, { status: 400 });
+
+  const cur = await env.DB.prepare("SELECT station FROM agent_shifts WHERE id = ?").bind(id).first();
+  if (!cur) return json({ ok: false, error: "Unknown shift." }, { status: 404 });
+  assertStationAccess(user, cur.station);
+
+  const nowIso = new Date().toISOString();
+  await env.DB.batch([
+    env.DB.prepare("DELETE FROM agent_shifts WHERE id=? AND shift_start > ?").bind(id, nowIso),
+    env.DB.prepare("UPDATE agent_shifts SET shift_end=?, updated_at=? WHERE id=? AND shift_end > ?")
+      .bind(nowIso, nowIso, id, nowIso),
+  ]);
+  return json({ ok: true });
+}
+
+// ── D1 query helper (uses in-memory cache when available) ─────
+
+async function getFlightsInWindow(env, stationCode, startISO, endISO) {
+  // If cache is warm (populated by last cron sync), filter in-memory — ZERO D1 reads
+  if (_flightCache.length > 0 && (Date.now() - _flightCacheAt) < FLIGHT_CACHE_MAX_AGE) {
+    return _flightCache.filter(r =>
+      r.station === stationCode && r.time_est >= startISO && r.time_est <= endISO
+    );
+  }
+  // Cache miss (cold start / isolate recycled) — query D1 and populate cache
+  await refreshFlightCache(env);
+  return _flightCache.filter(r =>
+    r.station === stationCode && r.time_est >= startISO && r.time_est <= endISO
+  );
+}
+
+/**
+ * ?since= on the row polls: the `at` of the newest live message the board has
+ * applied.  The sync or edit behind it may have run in another isolate, so a
+ * cache loaded before then is reloaded from D1 — otherwise the poll could
+ * answer 304 or hand back rows older than what the socket already showed.
+ */
+async function reloadFlightCacheSince(env, since) {
+  const t = Date.parse(since || "");
+  if (t > _flightCacheAt && t <= Date.now() + 60_000) await refreshFlightCache(env);
+}
+
+/** Cache ETag tagged with the station, so a board that switches station never gets a stale 304. */
+function stationETag(stationCode) {
+  return _flightCacheETag ? _flightCacheETag.replace(/^"/, `"${stationCode}-`) : "";
+}
+
+// ─────────────────────────────────────────────────────────────
+// § 11b  ADMIN: ZONE OVERRIDES + ZONE RULES  (Mgmt)
+// ─────────────────────────────────────────────────────────────
+
+// Values accepted in zone_overrides.zone
+const OVERRIDE_ZONES = [ZONE_PIERA, ZONE_TB, ZONE_GATES, ZONE_T1, ZONE_UNASSIGNED, ZONE_SWINGDOOR];
+
+function normalizeOverrideZone(z) {
+  const token = String(z || "").trim().toUpperCase().replace(/\s+/g, "");
+  if (token === "SWINGDOOR") return ZONE_SWINGDOOR;
+  const zone = normalizeZone(z);
+  return OVERRIDE_ZONES.includes(zone) ? zone : "";
+}
+
+/** Drop the cached overrides so the next sync/re-zone reads D1. */
+function invalidateZoneOverrides() {
+  _zoneOverrides   = null;
+  _zoneOverridesAt = 0;
+}
+
+/** Drop the cached active rule sets (after an activation). */
+function invalidateZoneRules() {
+  _zoneRules   = null;
+  _zoneRulesAt = 0;
+}
+
+async function handleZoneOverridesList(req, env, user) {
+  const station = await resolveStation(env, new URL(req.url).searchParams.get("station"), user);
+  const { results } = await env.DB.prepare(
+    "SELECT gate, zone, notes FROM zone_overrides WHERE station = ? ORDER BY gate"
+  ).bind(station.code).all();
+  return json({ ok: true, station: station.code, zones: OVERRIDE_ZONES, overrides: results });
+}
+
+/** PUT /admin/zone-overrides  { station?, gate, zone, notes?, rezone? } */
+async function handleZoneOverridePut(req, env, user) {
+  const body = await req.json().catch(() => ({}));
+  const station = await resolveStation(env, body.station, user);
+  const gate = normalizeGate(body.gate);
+  const zone = normalizeOverrideZone(body.zone);
+  if (!gate) return json({ ok: false, error: "Missing gate." }, { status: 400 });
+  if (!zone) return json({ ok: false, error: `Unknown zone: ${body.zone}. Use one of ${OVERRIDE_ZONES.join(", ")}.` }, { status: 400 });
+
+  await env.DB.batch([
+    env.DB.prepare(`
+      INSERT INTO zone_overrides (station, gate, zone, notes) VALUES (?, ?, ?, ?)
+      ON CONFLICT(station, gate) DO UPDATE SET zone=excluded.zone, notes=excluded.notes
+    `).bind(station.code, gate, zone, String(body.notes || "")),
+    bumpConfigVersion(env, CONFIG_ZONE_OVERRIDES),
+  ]);
+  invalidateZoneOverrides();
+
+  const rezoned = isTrue(body.rezone) ? await rezoneOpenFlights(env, user, station) : null;
+  return json({ ok: true, override: { station: station.code, gate, zone, notes: String(body.notes || "") }, rezoned });
+}
+
+/** DELETE /admin/zone-overrides?station=&gate=&rezone=1 */
+async function handleZoneOverrideDelete(req, env, user) {
+  const url  = new URL(req.url);
+  const station = await resolveStation(env, url.searchParams.get("station"), user);
+  const gate = normalizeGate(url.searchParams.get("gate"));
+  if (!gate) return json({ ok: false, error: "Missing gate." }, { status: 400 });
+
+  await env.DB.batch([
+    env.DB.prepare("DELETE FROM zone_overrides WHERE station = ? AND gate = ?").bind(station.code, gate),
+    bumpConfigVersion(env, CONFIG_ZONE_OVERRIDES),
+  ]);
+  invalidateZoneOverrides();
+
+  const rezoned = isTrue(url.searchParams.get("rezone")) ? await rezoneOpenFlights(env, user, station) : null;
+  return json({ ok: true, station: station.code, gate, rezoned });
+}
+
+/**
+ * Recompute zones for the station's open flights in the current ops window
+ * after an override edit.  Zone changes are flagged exactly like a FIDS sync
+ * (ZonePrev carry-over, ACK reset, alert text) and broadcast to boards.
+ */
+async function rezoneOpenFlights(env, user, station) {
+  const nowIso = new Date().toISOString();
+  const win    = computeOpsWindow(new Date(), {}, station);
+  const zoneOverrides = await getCachedZoneOverrides(env, station.code);
+  const zoneRules     = await getCachedZoneRules(env, station.code);
+  const usMap         = await getCachedUSCodes(env);
+
+  const { results } = await env.DB.prepare(
+    "SELECT * FROM flights WHERE station = ? AND time_est >= ? AND time_est <= ?"
+  ).bind(station.code, win.startISO, win.endISO).all();
+
+  const toUpdate = [];
+  const events   = [];
+  for (const ex of results) {
+    const region  = getRegionForPort(ex.origin_dest, usMap);
+    const newZone = getZoneForFlight(ex.type, ex.gate, ex.terminal, region, zoneOverrides, zoneRules) || ZONE_UNASSIGNED;
+
+    const u = { ...ex };
+    if (!applyZoneChange(ex, u, newZone, nowIso)) continue;
+    if (isTrue(u.gate_changed)) u.gate_chg_to_zone = u.zone_current;
+
+    u.dispatch_ack = u.piera_ack = u.tb_ack = u.t1_ack = u.unassigned_ack = u.gates_ack = 0;
+    u.alert_text = alertTextForRow(u);
+    toUpdate.push(u);
+    events.push(flightEvent(ex.key, "sync", {
+      field: "zone_current", oldValue: ex.zone_current, newValue: newZone,
+      actor: user?.username || "", at: nowIso,
+    }));
+  }
+
+  if (toUpdate.length) {
+    const UPD = env.DB.prepare(`
+      UPDATE flights SET
+        zone_current=?,zone_prev=?,gate_chg_to_zone=?,
+        zone_changed=?,zone_chg_time=?,zone_chg_from=?,zone_chg_to=?,
+        alert_text=?,
+        dispatch_ack=0,piera_ack=0,tb_ack=0,t1_ack=0,unassigned_ack=0,gates_ack=0,
+        updated_at=?
+      WHERE key=?
+    `);
+    const batch = toUpdate.map(u => UPD.bind(
+      u.zone_current, u.zone_prev, u.gate_chg_to_zone,
+      u.zone_changed, u.zone_chg_time, u.zone_chg_from, u.zone_chg_to,
+      u.alert_text, nowIso, u.key
+    ));
+    for (let i = 0; i < batch.length; i += 100)
+      await env.DB.batch(batch.slice(i, i + 100));
+    await recordFlightEvents(env, events);
+    await refreshFlightCache(env);
+    await publishLive(env, { type: "sync", station: station.code, inserted: 0, updated: toUpdate.length });
+  }
+
+  console.log(`[rezone] ${station.code} checked=${results.length} changed=${toUpdate.length}`);
+  return {
+    station: station.code,
+    checked: results.length,
+    changed: toUpdate.map(u => ({ key: u.key, from: u.zone_chg_from, to: u.zone_chg_to })),
+  };
+}
+
+// ── Zone rule sets (versioned) ────────────────────────────────
+// Drafts are editable; activating a set retires the previous active one.
+// Active/retired sets are immutable — copy one into a new draft to change
+// it, or re-activate a retired set to roll back.
+
+const ZONE_RULES_MAX = 200;
+
+function ruleSetToJson(r) {
+  return {
+    id:          r.id,
+    station:     r.station,
+    version:     r.version,
+    status:      r.status,
+    notes:       r.notes || "",
+    createdBy:   r.created_by || "",
+    createdAt:   r.created_at || "",
+    activatedBy: r.activated_by || "",
+    activatedAt: r.activated_at || "",
+    ruleCount:   r.rule_count ?? undefined,
+  };
+}
+
+function parseOptionalInt(v) {
+  if (v === null || v === undefined || String(v).trim() === "") return null;
+  const n = Number(v);
+  return Number.isInteger(n) && n >= 0 ? n : NaN;
+}
+
+/** Validate one rule from the API → { rule } | { error } (rule in JSON shape, see § 4). */
+function parseZoneRuleInput(raw, i) {
+  const at   = `Rule ${i + 1}`;
+  const rule = {
+    scope:     String(raw?.scope || "gate").trim().toLowerCase(),
+    gates:     splitList(raw?.gates).map(normalizeGate).filter(Boolean),
+    gateMin:   parseOptionalInt(raw?.gateMin),
+    gateMax:   parseOptionalInt(raw?.gateMax),
+    terminals: splitList(raw?.terminals),
+    regions:   splitList(raw?.regions),
+    direction: String(raw?.direction || "").trim().toUpperCase(),
+    zone:      normalizeOverrideZone(raw?.zone),
+    notes:     String(raw?.notes || "").trim(),
+  };
+  if (!ZONE_RULE_SCOPES.includes(rule.scope))
+    return { error: `${at}: scope must be ${ZONE_RULE_SCOPES.join(" or ")}.` };
+  if (Number.isNaN(rule.gateMin) || Number.isNaN(rule.gateMax))
+    return { error: `${at}: gate range must be whole numbers.` };
+  if (rule.gateMin != null && rule.gateMax != null && rule.gateMin > rule.gateMax)
+    return { error: `${at}: gate range is reversed.` };
+  const badRegion = rule.regions.find(r => !ZONE_RULE_REGIONS.includes(r));
+  if (badRegion) return { error: `${at}: unknown region ${badRegion}.` };
+  if (rule.direction && rule.direction !== "ARR" && rule.direction !== "DEP")
+    return { error: `${at}: direction must be ARR, DEP or blank.` };
+  if (!rule.zone)
+    return { error: `${at}: unknown zone ${raw?.zone}. Use one of ${OVERRIDE_ZONES.join(", ")}.` };
+  if (rule.scope === "swing" && rule.zone === ZONE_SWINGDOOR)
+    return { error: `${at}: a swing rule must resolve to a real zone.` };
+  return { rule };
+}
+
+function parseZoneRulesInput(list) {
+  if (!Array.isArray(list)) return { error: "rules must be an array." };
+  if (list.length > ZONE_RULES_MAX) return { error: `At most ${ZONE_RULES_MAX} rules per set.` };
+  const rules = [];
+  for (let i = 0; i < list.length; i++) {
+    const r = parseZoneRuleInput(list[i], i);
+    if (r.error) return r;
+    rules.push(r.rule);
+  }
+  return { rules };
+}
+
+async function getRuleSet(env, id) {
+  return env.DB.prepare("SELECT * FROM zone_rule_sets WHERE id = ?").bind(id).first();
+}
+
+async function getRuleSetRules(env, id) {
+  const { results } = await env.DB.prepare(
+    "SELECT * FROM zone_rules WHERE rule_set_id = ? ORDER BY position"
+  ).bind(id).all();
+  return results.map(zoneRuleFromRow);
+}
+
+/** Replace a set's rules (positions follow array order) in one batch, so a failure leaves the old rules. */
+async function saveZoneRules(env, setId, rules) {
+  const INS = env.DB.prepare(`
+    INSERT INTO zone_rules (rule_set_id, position, scope, gates, gate_min, gate_max, terminals, regions, direction, zone, notes)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `);
+  const batch = [env.DB.prepare("DELETE FROM zone_rules WHERE rule_set_id = ?").bind(setId)];
+  rules.forEach((r, i) => batch.push(INS.bind(
+    setId, i + 1, r.scope, r.gates.join(","), r.gateMin, r.gateMax,
+    r.terminals.join(","), r.regions.join(","), r.direction, r.zone, r.notes
+  )));
+  await env.DB.batch(batch);
+}
+
+/** GET /admin/zone-rules?station=&id=  — versions, plus the rules of `id` (default: active, else newest). */
+async function handleZoneRulesList(req, env, user) {
+  const url     = new URL(req.url);
+  const station = await resolveStation(env, url.searchParams.get("station"), user);
+  const { results } = await env.DB.prepare(`
+    SELECT s.*, (SELECT COUNT(*) FROM zone_rules r WHERE r.rule_set_id = s.id) AS rule_count
+    FROM zone_rule_sets s WHERE s.station = ? ORDER BY s.version DESC
+  `).bind(station.code).all();
+
+  const sets   = results.map(ruleSetToJson);
+  const wantId = Number(url.searchParams.get("id")) || 0;
+  const sel    = sets.find(x => x.id === wantId) || sets.find(x => x.status === "active") || sets[0] || null;
+  const rules  = sel ? await getRuleSetRules(env, sel.id) : [];
+  return json({
+    ok: true, station: station.code,
+    zones: OVERRIDE_ZONES, regions: ZONE_RULE_REGIONS, scopes: ZONE_RULE_SCOPES,
+    sets, selected: sel ? { ...sel, rules } : null,
+  });
+}
+
+/**
+ * POST /admin/zone-rules  { station?, notes?, rules? | copyFrom? }
+ * New draft version.  Without `rules` it starts as a copy of `copyFrom`
+ * (or of the active set).
+ */
+async function handleZoneRuleSetCreate(req, env, user) {
+  const body    = await req.json().catch(() => ({}));
+  const station = await resolveStation(env, body.station, user);
+
+  let rules;
+  if (body.rules !== undefined) {
+    const parsed = parseZoneRulesInput(body.rules);
+    if (parsed.error) return json({ ok: false, error: parsed.error }, { status: 400 });
+    rules = parsed.rules;
+  } else {
+    const src = body.copyFrom
+      ? await getRuleSet(env, Number(body.copyFrom))
+      : await env.DB.prepare("SELECT * FROM zone_rule_sets WHERE station = ? AND status = 'active'").bind(station.code).first();
+    if (body.copyFrom && (!src || src.station !== station.code))
+      return json({ ok: false, error: "Unknown rule set to copy." }, { status: 404 });
+    rules = src ? await getRuleSetRules(env, src.id) : [];
+  }
+
+  const row = await env.DB.prepare(`
+    INSERT INTO zone_rule_sets (station, version, status, notes, created_by, created_at)
+    VALUES (?, (SELECT COALESCE(MAX(version), 0) + 1 FROM zone_rule_sets WHERE station = ?), 'draft', ?, ?, ?)
+    RETURNING *
+  `).bind(station.code, station.code, String(body.notes || ""), user.username || "", new Date().toISOString()).first();
+  await saveZoneRules(env, row.id, rules);
+  return json({ ok: true, set: { ...ruleSetToJson(row), rules } });
+}
+
+/** PUT /admin/zone-rules  { id, notes?, rules? }  — drafts only. */
+async function handleZoneRuleSetUpdate(req, env, user) {
+  const body = await req.json().catch(() => ({}));
+  const set  = await getRuleSet(env, Number(body.id));
+  if (!set) return json({ ok: false, error: "Unknown rule set." }, { status: 404 });
+  assertStationAccess(user, set.station);
+  if (set.status !== "draft")
+    return json({ ok: false, error: `v${set.version} is ${set.status}; copy it to a new draft to change it.` }, { status: 409 });
+
+  if (body.rules !== undefined) {
+    const parsed = parseZoneRulesInput(body.rules);
+    if (parsed.error) return json({ ok: false, error: parsed.error }, { status: 400 });
+    await saveZoneRules(env, set.id, parsed.rules);
+  }
+  if (body.notes !== undefined)
+    await env.DB.prepare("UPDATE zone_rule_sets SET notes = ? WHERE id = ?").bind(String(body.notes || ""), set.id).run();
+  return json({ ok: true });
+}
+
+/** DELETE /admin/zone-rules?id=  — drafts only. */
+async function handleZoneRuleSetDelete(req, env, user) {
+  const set = await getRuleSet(env, Number(new URL(req.url).searchParams.get("id")));
+  if (!set) return json({ ok: false, error: "Unknown rule set." }, { status: 404 });
+  assertStationAccess(user, set.station);
+  if (set.status !== "draft")
+    return json({ ok: false, error: `v${set.version} is ${set.status} and kept for history.` }, { status: 409 });
+
+  await env.DB.batch([
+    env.DB.prepare("DELETE FROM zone_rules WHERE rule_set_id = ?").bind(set.id),
+    env.DB.prepare("DELETE FROM zone_rule_sets WHERE id = ?").bind(set.id),
+  ]);
+  return json({ ok: true });
+}
+
+/** POST /admin/zone-rules/activate  { id, rezone? }  — also used to roll back to a retired set. */
+async function handleZoneRuleSetActivate(req, env, user) {
+  const body = await req.json().catch(() => ({}));
+  const set  = await getRuleSet(env, Number(body.id));
+  if (!set) return json({ ok: false, error: "Unknown rule set." }, { status: 404 });
+  const station = await resolveStation(env, set.station, user);
+  if (set.status === "active") return json({ ok: true, set: ruleSetToJson(set), rezoned: null });
+
+  const nowIso = new Date().toISOString();
+  await env.DB.batch([
+    env.DB.prepare("UPDATE zone_rule_sets SET status = 'retired' WHERE station = ? AND status = 'active'").bind(set.station),
+    env.DB.prepare("UPDATE zone_rule_sets SET status = 'active', activated_by = ?, activated_at = ? WHERE id = ?")
+      .bind(user.username || "", nowIso, set.id),
+    bumpConfigVersion(env, CONFIG_ZONE_RULES),
+  ]);
+  invalidateZoneRules();
+  console.log(`[zone-rules] ${set.station} v${set.version} activated by ${user.username}`);
+
+  const rezoned = isTrue(body.rezone) ? await rezoneOpenFlights(env, user, station) : null;
+  return json({ ok: true, set: { ...ruleSetToJson(set), status: "active", activatedBy: user.username || "", activatedAt: nowIso }, rezoned });
+}
+
+/**
+ * POST /admin/zone-rules/preview  { id } | { station?, rules }
+ * Dry run: which of today's flights (full ops day) would change zone under
+ * the given rule set.  Nothing is written.
+ */
+async function handleZoneRulesPreview(req, env, user) {
+  const body = await req.json().catch(() => ({}));
+
+  let station, rules, set = null;
+  if (body.id) {
+    set = await getRuleSet(env, Number(body.id));
+    if (!set) return json({ ok: false, error: "Unknown rule set." }, { status: 404 });
+    station = await resolveStation(env, set.station, user);
+    rules   = await getRuleSetRules(env, set.id);
+  } else {
+    station = await resolveStation(env, body.station, user);
+    const parsed = parseZoneRulesInput(body.rules);
+    if (parsed.error) return json({ ok: false, error: parsed.error }, { status: 400 });
+    rules = parsed.rules;
+  }
+
+  const compiled      = rules.map(compileZoneRule);
+  const zoneOverrides = await getCachedZoneOverrides(env, station.code);
+  const usMap         = await getCachedUSCodes(env);
+  const win           = computeFullOpsWindow(new Date(), station);
+
+  const { results } = await env.DB.prepare(
+    "SELECT * FROM flights WHERE station = ? AND time_est >= ? AND time_est <= ? ORDER BY time_est"
+  ).bind(station.code, win.start.toISOString(), win.end.toISOString()).all();
+
+  const changes = [];
+  const summary = {};
+  for (const ex of results) {
+    const region = getRegionForPort(ex.origin_dest, usMap);
+    const to     = getZoneForFlight(ex.type, ex.gate, ex.terminal, region, zoneOverrides, compiled) || ZONE_UNASSIGNED;
+    const from   = normalizeZone(ex.zone_current) || ZONE_UNASSIGNED;
+    if (to === from) continue;
+    changes.push({
+      key: ex.key, flight: ex.flight, type: ex.type, timeEst: ex.time_est,
+      gate: ex.gate || "", terminal: ex.terminal || "", region, from, to,
+    });
+    const k = `${from} → ${to}`;
+    summary[k] = (summary[k] || 0) + 1;
+  }
+
+  return json({
+    ok: true, station: station.code, set: set ? ruleSetToJson(set) : null,
+    window: { start: win.start.toISOString(), end: win.end.toISOString() },
+    checked: results.length, changes, summary,
+  });
+}
+
+// ─────────────────────────────────────────────────────────────
+// § 11c  ADMIN: USERS  (Mgmt)
+// ─────────────────────────────────────────────────────────────
+
+const USERNAME_RE = /^[A-Za-z0-9._-]{2,40}$/;
+
+function validRole(role) {
+  return Object.prototype.hasOwnProperty.call(ROLE_ACCESS, role) ? role : "";
+}
+
+/** Home station for a user: "" (all stations) or a configured station code; null when unknown. */
+async function validUserStation(env, raw) {
+  const code = String(raw || "").trim().toUpperCase();
+  if (!code) return "";
+  return (await getStations(env)).has(code) ? code : null;
+}
+
+/** Roster agent a user is linked to: 0 (none) or an agents.id; null when unknown. */
+async function validUserAgent(env, raw) {
+  const id = Number(raw) || 0;
+  if (!id) return 0;
+  return (await env.DB.prepare("SELECT 1 FROM agents WHERE id = ? LIMIT 1").bind(id).first()) ? id : null;
+}
+
+async function handleUsersList(req, env) {
+  const [{ results }, agents] = await env.DB.batch([
+    env.DB.prepare(`
+      SELECT u.username, u.role, u.station, u.disabled, u.created_at, u.updated_at, u.pin_changed_at,
+             u.agent_id, a.name AS agent_name,
+             CASE WHEN u.pin LIKE 'pbkdf2$%' THEN 1 ELSE 0 END AS pin_hashed
+      FROM users u LEFT JOIN agents a ON a.id = u.agent_id
+      ORDER BY u.username COLLATE NOCASE
+    `),
+    env.DB.prepare("SELECT id, name FROM agents WHERE active = 1 ORDER BY name COLLATE NOCASE"),
+  ]);
+  const users = results.map(r => ({
+    username:     r.username,
+    role:         r.role,
+    station:      r.station || "",
+    agentId:      r.agent_id || null,
+    agentName:    r.agent_name || "",
+    disabled:     isTrue(r.disabled),
+    pinHashed:    isTrue(r.pin_hashed),
+    createdAt:    r.created_at || "",
+    updatedAt:    r.updated_at || "",
+    pinChangedAt: r.pin_changed_at || "",
+  }));
+  const stations = [...(await getStations(env)).keys()];
+  return json({ ok: true, roles: Object.keys(ROLE_ACCESS), stations, agents: agents.results, users });
+}
+
+/** POST /admin/users  { username, pin, role, station?, agentId? } */
+async function handleUserCreate(req, env) {
+  const body     = await req.json().catch(() => ({}));
+  const username = String(body.username || "").trim();
+  const pin      = String(body.pin      || "").trim();
+  const role     = validRole(String(body.role || "").trim());
+  const station  = await validUserStation(env, body.station);
+  const agentId  = await validUserAgent(env, body.agentId);
+
+  if (!USERNAME_RE.test(username))
+    return json({ ok: false, error: "Username must be 2–40 letters, digits, dot, dash or underscore." }, { status: 400 });
+  if (!PIN_RE.test(pin)) return json({ ok: false, error: "PIN must be 4–6 digits." }, { status: 400 });
+  if (!role)             return json({ ok: false, error: `Unknown role: ${body.role}` }, { status: 400 });
+  if (station === null)  return json({ ok: false, error: `Unknown station: ${body.station}` }, { status: 400 });
+  if (agentId === null)  return json({ ok: false, error: "Unknown roster agent." }, { status: 400 });
+
+  const exists = await env.DB.prepare(
+    "SELECT 1 FROM users WHERE username = ? COLLATE NOCASE LIMIT 1"
+  ).bind(username).first();
+  if (exists) return json({ ok: false, error: `User ${username} already exists.` }, { status: 409 });
+
+  const nowIso = new Date().toISOString();
+  await env.DB.prepare(`
+    INSERT INTO users (username, pin, role, station, agent_id, disabled, created_at, updated_at, pin_changed_at)
+    VALUES (?, ?, ?, ?, ?, 0, ?, ?, ?)
+  `).bind(username, await hashPin(pin), role, station, agentId || null, nowIso, nowIso, nowIso).run();
+  return json({ ok: true, user: { username, role, station, agentId: agentId || null, disabled: false } });
+}
+
+/** PATCH /admin/users  { username, role?, station?, agentId?, disabled? } */
+async function handleUserUpdate(req, env, actor) {
+  const body     = await req.json().catch(() => ({}));
+  const username = String(body.username || "").trim();
+  if (!username) return json({ ok: false, error: "Missing username." }, { status: 400 });
+
+  const fields = [];
+  const vals   = [];
+  if (body.role !== undefined) {
+    const role = validRole(String(body.role || "").trim());
+    if (!role) return json({ ok: false, error: `Unknown role: ${body.role}` }, { status: 400 });
+    if (username === actor.username && role !== "Mgmt")
+      return json({ ok: false, error: "You cannot remove your own Mgmt role." }, { status: 400 });
+    fields.push("role=?"); vals.push(role);
+  }
+  if (body.station !== undefined) {
+    const station = await validUserStation(env, body.station);
+    if (station === null) return json({ ok: false, error: `Unknown station: ${body.station}` }, { status: 400 });
+    if (username === actor.username && station !== (actor.station || ""))
+      return json({ ok: false, error: "You cannot change your own station." }, { status: 400 });
+    fields.push("station=?"); vals.push(station);
+  }
+  if (body.agentId !== undefined) {
+    const agentId = await validUserAgent(env, body.agentId);
+    if (agentId === null) return json({ ok: false, error: "Unknown roster agent." }, { status: 400 });
+    fields.push("agent_id=?"); vals.push(agentId || null);
+  }
+  if (body.disabled !== undefined) {
+    const disabled = isTrue(body.disabled) ? 1 : 0;
+    if (username === actor.username && disabled)
+      return json({ ok: false, error: "You cannot disable your own account." }, { status: 400 });
+    fields.push("disabled=?"); vals.push(disabled);
+  }
+  if (!fields.length) return json({ ok: true });
+
+  fields.push("updated_at=?"); vals.push(new Date().toISOString());
+  vals.push(username);
+  const res = await env.DB.prepare(
+    `UPDATE users SET ${fields.join(",")} WHERE username=?`
+  ).bind(...vals).run();
+  if (!res.meta?.changes) return json({ ok: false, error: "Unknown user." }, { status: 404 });
+
+  // A role/station change or a disable invalidates every token the user holds
+  let revoked = [];
+  if (body.role !== undefined || body.station !== undefined || isTrue(body.disabled))
+    revoked = await revokeSessions(env, { username, exceptSid: actor.sid, by: actor.username });
+  return json({ ok: true, revokedSessions: revoked.length });
+}
+
+/** POST /admin/users/reset-pin  { username, pin } */
+async function handleUserResetPin(req, env, actor) {
+  const body     = await req.json().catch(() => ({}));
+  const username = String(body.username || "").trim();
+  const pin      = String(body.pin      || "").trim();
+  if (!username)         return json({ ok: false, error: "Missing username." }, { status: 400 });
+  if (!PIN_RE.test(pin)) return json({ ok: false, error: "PIN must be 4–6 digits." }, { status: 400 });
+
+  const nowIso = new Date().toISOString();
+  const res = await env.DB.prepare(
+    "UPDATE users SET pin=?, pin_changed_at=?, updated_at=? WHERE username=?"
+  ).bind(await hashPin(pin), nowIso, nowIso, username).run();
+  if (!res.meta?.changes) return json({ ok: false, error: "Unknown user." }, { status: 404 });
+
+  await clearLoginFailures(env, username);
+  const revoked = await revokeSessions(env, { username, by: actor.username });
+  return json({ ok: true, revokedSessions: revoked.length });
+}
+
+// ── Sessions ────────────────────────────────────────────────
+
+/** GET /admin/sessions?username=  — active (unexpired, unrevoked) sessions. */
+async function handleSessionsList(req, env, actor) {
+  const url      = new URL(req.url);
+  const username = (url.searchParams.get("username") || "").trim();
+  const nowIso   = new Date().toISOString();
+
+  const { results } = await env.DB.prepare(`
+    SELECT id, username, role, ip, user_agent, created_at, expires_at
+    FROM sessions
+    WHERE revoked_at IS NULL AND expires_at > ? ${username ? "AND username = ?" : ""}
+    ORDER BY created_at DESC LIMIT 500
+  `).bind(...(username ? [nowIso, username] : [nowIso])).all();
+
+  const sessions = results.map(r => ({
+    id:        r.id,
+    username:  r.username,
+    role:      r.role || "",
+    ip:        r.ip || "",
+    userAgent: r.user_agent || "",
+    createdAt: r.created_at,
+    expiresAt: r.expires_at,
+    current:   r.id === actor.sid,
+  }));
+  return json({ ok: true, sessions });
+}
+
+/** DELETE /admin/sessions?id=  or  ?username=  (all of that user's sessions) */
+async function handleSessionRevoke(req, env, actor) {
+  const url      = new URL(req.url);
+  const sid      = (url.searchParams.get("id")       || "").trim();
+  const username = (url.searchParams.get("username") || "").trim();
+  if (!sid && !username) return json({ ok: false, error: "Missing id or username." }, { status: 400 });
+
+  const revoked = await revokeSessions(env, { sid, username: sid ? "" : username, by: actor.username });
+  return json({ ok: true, revoked: revoked.length });
+}
+
+// ─────────────────────────────────────────────────────────────
+// § 11d  STATIONS  (list: any signed-in user; edit: Mgmt)
+// ─────────────────────────────────────────────────────────────
+
+const STATION_CODE_RE = /^[A-Z]{3}$/;
+const AIRLINE_CODE_RE = /^[A-Z0-9]{2}$/;
+const YMD_RE          = /^\d{4}-\d{2}-\d{2}$/;
+
+function stationToJson(st) {
+  return {
+    code:        st.code,
+    name:        st.name,
+    timezone:    st.tz,
+    opsDayStart: `${String(st.opsStart.hour).padStart(2,"0")}:${String(st.opsStart.minute).padStart(2,"0")}`,
+    active:      st.active,
+    minConnect:      st.minConnect,
+    minConnectXZone: st.minConnectXZone,
+  };
+}
+
+function validTimeZone(tz) {
+  try { new Intl.DateTimeFormat("en-US", { timeZone: tz }); return true; }
+  catch { return false; }
+}
+
+/** GET /stations  — active stations the caller may use, plus the default pick. */
+async function handleStationsPublic(req, env, user) {
+  const stations = await getStations(env);
+  const list = [...stations.values()]
+    .filter(st => st.active && (!user.station || st.code === user.station))
+    .map(st => { const j = stationToJson(st); return { code: j.code, name: j.name, timezone: j.timezone, opsDayStart: j.opsDayStart }; });
+  const def = user.station || getDefaultStationCode(env, stations);
+  return json({ ok: true, stations: list, default: def });
+}
+
+/** GET /admin/stations  — every station with its airline contracts. */
+async function handleStationsList(req, env) {
+  invalidateStations();   // admins always see D1, not this isolate's cache
+  const stations = await getStations(env);
+  const out = [...stations.values()].map(st => ({ ...stationToJson(st), airlines: st.airlines }));
+  return json({ ok: true, stations: out, default: getDefaultStationCode(env, stations) });
+}
+
+/** Minutes 0–600 (blank → `def`) or NaN. */
+function parseMinutes(v, def) {
+  if (v === undefined || v === null || String(v).trim() === "") return def;
+  const n = Number(v);
+  return Number.isInteger(n) && n >= 0 && n <= 600 ? n : NaN;
+}
+
+/**
+ * PUT /admin/stations  { code, name?, timezone, opsDayStart?, active?, minConnect?, minConnectXZone? }
+ * Creates the station (timezone required) or updates the fields sent;
+ * the rest keep their stored values.  New minimum connection times
+ * re-check the station's connections at once, so risk flags don't wait
+ * for the next sync.
+ */
+async function handleStationPut(req, env, user) {
+  const body = await req.json().catch(() => ({}));
+  const code = String(body.code || "").trim().toUpperCase();
+  if (!STATION_CODE_RE.test(code)) return json({ ok: false, error: "Station code must be a 3-letter IATA code." }, { status: 400 });
+
+  const cur  = await env.DB.prepare("SELECT * FROM stations WHERE code = ?").bind(code).first();
+  const pick = (v, stored, def) => v !== undefined ? v : (cur ? stored : def);
+  const tz   = String(pick(body.timezone,    cur?.timezone,      "") || "").trim();
+  const ops  = String(pick(body.opsDayStart, cur?.ops_day_start, "03:00") || "03:00").trim();
+  if (!tz || !validTimeZone(tz))   return json({ ok: false, error: `Unknown timezone: ${body.timezone}` }, { status: 400 });
+  const m = ops.match(/^(\d{2}):(\d{2})$/);
+  if (!m || Number(m[1]) > 23 || Number(m[2]) > 59)
+    return json({ ok: false, error: "Ops-day start must be HH:MM." }, { status: 400 });
+  const beforeMct  = cur?.min_connect_min       ?? DEFAULT_STATION.minConnect;
+  const beforeMctX = cur?.min_connect_xzone_min ?? DEFAULT_STATION.minConnectXZone;
+  const mct  = parseMinutes(body.minConnect,      beforeMct);
+  const mctX = parseMinutes(body.minConnectXZone, beforeMctX);
+  if (Number.isNaN(mct) || Number.isNaN(mctX))
+    return json({ ok: false, error: "Minimum connection times must be whole minutes (0–600)." }, { status: 400 });
+  const name   = String(pick(body.name, cur?.name, "") || "").trim();
+  const active = body.active !== undefined ? (isTrue(body.active) ? 1 : 0) : (cur ? (isTrue(cur.active) ? 1 : 0) : 1);
+
+  const nowIso = new Date().toISOString();
+  await env.DB.batch([
+    env.DB.prepare(`
+      INSERT INTO stations (code, name, timezone, ops_day_start, active, min_connect_min, min_connect_xzone_min, created_at, updated_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+      ON CONFLICT(code) DO UPDATE SET name=excluded.name, timezone=excluded.timezone,
+        ops_day_start=excluded.ops_day_start, active=excluded.active,
+        min_connect_min=excluded.min_connect_min, min_connect_xzone_min=excluded.min_connect_xzone_min,
+        updated_at=excluded.updated_at
+    `).bind(
+      code, name, tz, ops, active,
+      mct, mctX,
+      nowIso, nowIso
+    ),
+    bumpConfigVersion(env, CONFIG_STATIONS),
+  ]);
+  invalidateStations();
+
+  const station = (await getStations(env)).get(code);
+  let connections = null;
+  if (cur && station.active && (beforeMct !== mct || beforeMctX !== mctX)) {
+    connections = await evaluateConnections(env, station, { actor: user?.username || "" });
+    if (connections.updated) {
+      await refreshFlightCache(env);
+      await publishLive(env, { type: "sync", station: code, inserted: 0, updated: connections.updated });
+    }
+  }
+  return json({ ok: true, code, connections });
+}
+
+/** Validate airline contract fields → { airline?, name?, from, to } or { error }. */
+function parseAirlineContract(body, requireAirline) {
+  const out = {};
+  if (requireAirline || body.airline !== undefined) {
+    out.airline = String(body.airline || "").trim().toUpperCase();
+    if (!AIRLINE_CODE_RE.test(out.airline)) return { error: "Airline must be a 2-character IATA designator." };
+  }
+  if (body.name !== undefined) out.name = String(body.name || "").trim();
+  out.from = String(body.from || "").trim() || null;
+  out.to   = String(body.to   || "").trim() || null;
+  if ((out.from && !YMD_RE.test(out.from)) || (out.to && !YMD_RE.test(out.to)))
+    return { error: "Effective dates must be YYYY-MM-DD." };
+  if (out.from && out.to && out.to < out.from) return { error: "Effective-to is before effective-from." };
+  return out;
+}
+
+/** POST /admin/stations/airlines  { station, airline, name?, from?, to? } */
+async function handleStationAirlineCreate(req, env) {
+  const body    = await req.json().catch(() => ({}));
+  const station = String(body.station || "").trim().toUpperCase();
+  if (!(await getStations(env)).has(station))
+    return json({ ok: false, error: `Unknown station: ${body.station}` }, { status: 400 });
+  const c = parseAirlineContract(body, true);
+  if (c.error) return json({ ok: false, error: c.error }, { status: 400 });
+
+  const nowIso = new Date().toISOString();
+  const [ins] = await env.DB.batch([
+    env.DB.prepare(`
+      INSERT INTO station_airlines (station, airline, name, effective_from, effective_to, created_at, updated_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?) RETURNING id
+    `).bind(station, c.airline, c.name || "", c.from, c.to, nowIso, nowIso),
+    bumpConfigVersion(env, CONFIG_STATIONS),
+  ]);
+  invalidateStations();
+  return json({ ok: true, id: ins.results[0].id });
+}
+
+/** PATCH /admin/stations/airlines  { id, name?, from?, to? }  — from/to are always replaced. */
+async function handleStationAirlineUpdate(req, env) {
+  const body = await req.json().catch(() => ({}));
+  const id   = Number(body.id);
+  if (!id) return json({ ok: false, error: "Missing id." }, { status: 400 });
+  const c = parseAirlineContract(body, false);
+  if (c.error) return json({ ok: false, error: c.error }, { status: 400 });
+
+  const fields = ["effective_from=?", "effective_to=?", "updated_at=?"];
+  const vals   = [c.from, c.to, new Date().toISOString()];
+  if (c.name !== undefined) { fields.push("name=?"); vals.push(c.name); }
+  vals.push(id);
+  const [res] = await env.DB.batch([
+    env.DB.prepare(`UPDATE station_airlines SET ${fields.join(",")} WHERE id=?`).bind(...vals),
+    bumpConfigVersion(env, CONFIG_STATIONS),
+  ]);
+  if (!res.meta?.changes) return json({ ok: false, error: "Unknown contract." }, { status: 404 });
+  invalidateStations();
+  return json({ ok: true });
+}
+
+/** DELETE /admin/stations/airlines?id=  — prefer an effective-to date to keep history. */
+async function handleStationAirlineDelete(req, env) {
+  const id = Number(new URL(req.url).searchParams.get("id"));
+  if (!id) return json({ ok: false, error: "Missing id." }, { status: 400 });
+  await env.DB.batch([
+    env.DB.prepare("DELETE FROM station_airlines WHERE id=?").bind(id),
+    bumpConfigVersion(env, CONFIG_STATIONS),
+  ]);
+  invalidateStations();
+  return json({ ok: true });
+}
+
+// ─────────────────────────────────────────────────────────────
+// § 11e  PRM PASSENGERS  (per-passenger SSR records)
+// ─────────────────────────────────────────────────────────────
+//
+// One prm_passengers row per assisted passenger, linked by flight key.
+// Once a flight has records its legacy wchr / wchc counters are derived
+// from them and written back on every change, so the boards, the gating
+// report and the archive keep reading the same two columns.
+
+const PRM_SSR_CODES    = ["WCHR", "WCHS", "WCHC", "BLND", "DEAF", "DPNA", "MAAS", "STCR"];
+const LEGACY_WCHR_SSRS = new Set(["WCHR", "WCHS"]);   // counted as wchr; WCHC as wchc
+const WHEELCHAIR_TYPES = ["", "WCMP", "WCBD", "WCBW", "WCLB"];   // manual, dry cell, wet cell, lithium
+const SEAT_RE          = /^\d{1,2}[A-K]$/;
+
+function passengerToJson(r) {
+  return {
+    id:             r.id,
+    key:            r.flight_key,
+    ssr:            r.ssr,
+    source:         r.source || "manual",
+    importId:       r.import_id || null,
+    name:           r.name || "",
+    seat:           r.seat || "",
+    ownWheelchair:  isTrue(r.own_wheelchair),
+    wheelchairType: r.wheelchair_type || "",
+    connFlight:     r.conn_flight || "",
+    connTime:       r.conn_time || "",
+    notes:          r.notes || "",
+    updatedBy:      r.updated_by || "",
+    updatedAt:      r.updated_at || "",
+  };
+}
+
+/** Short label for the audit trail: "WCHC SMITH/JANE 12A". */
+function passengerLabel(p) {
+  return [p.ssr, p.name, p.seat].filter(Boolean).join(" ");
+}
+
+/**
+ * Validate passenger fields from the API → { fields } (DB columns) | { error }.
+ * With `partial` only the keys present in `body` are returned.
+ */
+function parsePassengerInput(body, tz, partial = false) {
+  const has = k => !partial || body[k] !== undefined;
+  const out = {};
+
+  if (has("ssr")) {
+    const ssr = String(body.ssr || "").trim().toUpperCase();
+    if (!PRM_SSR_CODES.includes(ssr)) return { error: `SSR must be one of ${PRM_SSR_CODES.join(", ")}.` };
+    out.ssr = ssr;
+  }
+  if (has("name")) out.name = String(body.name || "").trim().toUpperCase().slice(0, 60);
+  if (has("seat")) {
+    const seat = String(body.seat || "").trim().toUpperCase();
+    if (seat && !SEAT_RE.test(seat)) return { error: "Seat must look like 12A." };
+    out.seat = seat;
+  }
+  if (has("ownWheelchair")) out.own_wheelchair = isTrue(body.ownWheelchair) ? 1 : 0;
+  if (has("wheelchairType")) {
+    const t = String(body.wheelchairType || "").trim().toUpperCase();
+    if (!WHEELCHAIR_TYPES.includes(t)) return { error: "Wheelchair type must be WCMP, WCBD, WCBW, WCLB or blank." };
+    out.wheelchair_type = t;
+  }
+  if (has("connFlight")) {
+    const cf = normalizeFlightNoKey(body.connFlight);
+    if (cf && !MANUAL_FLIGHT_RE.test(cf)) return { error: "Connecting flight must look like WS816." };
+    out.conn_flight = cf ? formatFlightNo(cf) : "";
+  }
+  if (has("connTime")) {
+    const raw = String(body.connTime || "").trim();
+    const iso = raw ? parseFIDSTime(raw, tz) : "";
+    if (raw && !iso) return { error: "Connection time is not a valid date/time." };
+    out.conn_time = iso || null;
+  }
+  if (has("notes")) out.notes = String(body.notes || "").trim().slice(0, 500);
+  return { fields: out };
+}
+
+/** Derived counters for a list of passenger records → { wchr, wchc, total, summary }. */
+function countPassengers(records) {
+  const bySsr = new Map();
+  for (const r of records) bySsr.set(r.ssr, (bySsr.get(r.ssr) || 0) + 1);
+  let wchr = 0, wchc = 0;
+  for (const [ssr, n] of bySsr) {
+    if (LEGACY_WCHR_SSRS.has(ssr)) wchr += n;
+    if (ssr === "WCHC")            wchc += n;
+  }
+  const summary = PRM_SSR_CODES.filter(c => bySsr.has(c)).map(c => `${bySsr.get(c)} ${c}`).join(", ");
+  return { wchr, wchc, total: records.length, summary };
+}
+
+/**
+ * Recompute a flight's derived counters from its passenger records and
+ * write them to the flight row (+ cache, patch and live update).
+ * `board` labels the wchr / wchc history events ("PNL #12" for imports).
+ */
+async function refreshPassengerCounts(env, key, actor, board = "DISPATCH") {
+  const { results } = await env.DB.prepare(
+    "SELECT ssr FROM prm_passengers WHERE flight_key = ?"
+  ).bind(key).all();
+  const { wchr, wchc, total, summary } = countPassengers(results);
+
+  const before = await getFlightRow(env, key);
+  const nowIso = new Date().toISOString();
+  await env.DB.prepare(`
+    UPDATE flights SET wchr=?, wchc=?, prev_wchr=?, prev_wchc=?, prm_records=?, prm_summary=?, updated_at=? WHERE key=?
+  `).bind(wchr, wchc, before?.wchr ?? 0, before?.wchc ?? 0, total, summary, nowIso, key).run();
+
+  const events = [];
+  if (String(before?.wchr ?? 0) !== String(wchr))
+    events.push(flightEvent(key, "edit", { field: "wchr", oldValue: before?.wchr ?? 0, newValue: wchr, board, actor, at: nowIso }));
+  if (String(before?.wchc ?? 0) !== String(wchc))
+    events.push(flightEvent(key, "edit", { field: "wchc", oldValue: before?.wchc ?? 0, newValue: wchc, board, actor, at: nowIso }));
+  await recordFlightEvents(env, events);
+
+  updateCacheRow(key, { wchr, wchc, prm_records: total, prm_summary: summary });
+  const patch = { wchr: String(wchr), wchc: String(wchc), prmRecords: total, prmSummary: summary };
+  setPatch(key, patch);
+  await publishLive(env, { type: "edit", station: stationFromKey(key), key, board: "DISPATCH", patch });
+  return patch;
+}
+
+async function getPassengerFlight(env, user, key) {
+  if (!key) throw httpError(400, "Missing key");
+  assertStationAccess(user, stationFromKey(key));
+  const flight = await getFlightRow(env, key);
+  if (!flight) throw httpError(404, "Unknown flight.");
+  return flight;
+}
+
+/** GET /dispatch/passengers?key= */
+async function handlePassengersList(req, env, user) {
+  const key = String(new URL(req.url).searchParams.get("key") || "").trim();
+  await getPassengerFlight(env, user, key);
+  const { results } = await env.DB.prepare(
+    "SELECT * FROM prm_passengers WHERE flight_key = ? ORDER BY id"
+  ).bind(key).all();
+  return json({ ok: true, key, ssrCodes: PRM_SSR_CODES, wheelchairTypes: WHEELCHAIR_TYPES, passengers: results.map(passengerToJson) });
+}
+
+/** POST /dispatch/passengers  { key, ssr, name?, seat?, ownWheelchair?, wheelchairType?, connFlight?, connTime?, notes? } */
+async function handlePassengerCreate(req, env, user) {
+  const body   = await req.json().catch(() => ({}));
+  const key    = String(body.key || "").trim();
+  const flight = await getPassengerFlight(env, user, key);
+  const tz     = (await resolveStation(env, flight.station, user)).tz;
+
+  const parsed = parsePassengerInput(body, tz);
+  if (parsed.error) return json({ ok: false, error: parsed.error }, { status: 400 });
+  const f      = parsed.fields;
+  const actor  = user?.username || "";
+  const nowIso = new Date().toISOString();
+
+  const row = await env.DB.prepare(`
+    INSERT INTO prm_passengers
+      (flight_key, station, ssr, name, seat, own_wheelchair, wheelchair_type, conn_flight, conn_time, notes,
+       created_by, created_at, updated_by, updated_at)
+    VALUES (?,?,?,?,?,?,?,?,?,?,?,?,?,?)
+    RETURNING *
+  `).bind(
+    key, flight.station, f.ssr, f.name, f.seat, f.own_wheelchair, f.wheelchair_type, f.conn_flight, f.conn_time, f.notes,
+    actor, nowIso, actor, nowIso
+  ).first();
+  await recordFlightEvents(env, [flightEvent(key, "edit", {
+    field: "passenger", oldValue: "", newValue: passengerLabel(f), board: "DISPATCH", actor, at: nowIso,
+  })]);
+
+  const counts = await refreshPassengerCounts(env, key, actor);
+  return json({ ok: true, passenger: passengerToJson(row), counts });
+}
+
+/** PUT /dispatch/passengers  { id, ...fields to change } */
+async function handlePassengerUpdate(req, env, user) {
+  const body = await req.json().catch(() => ({}));
+  const cur  = await env.DB.prepare("SELECT * FROM prm_passengers WHERE id = ?").bind(Number(body.id) || 0).first();
+  if (!cur) return json({ ok: false, error: "Unknown passenger." }, { status: 404 });
+  const flight = await getPassengerFlight(env, user, cur.flight_key);
+  const tz     = (await resolveStation(env, flight.station, user)).tz;
+
+  const parsed = parsePassengerInput(body, tz, true);
+  if (parsed.error) return json({ ok: false, error: parsed.error }, { status: 400 });
+  const cols = Object.keys(parsed.fields);
+  if (!cols.length) return json({ ok: true, passenger: passengerToJson(cur) });
+
+  const actor  = user?.username || "";
+  const nowIso = new Date().toISOString();
+  const row = await env.DB.prepare(`
+    UPDATE prm_passengers SET ${cols.map(c => `${c}=?`).join(",")}, updated_by=?, updated_at=? WHERE id=? RETURNING *
+  `).bind(...cols.map(c => parsed.fields[c]), actor, nowIso, cur.id).first();
+  await recordFlightEvents(env, [flightEvent(cur.flight_key, "edit", {
+    field: "passenger", oldValue: passengerLabel(cur), newValue: passengerLabel(row), board: "DISPATCH", actor, at: nowIso,
+  })]);
+
+  const counts = await refreshPassengerCounts(env, cur.flight_key, actor);
+  return json({ ok: true, passenger: passengerToJson(row), counts });
+}
+
+/** DELETE /dispatch/passengers?id= */
+async function handlePassengerDelete(req, env, user) {
+  const id  = Number(new URL(req.url).searchParams.get("id")) || 0;
+  const cur = await env.DB.prepare("SELECT * FROM prm_passengers WHERE id = ?").bind(id).first();
+  if (!cur) return json({ ok: false, error: "Unknown passenger." }, { status: 404 });
+  await getPassengerFlight(env, user, cur.flight_key);
+
+  const actor = user?.username || "";
+  const [detached] = await env.DB.batch([
+    detachPassengerJobsStmt(env, id),
+    env.DB.prepare("DELETE FROM prm_passengers WHERE id = ?").bind(id),
+  ]);
+  await recordFlightEvents(env, [flightEvent(cur.flight_key, "edit", {
+    field: "passenger", oldValue: passengerLabel(cur), newValue: "", board: "DISPATCH", actor,
+  })]);
+
+  if (detached.results?.length) await afterJobChange(env, cur.flight_key, []);
+  const counts = await refreshPassengerCounts(env, cur.flight_key, actor);
+  return json({ ok: true, counts });
+}
+
+// ─────────────────────────────────────────────────────────────
+// § 11f  PRM MESSAGE IMPORT  (PNL / ADL / PSM)
+// ─────────────────────────────────────────────────────────────
+//
+// Airlines pre-advise assisted passengers by teletype: the PNL (full
+// name list, to the departure station), the ADL (ADD / DEL / CHG updates
+// to it) and the PSM (service message, to the arrival station).
+// POST /dispatch/import parses pasted text, matches every message to a
+// flight by number and local date and returns the passenger-record diff;
+// with apply: true it writes that diff as prm_passengers rows
+// (source = message type), logs one prm_imports row per flight and
+// labels every history event with it ("ADL #14").
+//
+// A complete PNL / PSM replaces what earlier imports of the same family
+// created but never removes records a dispatcher typed; ADL DEL / CHG
+// act on any record of the named passenger.  Re-applying the same text
+// is a no-op.
+
+const IMPORT_KINDS     = ["PNL", "ADL", "PSM"];
+const IMPORT_REPLACES  = { PNL: ["PNL", "ADL"], PSM: ["PSM"] };
+const IMPORT_MONTHS    = ["JAN","FEB","MAR","APR","MAY","JUN","JUL","AUG","SEP","OCT","NOV","DEC"];
+const IMPORT_TEXT_MAX  = 200_000;
+// "AC0123/15OCT YYZ PART1"
+const IMPORT_FLIGHT_RE = /^([A-Z0-9]{2})0*(\d{1,4}[A-Z]?)\/(\d{1,2})([A-Z]{3})(?:\d{2})?\s+([A-Z]{3})(?:\s+PART\s*(\d+))?/;
+
+/** "SMITH/JANE MRS" → "SMITH/JANEMRS" (teletype drops the spaces). */
+function compactName(n) {
+  return String(n || "").toUpperCase().replace(/\s+/g, "");
+}
+
+/** Flight number as compared across FIDS and teletype: "AC 0123" → "AC123". */
+function flightMatchKey(n) {
+  return normalizeFlightNoKey(n).replace(/^([A-Z0-9]{2})0+(?=\d)/, "$1");
+}
+
+/** Apply the dot elements of a name line (".R/WCHR HK1", ".O/AC0123Y…") to `pax`. */
+function readPaxElements(pax, els) {
+  for (const el of els) {
+    let m = /^\.R\/([A-Z]{4})\b(.*)$/.exec(el);
+    if (m) {
+      const [, code, rest] = m;
+      const ref = /-\d+([A-Z].*)$/.exec(rest);   // "-1SMITH/JOHNMR" on multi-name lines
+      if (PRM_SSR_CODES.includes(code)) pax.ssrs.push({ ssr: code, ref: ref ? compactName(ref[1]) : "" });
+      else if (WHEELCHAIR_TYPES.includes(code)) pax.wheelchairType = code;
+      else if ((code === "SEAT" || code === "RQST") && (m = /\b(\d{1,2}[A-K])\b/.exec(rest))) pax.seat = m[1];
+      continue;
+    }
+    m = /^\.O\/([A-Z0-9]{2})0*(\d{1,4})/.exec(el);
+    if (m && !pax.connFlight) pax.connFlight = m[1] + m[2];
+  }
+}
+
+/**
+ * Parse pasted teletype text (any number of messages, addressing lines
+ * allowed) → { messages, warnings }.
+ * message: { kind, flightNo, day, month, boardPoint, complete, text,
+ *            entries: [{ action, dest, ssr, name, seat, wheelchairType, connFlight }] }
+ * Parts of one message are merged; it is complete once every part up to
+ * the END<kind> line was pasted.  DEL / CHG entries without a PRM code
+ * carry ssr "" (= every record of that passenger).
+ */
+function parsePrmMessages(text) {
+  const lines    = String(text || "").toUpperCase().split(/\r?\n/).map(l => l.trim()).filter(Boolean);
+  const byId     = new Map();
+  const warnings = [];
+  let msg = null, part = null;
+
+  for (const line of lines) {
+    if (IMPORT_KINDS.includes(line)) { msg = { kind: line }; part = null; continue; }
+    if (!msg) continue;   // teletype addressing before the message identifier
+
+    if (!part) {
+      const m = IMPORT_FLIGHT_RE.exec(line);
+      if (!m || !IMPORT_MONTHS.includes(m[4])) {
+        warnings.push(`${msg.kind}: cannot read flight line "${line}".`);
+        msg = null;
+        continue;
+      }
+      const id = [msg.kind, m[1] + m[2], m[3], m[4], m[5]].join("|");
+      if (!byId.has(id)) byId.set(id, {
+        kind: msg.kind, flightNo: m[1] + m[2], day: Number(m[3]), month: IMPORT_MONTHS.indexOf(m[4]) + 1,
+        boardPoint: m[5], parts: new Set(), ended: false, lines: [], pax: [], counts: new Map(),
+      });
+      part = { msg: byId.get(id), action: msg.kind === "ADL" ? "ADD" : "", dest: "", ssrHead: "", pax: null };
+      part.msg.parts.add(Number(m[6] || 1));
+      part.msg.lines.push(msg.kind, line);
+      continue;
+    }
+
+    const cur = part.msg;
+    cur.lines.push(line);
+    if (line === `END${cur.kind}`) { cur.ended = true; msg = part = null; continue; }
+    if (/^ENDPART\d+$/.test(line)) { msg = part = null; continue; }
+
+    if (line.startsWith("-")) { part.dest = line.slice(1, 4); part.ssrHead = ""; part.pax = null; continue; }
+    if (cur.kind === "ADL" && /^(ADD|DEL|CHG)$/.test(line)) { part.action = line; part.pax = null; continue; }
+    if (line.startsWith(".")) {
+      if (part.pax) readPaxElements(part.pax, line.split(/\s+(?=\.)/));
+      continue;
+    }
+
+    // PSM category heading: "WCHR 2"
+    const head = /^([A-Z]{4})\s+(\d+)$/.exec(line);
+    if (head && PRM_SSR_CODES.includes(head[1])) {
+      part.ssrHead = head[1];
+      const ck = `${part.dest}|${head[1]}`;
+      cur.counts.set(ck, (cur.counts.get(ck) || 0) + Number(head[2]));
+      part.pax = null;
+      continue;
+    }
+
+    // Name line: "1SMITH/JANEMRS-A2 .L/ABC123 .R/WCHR HK1", "2SMITH/JANEMRS/JOHNMR 12A"
+    const [first, ...els] = line.split(/\s+(?=\.)/);
+    const nm = /^(\d+)([A-Z][A-Z' ]*(?:\/[A-Z' ]*)*?)(?:-[A-Z0-9]+)?(?:\s+(\d{1,2}[A-K]))?$/.exec(first);
+    if (!nm) { part.pax = null; continue; }
+    const [surname, ...given] = nm[2].split("/").map(compactName);
+    part.pax = {
+      action: part.action, dest: part.dest, ssrHead: part.ssrHead,
+      names: given.filter(Boolean).length ? given.filter(Boolean).map(g => `${surname}/${g}`) : [surname],
+      seat: nm[3] || "", ssrs: [], wheelchairType: "", connFlight: "",
+    };
+    readPaxElements(part.pax, els);
+    cur.pax.push(part.pax);
+  }
+
+  const messages = [];
+  for (const m of byId.values()) {
+    const maxPart  = Math.max(...m.parts);
+    const complete = m.ended && m.parts.size === maxPart;
+    const entries  = [];
+    for (const p of m.pax) {
+      const ssrs = p.ssrs.length ? p.ssrs : p.ssrHead ? [{ ssr: p.ssrHead, ref: "" }] : [];
+      const base = { action: p.action, dest: p.dest, seat: p.seat, wheelchairType: p.wheelchairType, connFlight: p.connFlight };
+      for (const s of ssrs)
+        entries.push({ ...base, ssr: s.ssr, name: (s.ref && p.names.find(n => s.ref.startsWith(n) || n.startsWith(s.ref))) || p.names[0] });
+      if (!ssrs.length && (p.action === "DEL" || p.action === "CHG"))
+        for (const name of p.names) entries.push({ ...base, ssr: "", name });
+    }
+    // PSM headings can count passengers the list does not name
+    for (const [ck, n] of m.counts) {
+      const [dest, ssr] = ck.split("|");
+      const named = entries.filter(e => e.dest === dest && e.ssr === ssr).length;
+      for (let i = named; i < n; i++) entries.push({ action: "", dest, ssr, name: "", seat: "", wheelchairType: "", connFlight: "" });
+    }
+    if (!m.ended) warnings.push(`${m.kind} ${formatFlightNo(m.flightNo)}: no END${m.kind} line; treated as partial.`);
+    messages.push({
+      kind: m.kind, flightNo: m.flightNo, day: m.day, month: m.month, boardPoint: m.boardPoint,
+      complete, text: m.lines.join("\n"), entries,
+    });
+  }
+  return { messages, warnings };
+}
+
+/** Day + month without a year → "YYYY-MM-DD" nearest to today at `tz`. */
+function inferImportDate(day, month, tz, now = new Date()) {
+  const t = getTzParts(now, tz);
+  const today = Date.UTC(t.year, t.month - 1, t.day);
+  let best = null;
+  for (const y of [t.year - 1, t.year, t.year + 1]) {
+    const d = Date.UTC(y, month - 1, day);
+    if (best === null || Math.abs(d - today) < Math.abs(best - today)) best = d;
+  }
+  return new Date(best).toISOString().slice(0, 10);
+}
+
+/**
+ * The flight row a message is about → { type, date, flight } | { type, date, error }.
+ * PNL / ADL: departure from the boarding point.  PSM: arrival here (it is
+ * dated at the origin, so the next local day also matches), or a
+ * departure when it boards here.
+ */
+async function matchImportFlight(env, station, m) {
+  const type = m.kind === "PSM" && m.boardPoint !== station.code ? "ARR" : "DEP";
+  const date = inferImportDate(m.day, m.month, station.tz);
+  if (type === "DEP" && m.boardPoint !== station.code)
+    return { type, date, error: `Boards at ${m.boardPoint}, not ${station.code}.` };
+
+  const dates = [date];
+  if (type === "ARR") dates.push(new Date(Date.parse(date) + 86_400_000).toISOString().slice(0, 10));
+
+  const want = flightMatchKey(m.flightNo);
+  for (const d of dates) {
+    const { results } = await env.DB.prepare(
+      "SELECT * FROM flights WHERE station = ? AND type = ? AND key LIKE ?"
+    ).bind(station.code, type, `${d}|${type}|%`).all();
+    const hits = results.filter(r => flightMatchKey(r.flight) === want);
+    if (hits.length === 1) return { type, date, flight: hits[0] };
+    if (hits.length > 1)
+      return { type, date, error: `Ambiguous: ${hits.map(r => keyLocalTime(r.key)).join(", ")} all match.` };
+  }
+  return { type, date, error: `No ${type} ${formatFlightNo(m.flightNo)} on ${dates.join(" / ")}.` };
+}
+
+/**
+ * Diff one message against a flight's current records →
+ * { adds: [entry], removes: [record], updates: [{ record, fields }] }.
+ */
+function planPrmImport(m, records, stationCode) {
+  const entries = m.entries.filter(e => m.kind !== "PSM" || m.boardPoint === stationCode || !e.dest || e.dest === stationCode);
+  const pool    = [...records];
+  const adds = [], removes = [], updates = [];
+
+  const take = (e) => {
+    const i = pool.findIndex(r => r.ssr === e.ssr && compactName(r.name) === e.name);
+    return i < 0 ? null : pool.splice(i, 1)[0];
+  };
+  const want = (e) => {
+    const r = take(e);
+    if (!r) { adds.push(e); return; }
+    const fields = {};
+    if (e.seat && e.seat !== (r.seat || ""))                              fields.seat = e.seat;
+    if (e.wheelchairType && e.wheelchairType !== (r.wheelchair_type || "")) { fields.wheelchair_type = e.wheelchairType; fields.own_wheelchair = 1; }
+    if (e.connFlight && formatFlightNo(e.connFlight) !== (r.conn_flight || "")) fields.conn_flight = formatFlightNo(e.connFlight);
+    if (Object.keys(fields).length) updates.push({ record: r, fields });
+  };
+  const dropName = (name, ssr = "") => {
+    for (let i = pool.length - 1; i >= 0; i--)
+      if (compactName(pool[i].name) === name && (!ssr || pool[i].ssr === ssr)) removes.push(...pool.splice(i, 1));
+  };
+
+  if (m.kind === "ADL") {
+    const changed = new Set(entries.filter(e => e.action === "CHG").map(e => e.name));
+    for (const e of entries) {
+      if (e.action === "DEL") dropName(e.name, e.ssr);
+      else if (e.ssr) want(e);
+    }
+    // CHG restates the passenger: whatever want() did not claim is gone
+    for (const name of changed) dropName(name);
+  } else {
+    for (const e of entries) want(e);
+    if (m.complete) removes.push(...pool.filter(r => IMPORT_REPLACES[m.kind].includes(r.source)));
+  }
+  return { adds, removes, updates };
+}
+
+function importEntryLabel(e) {
+  return passengerLabel({ ssr: e.ssr, name: e.name, seat: e.seat });
+}
+
+/** Write one planned message; returns the prm_imports id. */
+async function applyPrmImport(env, station, m, flight, plan, actor, nowIso) {
+  const imp = await env.DB.prepare(`
+    INSERT INTO prm_imports (station, kind, flight_key, flight, complete, message, added, removed, updated, applied_by, applied_at)
+    VALUES (?,?,?,?,?,?,?,?,?,?,?) RETURNING id
+  `).bind(
+    station.code, m.kind, flight.key, flight.flight, m.complete ? 1 : 0, m.text,
+    plan.adds.length, plan.removes.length, plan.updates.length, actor, nowIso
+  ).first();
+  const board = `${m.kind} #${imp.id}`;
+
+  const stmts = [], events = [];
+  const ev = (oldValue, newValue) =>
+    events.push(flightEvent(flight.key, "edit", { field: "passenger", oldValue, newValue, board, actor, at: nowIso }));
+
+  for (const e of plan.adds) {
+    stmts.push(env.DB.prepare(`
+      INSERT INTO prm_passengers
+        (flight_key, station, ssr, name, seat, own_wheelchair, wheelchair_type, conn_flight, notes,
+         source, import_id, created_by, created_at, updated_by, updated_at)
+      VALUES (?,?,?,?,?,?,?,?,'',?,?,?,?,?,?)
+    `).bind(
+      flight.key, station.code, e.ssr, e.name, e.seat, e.wheelchairType ? 1 : 0, e.wheelchairType,
+      e.connFlight ? formatFlightNo(e.connFlight) : "", m.kind, imp.id, actor, nowIso, actor, nowIso
+    ));
+    ev("", importEntryLabel(e));
+  }
+  for (const r of plan.removes) {
+    stmts.push(detachPassengerJobsStmt(env, r.id));
+    stmts.push(env.DB.prepare("DELETE FROM prm_passengers WHERE id = ?").bind(r.id));
+    ev(passengerLabel(r), "");
+  }
+  for (const { record: r, fields } of plan.updates) {
+    const cols = Object.keys(fields);
+    stmts.push(env.DB.prepare(`
+      UPDATE prm_passengers SET ${cols.map(c => `${c}=?`).join(",")}, import_id=?, updated_by=?, updated_at=? WHERE id=?
+    `).bind(...cols.map(c => fields[c]), imp.id, actor, nowIso, r.id));
+    ev(passengerLabel(r), passengerLabel({ ...r, ...fields }));
+  }
+
+  // One batch: a job detach must not land without its passenger delete
+  const results  = stmts.length ? await env.DB.batch(stmts) : [];
+  const detached = results.reduce((n, res) => n + (res.results?.length || 0), 0);
+  await recordFlightEvents(env, events);
+  if (detached) await afterJobChange(env, flight.key, []);
+  await refreshPassengerCounts(env, flight.key, actor, board);
+  return imp.id;
+}
+
+/**
+ * POST /dispatch/import  { station?, text, apply? }
+ * Without apply: preview only.  Messages touching the same flight are
+ * planned in order, each against the result of the previous one.
+ */
+async function handlePrmImport(req, env, user) {
+  const body    = await req.json().catch(() => ({}));
+  const station = await resolveStation(env, body.station, user);
+  const text    = String(body.text || "");
+  const apply   = isTrue(body.apply);
+  if (!text.trim()) return json({ ok: false, error: "Paste a PNL, ADL or PSM message." }, { status: 400 });
+  if (text.length > IMPORT_TEXT_MAX) return json({ ok: false, error: "Message text is too long." }, { status: 400 });
+
+  const { messages, warnings } = parsePrmMessages(text);
+  if (!messages.length)
+    return json({ ok: false, error: "No PNL, ADL or PSM message found.", warnings }, { status: 400 });
+
+  const actor   = user?.username || "";
+  const nowIso  = new Date().toISOString();
+  const records = new Map();   // flight key → current passenger rows
+  const out     = [];
+
+  for (const m of messages) {
+    const match = await matchImportFlight(env, station, m);
+    const res = {
+      kind: m.kind, flight: formatFlightNo(m.flightNo), date: match.date, type: match.type,
+      complete: m.complete, key: match.flight?.key || null, error: match.error || "",
+      adds: [], removes: [], updates: [], counts: null, importId: null,
+    };
+    out.push(res);
+    if (!match.flight) continue;
+
+    const flight = match.flight;
+    if (!records.has(flight.key)) {
+      const { results } = await env.DB.prepare("SELECT * FROM prm_passengers WHERE flight_key = ? ORDER BY id").bind(flight.key).all();
+      records.set(flight.key, results);
+    }
+    const cur  = records.get(flight.key);
+    const plan = planPrmImport(m, cur, station.code);
+
+    const dropped = new Set(plan.removes);
+    const after   = cur.filter(r => !dropped.has(r)).map(r => {
+      const u = plan.updates.find(x => x.record === r);
+      return u ? { ...r, ...u.fields } : r;
+    }).concat(plan.adds.map(e => ({
+      ssr: e.ssr, name: e.name, seat: e.seat, wheelchair_type: e.wheelchairType,
+      conn_flight: e.connFlight ? formatFlightNo(e.connFlight) : "", source: m.kind,
+    })));
+    const from = cur.length ? countPassengers(cur) : { wchr: Number(flight.wchr) || 0, wchc: Number(flight.wchc) || 0 };
+    const to   = after.length || cur.length ? countPassengers(after) : from;
+
+    res.adds    = plan.adds.map(importEntryLabel);
+    res.removes = plan.removes.map(r => passengerLabel(r));
+    res.updates = plan.updates.map(u => `${passengerLabel(u.record)} → ${passengerLabel({ ...u.record, ...u.fields })}`);
+    res.counts  = { wchr: { from: from.wchr, to: to.wchr }, wchc: { from: from.wchc, to: to.wchc }, summary: to.summary ?? flight.prm_summary ?? "" };
+
+    const changes = plan.adds.length + plan.removes.length + plan.updates.length;
+    if (apply && changes) {
+      res.importId = await applyPrmImport(env, station, m, flight, plan, actor, nowIso);
+      const { results } = await env.DB.prepare("SELECT * FROM prm_passengers WHERE flight_key = ? ORDER BY id").bind(flight.key).all();
+      records.set(flight.key, results);
+    } else {
+      records.set(flight.key, after);
+    }
+  }
+
+  return json({ ok: true, applied: apply, station: station.code, messages: out, warnings });
+}
+
+// ─────────────────────────────────────────────────────────────
+// § 11g  CONNECTIONS  (PRM transfers, ARR → onward DEP)
+// ─────────────────────────────────────────────────────────────
+//
+// A flight_connections row links an arrival to the departure its
+// assisted passengers transfer to.  Connection time is the departure's
+// estimate minus the arrival's; the station minimum applies when both
+// legs are in the same zone and the cross-zone minimum when they are
+// not, so a gate change that moves a leg can tighten a connection as
+// much as a delay.
+//
+// evaluateConnections runs after every sync and every link edit.  Each
+// leg gets the evaluated links (flights.conn_links, JSON) for the boards
+// and conn_risk_text for its alert.  A link that newly drops below its
+// minimum resets the ACKs on both legs; recovering only clears the alert.
+
+/** flights.conn_links → array for the boards. */
+function parseConnLinks(v) {
+  if (!v) return [];
+  try { return JSON.parse(v); } catch { return []; }
+}
+
+/** Statement moving a re-keyed flight's connections to its new key. */
+function rekeyConnectionsStmt(env, fromKey, toKey) {
+  return env.DB.prepare(`
+    UPDATE flight_connections SET
+      arr_key = CASE WHEN arr_key = ? THEN ? ELSE arr_key END,
+      dep_key = CASE WHEN dep_key = ? THEN ? ELSE dep_key END
+    WHERE arr_key = ? OR dep_key = ?
+  `).bind(fromKey, toKey, fromKey, toKey, fromKey, fromKey);
+}
+
+/** Minutes between the legs and the minimum that applies → { connMin, minMin, atRisk }. */
+function connectionState(arr, dep, station) {
+  const diff    = Date.parse(dep.time_est) - Date.parse(arr.time_est);
+  const connMin = Number.isFinite(diff) ? Math.round(diff / 60_000) : null;
+  const minMin  = normalizeZone(arr.zone_current) === normalizeZone(dep.zone_current)
+    ? station.minConnect : station.minConnectXZone;
+  return { connMin, minMin, atRisk: connMin !== null && connMin < minMin };
+}
+
+/**
+ * Re-evaluate every connection of `station` and write what changed to the
+ * links and both legs.  → { updated: legs written, newlyAtRisk }
+ */
+async function evaluateConnections(env, station, { nowIso = new Date().toISOString(), actor = EVENT_SYNC_ACTOR } = {}) {
+  const code = station.code;
+  const [{ results: links }, { results: legs }] = await env.DB.batch([
+    env.DB.prepare("SELECT * FROM flight_connections WHERE station = ? ORDER BY id").bind(code),
+    env.DB.prepare(`
+      SELECT * FROM flights WHERE station = ? AND (
+        conn_links != '' OR conn_risk_text != ''
+        OR key IN (SELECT arr_key FROM flight_connections WHERE station = ?)
+        OR key IN (SELECT dep_key FROM flight_connections WHERE station = ?))
+    `).bind(code, code, code),
+  ]);
+
+  const legMap = new Map(legs.map(r => [r.key, { row: r, links: [], risks: [] }]));
+  const stmts  = [];
+  const resets = new Set();
+  let newlyAtRisk = 0;
+
+  for (const c of links) {
+    const arr = legMap.get(c.arr_key), dep = legMap.get(c.dep_key);
+    if (!arr || !dep) continue;   // a leg was archived
+
+    const { connMin, minMin, atRisk } = connectionState(arr.row, dep.row, station);
+    const wasAtRisk = isTrue(c.at_risk);
+    if (atRisk && !wasAtRisk) { resets.add(c.arr_key); resets.add(c.dep_key); newlyAtRisk++; }
+    if (atRisk !== wasAtRisk || connMin !== c.conn_min || minMin !== c.min_conn_min) {
+      stmts.push(env.DB.prepare(
+        "UPDATE flight_connections SET conn_min=?, min_conn_min=?, at_risk=?, at_risk_since=? WHERE id=?"
+      ).bind(connMin, minMin, atRisk ? 1 : 0, atRisk ? (wasAtRisk ? c.at_risk_since : nowIso) : null, c.id));
+    }
+
+    const base = { id: c.id, pax: c.pax, notes: c.notes || "", connMin, minMin, atRisk };
+    const leg  = r => ({ key: r.key, flight: r.flight, gate: r.gate || "", zone: r.zone_current || "" });
+    arr.links.push({ ...base, dir: "to",   ...leg(dep.row) });
+    dep.links.push({ ...base, dir: "from", ...leg(arr.row) });
+    if (atRisk) {
+      const text = `Connection at risk: ${arr.row.flight} -> ${dep.row.flight} ${connMin} min (min ${minMin})`;
+      arr.risks.push(text);
+      dep.risks.push(text);
+    }
+  }
+
+  const events = [];
+  let updated = 0;
+  for (const { row, links: mine, risks } of legMap.values()) {
+    const connLinks = mine.length ? JSON.stringify(mine) : "";
+    const riskText  = risks.join(" | ");
+    const reset     = resets.has(row.key);
+    if (connLinks === (row.conn_links || "") && riskText === (row.conn_risk_text || "") && !reset) continue;
+
+    const alert = alertTextForRow({ ...row, conn_risk_text: riskText });
+    stmts.push(env.DB.prepare(`
+      UPDATE flights SET conn_links=?, conn_risk_text=?, alert_text=?, ${reset ? ACK_RESET_SQL + "," : ""} updated_at=? WHERE key=?
+    `).bind(connLinks, riskText, alert, nowIso, row.key));
+    if (riskText !== (row.conn_risk_text || ""))
+      events.push(flightEvent(row.key, actor === EVENT_SYNC_ACTOR ? "sync" : "edit", {
+        field: "conn_risk", oldValue: row.conn_risk_text || "", newValue: riskText, actor, at: nowIso,
+      }));
+    updated++;
+  }
+
+  for (let i = 0; i < stmts.length; i += 100)
+    await env.DB.batch(stmts.slice(i, i + 100));
+  await recordFlightEvents(env, events);
+  return { updated, newlyAtRisk };
+}
+
+/** "AC 123 -> WS 816 (2 pax)" for the audit trail. */
+function connectionLabel(arr, dep, pax) {
+  return `${arr.flight} -> ${dep.flight} (${pax} pax)`;
+}
+
+function connectionToJson(c) {
+  return {
+    id:          c.id,
+    arrKey:      c.arr_key,
+    depKey:      c.dep_key,
+    pax:         c.pax,
+    notes:       c.notes || "",
+    connMin:     c.conn_min ?? null,
+    minMin:      c.min_conn_min ?? null,
+    atRisk:      isTrue(c.at_risk),
+    atRiskSince: c.at_risk_since || "",
+    createdBy:   c.created_by || "",
+    updatedBy:   c.updated_by || "",
+    updatedAt:   c.updated_at || "",
+  };
+}
+
+function parseConnectionPax(v) {
+  const n = parseCount(v);
+  return n >= 1 ? n : NaN;
+}
+
+/** Re-evaluate, log the change on both legs and push it to the boards. */
+async function afterConnectionChange(env, station, arrKey, depKey, oldValue, newValue, actor) {
+  const nowIso = new Date().toISOString();
+  await recordFlightEvents(env, [arrKey, depKey].map(key => flightEvent(key, "edit", {
+    field: "connection", oldValue, newValue, board: "DISPATCH", actor, at: nowIso,
+  })));
+  await evaluateConnections(env, station, { nowIso, actor });
+  await refreshFlightCache(env);
+  await publishLive(env, { type: "sync", station: station.code, inserted: 0, updated: 2 });
+}
+
+/** GET /dispatch/connections?station= */
+async function handleConnectionsList(req, env, user) {
+  const station = await resolveStation(env, new URL(req.url).searchParams.get("station"), user);
+  const { results } = await env.DB.prepare(
+    "SELECT * FROM flight_connections WHERE station = ? ORDER BY id"
+  ).bind(station.code).all();
+  return json({
+    ok: true, station: station.code,
+    minConnect: station.minConnect, minConnectXZone: station.minConnectXZone,
+    connections: results.map(connectionToJson),
+  });
+}
+
+/** POST /dispatch/connections  { arrKey, depKey, pax, notes? } */
+async function handleConnectionCreate(req, env, user) {
+  const body   = await req.json().catch(() => ({}));
+  const arrKey = String(body.arrKey || "").trim();
+  const depKey = String(body.depKey || "").trim();
+  const pax    = parseConnectionPax(body.pax);
+  if (!arrKey || !depKey) return json({ ok: false, error: "Provide arrKey and depKey." }, { status: 400 });
+  if (Number.isNaN(pax))  return json({ ok: false, error: "Passengers must be a whole number from 1 to 99." }, { status: 400 });
+
+  const station = await resolveStation(env, stationFromKey(arrKey), user);
+  const [arr, dep] = await Promise.all([getFlightRow(env, arrKey), getFlightRow(env, depKey)]);
+  if (!arr || !dep) return json({ ok: false, error: "Unknown flight." }, { status: 404 });
+  if (arr.type !== "ARR" || dep.type !== "DEP")
+    return json({ ok: false, error: "A connection links an arrival to a departure." }, { status: 400 });
+  if (dep.station !== arr.station)
+    return json({ ok: false, error: "Both legs must be at the same station." }, { status: 400 });
+  if (await env.DB.prepare("SELECT id FROM flight_connections WHERE arr_key = ? AND dep_key = ?").bind(arrKey, depKey).first())
+    return json({ ok: false, error: `${arr.flight} -> ${dep.flight} is already linked.` }, { status: 409 });
+
+  const actor  = user?.username || "";
+  const nowIso = new Date().toISOString();
+  const row = await env.DB.prepare(`
+    INSERT INTO flight_connections (station, arr_key, dep_key, pax, notes, created_by, created_at, updated_by, updated_at)
+    VALUES (?,?,?,?,?,?,?,?,?) RETURNING *
+  `).bind(station.code, arrKey, depKey, pax, String(body.notes || "").trim().slice(0, 200), actor, nowIso, actor, nowIso).first();
+
+  await afterConnectionChange(env, station, arrKey, depKey, "", connectionLabel(arr, dep, pax), actor);
+  return json({ ok: true, connection: connectionToJson(row) });
+}
+
+/** PUT /dispatch/connections  { id, pax?, notes? } */
+async function handleConnectionUpdate(req, env, user) {
+  const body = await req.json().catch(() => ({}));
+  const cur  = await env.DB.prepare("SELECT * FROM flight_connections WHERE id = ?").bind(Number(body.id) || 0).first();
+  if (!cur) return json({ ok: false, error: "Unknown connection." }, { status: 404 });
+  const station = await resolveStation(env, cur.station, user);
+
+  const pax = body.pax === undefined ? cur.pax : parseConnectionPax(body.pax);
+  if (Number.isNaN(pax)) return json({ ok: false, error: "Passengers must be a whole number from 1 to 99." }, { status: 400 });
+  const notes = body.notes === undefined ? (cur.notes || "") : String(body.notes || "").trim().slice(0, 200);
+
+  const actor  = user?.username || "";
+  const nowIso = new Date().toISOString();
+  await env.DB.prepare(
+    "UPDATE flight_connections SET pax=?, notes=?, updated_by=?, updated_at=? WHERE id=?"
+  ).bind(pax, notes, actor, nowIso, cur.id).run();
+
+  const [arr, dep] = await Promise.all([getFlightRow(env, cur.arr_key), getFlightRow(env, cur.dep_key)]);
+  const label = p => arr && dep ? connectionLabel(arr, dep, p) : `${p} pax`;
+  await afterConnectionChange(env, station, cur.arr_key, cur.dep_key, label(cur.pax), label(pax), actor);
+  return json({ ok: true, connection: connectionToJson({ ...cur, pax, notes, updated_by: actor, updated_at: nowIso }) });
+}
+
+/** DELETE /dispatch/connections?id= */
+async function handleConnectionDelete(req, env, user) {
+  const id  = Number(new URL(req.url).searchParams.get("id")) || 0;
+  const cur = await env.DB.prepare("SELECT * FROM flight_connections WHERE id = ?").bind(id).first();
+  if (!cur) return json({ ok: false, error: "Unknown connection." }, { status: 404 });
+  const station = await resolveStation(env, cur.station, user);
+
+  await env.DB.prepare("DELETE FROM flight_connections WHERE id = ?").bind(id).run();
+  const [arr, dep] = await Promise.all([getFlightRow(env, cur.arr_key), getFlightRow(env, cur.dep_key)]);
+  await afterConnectionChange(env, station, cur.arr_key, cur.dep_key,
+    arr && dep ? connectionLabel(arr, dep, cur.pax) : `${cur.pax} pax`, "", user?.username || "");
+  return json({ ok: true });
+}
+
+// ─────────────────────────────────────────────────────────────
+// § 11h  EXPORT  (CSV / XLSX of the archive and the live boards)
+// ─────────────────────────────────────────────────────────────
+//
+// Columns are named by their flights / archived_flights column (the keys
+// archive.html's column picker uses); times are written in station
+// local time.  An .xlsx gets one sheet per ops day; a multi-day CSV
+// gets an "Ops Date" column instead.  The workbook is plain SpreadsheetML
+// in a stored (uncompressed) zip — no library needed in the Worker.
+
+const EXPORT_FORMATS  = ["csv", "xlsx"];
+const EXPORT_MAX_ROWS = 20_000;
+
+// key → { label, kind }   kind: text | time (local) | num | flag | min
+const EXPORT_COLUMNS = {
+  ops_date:           { label: "Ops Date",    kind: "text" },
+  flight:             { label: "Flight",      kind: "text" },
+  type:               { label: "Type",        kind: "text" },
+  time_est:           { label: "Est Time",    kind: "time" },
+  sched:              { label: "Sched",       kind: "time" },
+  origin_dest:        { label: "Origin/Dest", kind: "text" },
+  gate:               { label: "Gate",        kind: "text" },
+  zone_current:       { label: "Zone",        kind: "text" },
+  status:             { label: "Status",      kind: "text" },
+  wchr:               { label: "WCHR",        kind: "num" },
+  wchc:               { label: "WCHC",        kind: "num" },
+  prm_summary:        { label: "PRM",         kind: "text" },
+  ambulift:           { label: "Ambulift",    kind: "num" },
+  comment:            { label: "Comment",     kind: "text" },
+  assignment:         { label: "Assignment",  kind: "text" },
+  pax_assisted:       { label: "Pax",         kind: "num" },
+  watchlist:          { label: "Watchlist",   kind: "flag" },
+  gate_changed:       { label: "Gate Chg",    kind: "flag" },
+  gate_chg_from_gate: { label: "Gate From",   kind: "text" },
+  gate_chg_to_gate:   { label: "Gate To",     kind: "text" },
+  time_changed:       { label: "Time Chg",    kind: "flag" },
+  time_delta_min:     { label: "Time Delta",  kind: "min" },
+  zone_changed:       { label: "Zone Chg",    kind: "flag" },
+  zone_chg_from:      { label: "Zone From",   kind: "text" },
+  zone_chg_to:        { label: "Zone To",     kind: "text" },
+  alert_text:         { label: "Alert",       kind: "text" },
+  key:                { label: "Key",         kind: "text" },
+};
+const EXPORT_DEFAULT_COLS = ["flight", "type", "time_est", "sched", "origin_dest", "gate", "zone_current", "wchr", "wchc", "comment"];
+
+// Fields the free-text `q` filter looks in (archive page + export)
+const EXPORT_SEARCH_FIELDS = ["flight", "type", "origin_dest", "gate", "zone_current", "comment", "assignment", "alert_text"];
+
+/** "ac 1  ws" → ["AC", "1", "WS"] */
+function searchTokens(q) {
+  return String(q || "").toUpperCase().split(/\s+/).filter(Boolean);
+}
+
+/** Shared ?format= / ?cols= parsing.  Returns { format, cols } or { error }. */
+function parseExportParams(p) {
+  const format = String(p.get("format") || "csv").trim().toLowerCase();
+  if (!EXPORT_FORMATS.includes(format))
+    return { error: `format must be one of: ${EXPORT_FORMATS.join(", ")}.` };
+  const raw  = String(p.get("cols") || "").split(",").map(c => c.trim()).filter(Boolean);
+  const bad  = raw.filter(c => !EXPORT_COLUMNS[c]);
+  if (bad.length) return { error: `Unknown column(s): ${bad.join(", ")}.` };
+  return { format, cols: raw.length ? [...new Set(raw)] : EXPORT_DEFAULT_COLS };
+}
+
+/** ISO → "YYYY-MM-DD HH:mm" in `tz` ("" when blank / unparseable). */
+function fmtLocalDateTime(iso, tz) {
+  if (!iso) return "";
+  const d = new Date(iso);
+  if (isNaN(d.getTime())) return String(iso);
+  const p = getTzParts(d, tz);
+  return `${fmtYmd(p)} ${String(p.hour).padStart(2, "0")}:${String(p.minute).padStart(2, "0")}`;
+}
+
+/** One cell: a number for num / min columns, else a string. */
+function exportCell(row, col, tz) {
+  const v = row[col];
+  switch (EXPORT_COLUMNS[col].kind) {
+    case "time": return fmtLocalDateTime(v, tz);
+    case "num":  return Number(v) || 0;
+    case "min":  return v == null || v === "" ? "" : Number(v) || 0;
+    case "flag": return isTrue(v) ? "Y" : "";
+    default:     return v == null ? "" : String(v);
+  }
+}
+
+/**
+ * Build the download: rows (each with ops_date) → CSV or one sheet per ops
+ * day.  `name` becomes the file name ("WINGS-YYZ-archive-2026-10-01").
+ */
+function exportResponse({ format, cols, rows, tz, name }) {
+  const days = [...new Set(rows.map(r => r.ops_date))].sort();
+  const header = cols.map(c => EXPORT_COLUMNS[c].label);
+  const table  = (list, withCols) => [withCols.map(c => EXPORT_COLUMNS[c].label), ...list.map(r => withCols.map(c => exportCell(r, c, tz)))];
+
+  let body, type;
+  if (format === "xlsx") {
+    const sheets = days.length
+      ? days.map(d => ({ name: d, rows: table(rows.filter(r => r.ops_date === d), cols) }))
+      : [{ name: "Flights", rows: [header] }];
+    body = buildXlsx(sheets);
+    type = "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet";
+  } else {
+    const csvCols = days.length > 1 && !cols.includes("ops_date") ? ["ops_date", ...cols] : cols;
+    body = "\uFEFF" + table(rows, csvCols).map(r => r.map(csvField).join(",")).join("\r\n") + "\r\n";
+    type = "text/csv; charset=utf-8";
+  }
+  return new Response(body, {
+    headers: {
+      "content-type": type,
+      "content-disposition": `attachment; filename="${name}.${format}"`,
+      "cache-control": "no-store",
+    },
+  });
+}
+
+/** RFC 4180 field; text that a spreadsheet would run as a formula is quoted with a leading '. */
+function csvField(v) {
+  if (typeof v === "number") return String(v);
+  let s = String(v);
+  if (/^[=+\-@\t\r]/.test(s)) s = "'" + s;
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+// ── XLSX (SpreadsheetML in a stored zip) ─────────────────────
+
+function xmlEsc(s) {
+  return String(s)
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, "")
+    .replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+}
+
+/** 0 → "A", 26 → "AA" */
+function xlsxColName(i) {
+  let s = "";
+  for (i++; i > 0; i = Math.floor((i - 1) / 26)) s = String.fromCharCode(65 + (i - 1) % 26) + s;
+  return s;
+}
+
+/** sheets: [{ name, rows: [[cell, …], …] }] — first row is the (bold, frozen) header. */
+function buildXlsx(sheets) {
+  const XML = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+  const NS  = 'xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main"';
+  const REL = "http://schemas.openxmlformats.org/officeDocument/2006/relationships";
+
+  const sheetXml = (rows) => XML +
+    `<worksheet ${NS}><sheetViews><sheetView workbookViewId="0">` +
+    `<pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews><sheetData>` +
+    rows.map((cells, r) => `<row r="${r + 1}">` + cells.map((v, c) => {
+      const ref = `${xlsxColName(c)}${r + 1}`, style = r === 0 ? ' s="1"' : "";
+      if (typeof v === "number") return `<c r="${ref}"${style}><v>${v}</v></c>`;
+      if (v === "") return "";
+      return `<c r="${ref}" t="inlineStr"${style}><is><t xml:space="preserve">${xmlEsc(v)}</t></is></c>`;
+    }).join("") + "</row>").join("") +
+    "</sheetData></worksheet>";
+
+  const files = [
+    ["[Content_Types].xml", XML +
+      '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+      '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+      '<Default Extension="xml" ContentType="application/xml"/>' +
+      '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+      '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>' +
+      sheets.map((_, i) => `<Override PartName="/xl/worksheets/sheet${i + 1}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`).join("") +
+      "</Types>"],
+    ["_rels/.rels", XML +
+      `<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">` +
+      `<Relationship Id="rId1" Type="${REL}/officeDocument" Target="xl/workbook.xml"/></Relationships>`],
+    ["xl/workbook.xml", XML +
+      `<workbook ${NS} xmlns:r="${REL}"><sheets>` +
+      sheets.map((s, i) => `<sheet name="${xmlEsc(String(s.name).replace(/[\[\]:*?\/\\]/g, "-").slice(0, 31))}" sheetId="${i + 1}" r:id="rId${i + 1}"/>`).join("") +
+      "</sheets></workbook>"],
+    ["xl/_rels/workbook.xml.rels", XML +
+      `<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">` +
+      sheets.map((_, i) => `<Relationship Id="rId${i + 1}" Type="${REL}/worksheet" Target="worksheets/sheet${i + 1}.xml"/>`).join("") +
+      `<Relationship Id="rId${sheets.length + 1}" Type="${REL}/styles" Target="styles.xml"/></Relationships>`],
+    ["xl/styles.xml", XML +
+      `<styleSheet ${NS}>` +
+      '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>' +
+      '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>' +
+      '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>' +
+      '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+      '<cellXfs count="2"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>' +
+      '<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/></cellXfs>' +
+      "</styleSheet>"],
+    ...sheets.map((s, i) => [`xl/worksheets/sheet${i + 1}.xml`, sheetXml(s.rows)]),
+  ];
+  const enc = new TextEncoder();
+  return zipStore(files.map(([name, text]) => ({ name, data: enc.encode(text) })));
+}
+
+let _crcTable = null;
+function crc32(bytes) {
+  if (!_crcTable) {
+    _crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+      _crcTable[n] = c >>> 0;
+    }
+  }
+  let crc = 0xFFFFFFFF;
+  for (let i = 0; i < bytes.length; i++) crc = _crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+/** Zip `files` ([{ name, data: Uint8Array }]) without compression. */
+function zipStore(files) {
+  const enc = new TextEncoder();
+  const now = new Date();
+  const dosTime = (now.getUTCHours() << 11) | (now.getUTCMinutes() << 5) | (now.getUTCSeconds() >> 1);
+  const dosDate = ((now.getUTCFullYear() - 1980) << 9) | ((now.getUTCMonth() + 1) << 5) | now.getUTCDate();
+
+  const locals = [], centrals = [];
+  let offset = 0;
+  for (const f of files) {
+    const name = enc.encode(f.name);
+    const crc  = crc32(f.data);
+    const head = (sig, central) => {
+      const b = new DataView(new ArrayBuffer(central ? 46 : 30));
+      let o = 0;
+      const u16 = (v) => { b.setUint16(o, v, true); o += 2; };
+      const u32 = (v) => { b.setUint32(o, v, true); o += 4; };
+      u32(sig);
+      if (central) u16(20);                        // version made by
+      u16(20); u16(0x0800); u16(0);                // version needed, UTF-8 names, stored
+      u16(dosTime); u16(dosDate);
+      u32(crc); u32(f.data.length); u32(f.data.length);
+      u16(name.length); u16(0);                    // extra length
+      if (central) { u16(0); u16(0); u16(0); u32(0); u32(offset); }  // comment, disk, attrs, offset
+      return new Uint8Array(b.buffer);
+    };
+    const local = head(0x04034B50, false);
+    locals.push(local, name, f.data);
+    centrals.push(head(0x02014B50, true), name);
+    offset += local.length + name.length + f.data.length;
+  }
+  const cdSize = centrals.reduce((n, b) => n + b.length, 0);
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, 0x06054B50, true);
+  end.setUint16(8, files.length, true);
+  end.setUint16(10, files.length, true);
+  end.setUint32(12, cdSize, true);
+  end.setUint32(16, offset, true);
+
+  const parts = [...locals, ...centrals, new Uint8Array(end.buffer)];
+  const out = new Uint8Array(parts.reduce((n, b) => n + b.length, 0));
+  let at = 0;
+  for (const b of parts) { out.set(b, at); at += b.length; }
+  return out;
+}
+
+// ── Handlers ──────────────────────────────────────────────────
+
+/**
+ * GET /archive/export?station=&format=csv|xlsx&cols=flight,gate,…
+ *     &date=YYYY-MM-DD   one ops day, or the /archive/search filters
+ *     (from, to, flight, airline, zone, gate, agent, type, q) and sort / dir.
+ */
+async function handleArchiveExport(req, env, user) {
+  const p       = new URL(req.url).searchParams;
+  const station = await resolveStation(env, p.get("station"), user);
+
+  const opts = parseExportParams(p);
+  if (opts.error) return json({ ok: false, error: opts.error }, { status: 400 });
+
+  const date = (p.get("date") || "").trim();
+  if (date && !YMD_RE.test(date)) return json({ ok: false, error: "date must be YYYY-MM-DD." }, { status: 400 });
+  const filters = archiveFilters(p, station);
+  if (filters.error) return json({ ok: false, error: filters.error }, { status: 400 });
+  const where = date ? `${filters.where} AND ops_date = ?` : filters.where;
+  const args  = date ? [...filters.args, date] : filters.args;
+
+  const sortCol = ARCHIVE_SORT[p.get("sort")] || "time_est";
+  const dir     = String(p.get("dir") || "").toLowerCase() === "desc" ? "DESC" : "ASC";
+  const { results: rows } = await env.DB.prepare(`
+    SELECT * FROM archived_flights WHERE ${where}
+    ORDER BY ops_date, ${sortCol} ${dir}, time_est, id
+    LIMIT ?
+  `).bind(...args, EXPORT_MAX_ROWS + 1).all();
+  if (rows.length > EXPORT_MAX_ROWS)
+    return json({ ok: false, error: `More than ${EXPORT_MAX_ROWS} flights — narrow the dates or filters.` }, { status: 400 });
+
+  const first = rows[0]?.ops_date || date || p.get("from") || "";
+  const last  = rows[rows.length - 1]?.ops_date || first;
+  const span  = first === last ? first : `${first}_${last}`;
+  return exportResponse({ ...opts, rows, tz: station.tz, name: `WINGS-${station.code}-archive${span ? "-" + span : ""}` });
+}
+
+/**
+ * Live board rows under the board filters shared by /dispatch/export and the
+ * bulk ACKs — f: { from, to, opsDay, type, q, zone, changes } as the board
+ * sends them (see handleDispatchExport).  board is the zone's ACK board, or
+ * DISPATCH without a zone; rows the board has ACKed come back with their
+ * alert and change flags blanked.  → { win, zoneWanted, board, rows }
+ */
+async function boardFilteredRows(env, station, f) {
+  const win = computeOpsWindow(new Date(), {
+    fromTime: f.from   || undefined,
+    toTime:   f.to     || undefined,
+    opsDay:   f.opsDay || undefined,
+  }, station);
+  const zoneWanted = f.zone ? normalizeZone(f.zone) : "ALL";
+  const board      = zoneWanted !== "ALL" ? ZONE_TO_BOARD[zoneWanted] : "DISPATCH";
+  const typeFilter = String(f.type || "ALL").toUpperCase();
+  const changes    = String(f.changes || "ALL").toUpperCase();
+  const q          = String(f.q || "").trim().toUpperCase().replace(/\s+/g, "");
+
+  const rows = [];
+  for (const r of await getFlightsInWindow(env, station.code, win.startISO, win.endISO)) {
+    if (typeFilter !== "ALL" && r.type !== typeFilter) continue;
+    if (q && !(r.flight || "").toUpperCase().replace(/\s+/g, "").includes(q)) continue;
+
+    const acked = !!board && getBoardAck(r, board);
+    if (zoneWanted !== "ALL") {
+      const inZone = normalizeZone(r.zone_current) === zoneWanted;
+      if (!inZone && (normalizeZone(r.zone_prev) !== zoneWanted || acked)) continue;
+    }
+    const row = acked
+      ? { ...r, alert_text: "", gate_changed: 0, time_changed: 0, zone_changed: 0, time_delta_min: null }
+      : { ...r };
+    if (changes === "GATE" && !isTrue(row.gate_changed)) continue;
+    if (changes === "TIME" && !isTrue(row.time_changed)) continue;
+    rows.push(row);
+  }
+  rows.sort((a, b) => String(a.time_est).localeCompare(String(b.time_est)));
+  return { win, zoneWanted, board, rows };
+}
+
+/**
+ * GET /dispatch/export?station=&format=csv|xlsx&cols=…
+ *     &from=&to=&opsDay=   the board's window (as /dispatch/rows)
+ *     &type=&q=            type pill; q = flight number, spaces ignored
+ *     &zone=&changes=      lead board: zone keeps carry-over rows until that
+ *                          board ACKs (as /lead/rows); changes = GATE | TIME
+ * Alerts and change flags the exporting board has ACKed are left blank.
+ */
+async function handleDispatchExport(req, env, user) {
+  const p       = new URL(req.url).searchParams;
+  const station = await resolveStation(env, p.get("station"), user);
+
+  const opts = parseExportParams(p);
+  if (opts.error) return json({ ok: false, error: opts.error }, { status: 400 });
+
+  const { win, zoneWanted, rows } = await boardFilteredRows(env, station, Object.fromEntries(p));
+  for (const r of rows) r.ops_date = fmtYmd(getOpsDate(new Date(r.time_est), station));
+
+  const label = zoneWanted === "ALL" ? "dispatch" : `lead-${zoneWanted.replace(/\s+/g, "")}`;
+  return exportResponse({ ...opts, rows, tz: station.tz, name: `WINGS-${station.code}-${label}-${fmtYmd(getOpsDate(new Date(win.startISO), station))}` });
+}
+
+// ─────────────────────────────────────────────────────────────
+// § 11i  BILLING  (airline tariffs + monthly PRM statements, Mgmt)
+// ─────────────────────────────────────────────────────────────
+//
+// A tariff prices one airline at one station between effective ops
+// dates (like a station_airlines contract): a rate per WCHR, per WCHC and
+// per ambulift movement, and a minimum per serviced flight.  Amounts are
+// integer cents in the database and decimal strings ("12.50") in the API.
+//
+// A statement covers one airline for one month of ops dates and is built
+// from archived_flights: one line per flight with any WCHR, WCHC or
+// ambulift, priced with the tariff in effect on its ops date.  Drafts are
+// rebuilt on demand; issuing one locks it (rates and lines included — the
+// rates are copied to billing_statement_rates, so later tariff edits don't
+// reach it).
+
+const PERIOD_RE          = /^\d{4}-(0[1-9]|1[0-2])$/;
+const CURRENCY_RE        = /^[A-Z]{3}$/;
+const STATEMENT_DRAFT    = "draft";
+const STATEMENT_ISSUED   = "issued";
+
+/** "12.5" → 1250; "" / undefined → def; anything else → NaN. */
+function parseMoney(v, def = 0) {
+  if (v === undefined || v === null || String(v).trim() === "") return def;
+  const s = String(v).trim();
+  if (!/^\d{1,7}(\.\d{1,2})?$/.test(s)) return NaN;
+  return Math.round(Number(s) * 100);
+}
+
+/** 1250 → "12.50" */
+function fmtMoney(cents) {
+  return ((Number(cents) || 0) / 100).toFixed(2);
+}
+
+function tariffToJson(r) {
+  return {
+    id: r.id, station: r.station, airline: r.airline, currency: r.currency,
+    perWchr: fmtMoney(r.per_wchr_cents), perWchc: fmtMoney(r.per_wchc_cents),
+    perAmbulift: fmtMoney(r.per_ambulift_cents), minPerFlight: fmtMoney(r.min_flight_cents),
+    from: r.effective_from || "", to: r.effective_to || "", notes: r.notes || "",
+    updatedBy: r.updated_by || "", updatedAt: r.updated_at || "",
+  };
+}
+
+/** Validate tariff fields → column values or { error }. */
+function parseTariff(body, requireAirline) {
+  const c = parseAirlineContract(body, requireAirline);
+  if (c.error) return c;
+  const out = { airline: c.airline, from: c.from, to: c.to };
+  out.currency = String(body.currency || "CAD").trim().toUpperCase();
+  if (!CURRENCY_RE.test(out.currency)) return { error: "Currency must be a 3-letter ISO code." };
+  out.per_wchr_cents     = parseMoney(body.perWchr);
+  out.per_wchc_cents     = parseMoney(body.perWchc);
+  out.per_ambulift_cents = parseMoney(body.perAmbulift);
+  out.min_flight_cents   = parseMoney(body.minPerFlight);
+  if ([out.per_wchr_cents, out.per_wchc_cents, out.per_ambulift_cents, out.min_flight_cents].some(Number.isNaN))
+    return { error: "Rates must be amounts like 45 or 45.50." };
+  out.notes = String(body.notes || "").trim().slice(0, 500);
+  return out;
+}
+
+/** Another tariff for the same airline whose dates overlap → its row, else null. */
+async function overlappingTariff(env, station, t, exceptId = 0) {
+  return env.DB.prepare(`
+    SELECT id, effective_from, effective_to FROM billing_tariffs
+    WHERE station = ? AND airline = ? AND id != ?
+      AND COALESCE(effective_from, '0000-00-00') <= COALESCE(?, '9999-99-99')
+      AND COALESCE(effective_to,   '9999-99-99') >= COALESCE(?, '0000-00-00')
+    LIMIT 1
+  `).bind(station, t.airline, exceptId, t.to, t.from).first();
+}
+
+/** GET /billing/tariffs?station= */
+async function handleTariffsList(req, env, user) {
+  const station = await resolveStation(env, new URL(req.url).searchParams.get("station"), user);
+  const { results } = await env.DB.prepare(
+    "SELECT * FROM billing_tariffs WHERE station = ? ORDER BY airline, COALESCE(effective_from, '')"
+  ).bind(station.code).all();
+  return json({ ok: true, station: station.code, tariffs: results.map(tariffToJson) });
+}
+
+/** POST /billing/tariffs  { station, airline, currency?, perWchr, perWchc, perAmbulift, minPerFlight, from?, to?, notes? } */
+async function handleTariffCreate(req, env, user) {
+  const body    = await req.json().catch(() => ({}));
+  const station = await resolveStation(env, body.station, user);
+  const t = parseTariff(body, true);
+  if (t.error) return json({ ok: false, error: t.error }, { status: 400 });
+  const clash = await overlappingTariff(env, station.code, t);
+  if (clash)
+    return json({ ok: false, error: `Overlaps the ${t.airline} tariff (${clash.effective_from || "open"} → ${clash.effective_to || "open"}). End that one first.` }, { status: 409 });
+
+  const nowIso = new Date().toISOString();
+  const row = await env.DB.prepare(`
+    INSERT INTO billing_tariffs (station, airline, currency, per_wchr_cents, per_wchc_cents, per_ambulift_cents,
+      min_flight_cents, effective_from, effective_to, notes, updated_by, created_at, updated_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?) RETURNING id
+  `).bind(
+    station.code, t.airline, t.currency, t.per_wchr_cents, t.per_wchc_cents, t.per_ambulift_cents,
+    t.min_flight_cents, t.from, t.to, t.notes, user?.username || "", nowIso, nowIso
+  ).first();
+  return json({ ok: true, id: row.id });
+}
+
+/** PATCH /billing/tariffs  { id, …same fields }  — every field is replaced. */
+async function handleTariffUpdate(req, env, user) {
+  const body = await req.json().catch(() => ({}));
+  const id   = Number(body.id);
+  if (!id) return json({ ok: false, error: "Missing id." }, { status: 400 });
+  const cur = await env.DB.prepare("SELECT * FROM billing_tariffs WHERE id = ?").bind(id).first();
+  if (!cur) return json({ ok: false, error: "Unknown tariff." }, { status: 404 });
+  assertStationAccess(user, cur.station);
+
+  const t = parseTariff({ ...body, airline: cur.airline }, true);
+  if (t.error) return json({ ok: false, error: t.error }, { status: 400 });
+  const clash = await overlappingTariff(env, cur.station, t, id);
+  if (clash)
+    return json({ ok: false, error: `Overlaps the ${t.airline} tariff (${clash.effective_from || "open"} → ${clash.effective_to || "open"}).` }, { status: 409 });
+
+  await env.DB.prepare(`
+    UPDATE billing_tariffs SET currency=?, per_wchr_cents=?, per_wchc_cents=?, per_ambulift_cents=?, min_flight_cents=?,
+      effective_from=?, effective_to=?, notes=?, updated_by=?, updated_at=?
+    WHERE id=?
+  `).bind(
+    t.currency, t.per_wchr_cents, t.per_wchc_cents, t.per_ambulift_cents, t.min_flight_cents,
+    t.from, t.to, t.notes, user?.username || "", new Date().toISOString(), id
+  ).run();
+  return json({ ok: true });
+}
+
+/** DELETE /billing/tariffs?id=  — issued statements keep the rates they were priced with. */
+async function handleTariffDelete(req, env, user) {
+  const id  = Number(new URL(req.url).searchParams.get("id"));
+  if (!id) return json({ ok: false, error: "Missing id." }, { status: 400 });
+  const cur = await env.DB.prepare("SELECT station FROM billing_tariffs WHERE id = ?").bind(id).first();
+  if (!cur) return json({ ok: true });
+  assertStationAccess(user, cur.station);
+  await env.DB.prepare("DELETE FROM billing_tariffs WHERE id = ?").bind(id).run();
+  return json({ ok: true });
+}
+
+// ── Statements ────────────────────────────────────────────────
+
+function statementToJson(r) {
+  return {
+    id: r.id, number: r.number, station: r.station, airline: r.airline, period: r.period,
+    status: r.status, currency: r.currency || "",
+    flights: r.flights, wchr: r.wchr, wchc: r.wchc, ambulift: r.ambulift, unpriced: r.unpriced,
+    total: fmtMoney(r.total_cents),
+    generatedBy: r.generated_by || "", generatedAt: r.generated_at || "",
+    issuedBy: r.issued_by || "", issuedAt: r.issued_at || "",
+  };
+}
+
+function statementLineToJson(l) {
+  return {
+    opsDate: l.ops_date, key: l.flight_key, flight: l.flight, type: l.type, sched: l.sched || "",
+    originDest: l.origin_dest || "", wchr: l.wchr, wchc: l.wchc, ambulift: l.ambulift,
+    tariffId: l.tariff_id, service: fmtMoney(l.service_cents), amount: fmtMoney(l.amount_cents),
+    minApplied: !!l.min_applied,
+  };
+}
+
+/**
+ * Price `flights` (archived rows of one airline) with `tariffs` (that
+ * airline's, any dates) → { lines, totals } for billing_statement_lines.
+ */
+function priceStatementLines(flights, tariffs) {
+  const inEffect = (d) => tariffs.find(t =>
+    (!t.effective_from || t.effective_from <= d) && (!t.effective_to || t.effective_to >= d));
+  const totals = { flights: 0, wchr: 0, wchc: 0, ambulift: 0, unpriced: 0, total_cents: 0, currencies: new Set() };
+  const lines = flights.map(f => {
+    const wchr = Number(f.wchr) || 0, wchc = Number(f.wchc) || 0, amb = Number(f.ambulift) || 0;
+    const t = inEffect(f.ops_date);
+    const service = t ? wchr * t.per_wchr_cents + wchc * t.per_wchc_cents + amb * t.per_ambulift_cents : 0;
+    const amount  = t ? Math.max(service, t.min_flight_cents) : 0;
+    totals.flights++; totals.wchr += wchr; totals.wchc += wchc; totals.ambulift += amb; totals.total_cents += amount;
+    if (t) totals.currencies.add(t.currency); else totals.unpriced++;
+    return {
+      ops_date: f.ops_date, flight_key: f.key, flight: f.flight, type: f.type, sched: f.sched, origin_dest: f.origin_dest || "",
+      wchr, wchc, ambulift: amb, tariff_id: t ? t.id : null,
+      service_cents: service, amount_cents: amount, min_applied: t && amount > service ? 1 : 0,
+    };
+  });
+  return { lines, totals };
+}
+
+/** Build (or rebuild) the draft statement for one airline / month. */
+async function generateStatement(env, station, airline, period, actor) {
+  const number = `${station.code}-${airline}-${period}`;
+  const existing = await env.DB.prepare(
+    "SELECT id, status FROM billing_statements WHERE station = ? AND airline = ? AND period = ?"
+  ).bind(station.code, airline, period).first();
+  if (existing?.status === STATEMENT_ISSUED)
+    return { error: `Statement ${number} is issued and locked.`, status: 409 };
+
+  const [flights, tariffs] = await env.DB.batch([
+    env.DB.prepare(`
+      SELECT key, ops_date, flight, type, sched, origin_dest, wchr, wchc, ambulift FROM archived_flights
+      WHERE station = ? AND ops_date >= ? AND ops_date <= ?
+        AND SUBSTR(REPLACE(UPPER(flight), ' ', ''), 1, 2) = ?
+        AND COALESCE(wchr, 0) + COALESCE(wchc, 0) + COALESCE(ambulift, 0) > 0
+      ORDER BY ops_date, sched, flight
+    `).bind(station.code, `${period}-01`, `${period}-31`, airline),
+    env.DB.prepare("SELECT * FROM billing_tariffs WHERE station = ? AND airline = ?").bind(station.code, airline),
+  ]);
+  const { lines, totals } = priceStatementLines(flights.results, tariffs.results);
+  if (totals.currencies.size > 1)
+    return { error: `${airline} tariffs in ${period} use different currencies (${[...totals.currencies].join(", ")}).`, status: 409 };
+
+  // One batch, so a failure leaves the previous draft whole.  Lines and rate
+  // snapshots hang off the statement only while it is still a draft.
+  const nowIso = new Date().toISOString();
+  const draftId = "(SELECT id FROM billing_statements WHERE station = ? AND airline = ? AND period = ? AND status = ?)";
+  const draftArgs = [station.code, airline, period, STATEMENT_DRAFT];
+  const INS = env.DB.prepare(`
+    INSERT INTO billing_statement_lines (statement_id, ops_date, flight_key, flight, type, sched, origin_dest,
+      wchr, wchc, ambulift, tariff_id, service_cents, amount_cents, min_applied)
+    SELECT ${draftId}, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?
+  `);
+  const RATE = env.DB.prepare(`
+    INSERT INTO billing_statement_rates (statement_id, tariff_id, currency, per_wchr_cents, per_wchc_cents,
+      per_ambulift_cents, min_flight_cents, effective_from, effective_to)
+    SELECT ${draftId}, ?, ?, ?, ?, ?, ?, ?, ?
+  `);
+  const used = new Set(lines.map(l => l.tariff_id).filter(Boolean));
+  const res = await env.DB.batch([
+    env.DB.prepare(`
+      INSERT INTO billing_statements (number, station, airline, period, status, currency, flights, wchr, wchc, ambulift,
+        unpriced, total_cents, generated_by, generated_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      ON CONFLICT(station, airline, period) DO UPDATE SET currency=excluded.currency, flights=excluded.flights,
+        wchr=excluded.wchr, wchc=excluded.wchc, ambulift=excluded.ambulift, unpriced=excluded.unpriced,
+        total_cents=excluded.total_cents, generated_by=excluded.generated_by, generated_at=excluded.generated_at
+      WHERE billing_statements.status = ?
+      RETURNING id
+    `).bind(
+      number, station.code, airline, period, STATEMENT_DRAFT, [...totals.currencies][0] || "",
+      totals.flights, totals.wchr, totals.wchc, totals.ambulift, totals.unpriced, totals.total_cents,
+      actor, nowIso, STATEMENT_DRAFT
+    ),
+    env.DB.prepare(`DELETE FROM billing_statement_lines WHERE statement_id = ${draftId}`).bind(...draftArgs),
+    env.DB.prepare(`DELETE FROM billing_statement_rates WHERE statement_id = ${draftId}`).bind(...draftArgs),
+    ...lines.map(l => INS.bind(
+      ...draftArgs, l.ops_date, l.flight_key, l.flight, l.type, l.sched, l.origin_dest,
+      l.wchr, l.wchc, l.ambulift, l.tariff_id, l.service_cents, l.amount_cents, l.min_applied
+    )),
+    ...tariffs.results.filter(t => used.has(t.id)).map(t => RATE.bind(
+      ...draftArgs, t.id, t.currency, t.per_wchr_cents, t.per_wchc_cents,
+      t.per_ambulift_cents, t.min_flight_cents, t.effective_from, t.effective_to
+    )),
+  ]);
+  const head = res[0].results[0];
+  if (!head) return { error: `Statement ${number} is issued and locked.`, status: 409 };
+  return { id: head.id, number, flights: totals.flights, unpriced: totals.unpriced, total: fmtMoney(totals.total_cents) };
+}
+
+/**
+ * GET /billing/statements?station=&period=   — list (no lines)
+ * GET /billing/statements?id=                — one statement with its lines
+ */
+async function handleStatementsGet(req, env, user) {
+  const p  = new URL(req.url).searchParams;
+  const id = Number(p.get("id"));
+  if (id) {
+    const st = await env.DB.prepare("SELECT * FROM billing_statements WHERE id = ?").bind(id).first();
+    if (!st) return json({ ok: false, error: "Unknown statement." }, { status: 404 });
+    assertStationAccess(user, st.station);
+    const [lines, stations] = await Promise.all([
+      env.DB.prepare("SELECT * FROM billing_statement_lines WHERE statement_id = ? ORDER BY ops_date, sched, id").bind(id).all(),
+      getStations(env),
+    ]);
+    const station = stations.get(st.station) || { name: "", tz: DEFAULT_TZ };
+    // The rates copied at generation; statements from before the snapshots
+    // existed fall back to the live tariffs
+    let { results: tariffs } = await env.DB.prepare(
+      `SELECT tariff_id AS id, currency, per_wchr_cents, per_wchc_cents, per_ambulift_cents, min_flight_cents,
+       effective_from, effective_to
+     FROM billing_statement_rates WHERE statement_id = ? ORDER BY effective_from, tariff_id`
+    ).bind(id).all();
+    const tariffIds = [...new Set(lines.results.map(l => l.tariff_id).filter(Boolean))];
+    if (!tariffs.length && tariffIds.length)
+      tariffs = (await env.DB.prepare(`SELECT * FROM billing_tariffs WHERE id IN (${tariffIds.map(() => "?").join(",")})`).bind(...tariffIds).all()).results;
+    return json({
+      ok: true, statement: statementToJson(st), stationName: station.name || "", timezone: station.tz,
+      lines: lines.results.map(statementLineToJson), tariffs: tariffs.map(tariffToJson),
+    });
+  }
+
+  const station = await resolveStation(env, p.get("station"), user);
+  const period  = (p.get("period") || "").trim();
+  if (period && !PERIOD_RE.test(period)) return json({ ok: false, error: "period must be YYYY-MM." }, { status: 400 });
+  const { results } = await env.DB.prepare(`
+    SELECT * FROM billing_statements WHERE station = ? ${period ? "AND period = ?" : ""}
+    ORDER BY period DESC, airline
+  `).bind(...(period ? [station.code, period] : [station.code])).all();
+  return json({ ok: true, station: station.code, statements: results.map(statementToJson) });
+}
+
+/**
+ * POST /billing/statements  { station, period: "YYYY-MM", airline? }
+ * Builds / rebuilds drafts — for one airline, or every airline with a
+ * tariff in effect during the month.  Issued statements are skipped.
+ */
+async function handleStatementsGenerate(req, env, user) {
+  const body    = await req.json().catch(() => ({}));
+  const station = await resolveStation(env, body.station, user);
+  const period  = String(body.period || "").trim();
+  if (!PERIOD_RE.test(period)) return json({ ok: false, error: "period must be YYYY-MM." }, { status: 400 });
+  const actor = user?.username || "";
+
+  const airline = String(body.airline || "").trim().toUpperCase();
+  if (airline) {
+    if (!AIRLINE_CODE_RE.test(airline)) return json({ ok: false, error: "Airline must be a 2-character IATA designator." }, { status: 400 });
+    const r = await generateStatement(env, station, airline, period, actor);
+    if (r.error) return json({ ok: false, error: r.error }, { status: r.status });
+    return json({ ok: true, generated: [r], skipped: [] });
+  }
+
+  const { results } = await env.DB.prepare(`
+    SELECT DISTINCT airline FROM billing_tariffs
+    WHERE station = ? AND COALESCE(effective_from, '0000-00-00') <= ? AND COALESCE(effective_to, '9999-99-99') >= ?
+    ORDER BY airline
+  `).bind(station.code, `${period}-31`, `${period}-01`).all();
+  if (!results.length)
+    return json({ ok: false, error: `No tariffs in effect at ${station.code} during ${period}.` }, { status: 400 });
+
+  const generated = [], skipped = [];
+  for (const { airline: a } of results) {
+    const r = await generateStatement(env, station, a, period, actor);
+    if (r.error) skipped.push({ airline: a, reason: r.error });
+    else generated.push(r);
+  }
+  return json({ ok: true, generated, skipped });
+}
+
+/** POST /billing/statements/issue  { id }  — locks a draft. */
+async function handleStatementIssue(req, env, user) {
+  const body = await req.json().catch(() => ({}));
+  const id   = Number(body.id);
+  if (!id) return json({ ok: false, error: "Missing id." }, { status: 400 });
+  const st = await env.DB.prepare("SELECT station, number, status, unpriced FROM billing_statements WHERE id = ?").bind(id).first();
+  if (!st) return json({ ok: false, error: "Unknown statement." }, { status: 404 });
+  assertStationAccess(user, st.station);
+  if (st.status === STATEMENT_ISSUED) return json({ ok: false, error: `Statement ${st.number} is already issued.` }, { status: 409 });
+  if (st.unpriced)
+    return json({ ok: false, error: `${st.unpriced} flight(s) have no tariff in effect — add one and regenerate before issuing.` }, { status: 409 });
+
+  const nowIso = new Date().toISOString();
+  await env.DB.prepare(
+    "UPDATE billing_statements SET status=?, issued_by=?, issued_at=? WHERE id=? AND status=?"
+  ).bind(STATEMENT_ISSUED, user?.username || "", nowIso, id, STATEMENT_DRAFT).run();
+  return json({ ok: true, issuedAt: nowIso });
+}
+
+/** DELETE /billing/statements?id=  — drafts only. */
+async function handleStatementDelete(req, env, user) {
+  const id = Number(new URL(req.url).searchParams.get("id"));
+  if (!id) return json({ ok: false, error: "Missing id." }, { status: 400 });
+  const st = await env.DB.prepare("SELECT station, number, status FROM billing_statements WHERE id = ?").bind(id).first();
+  if (!st) return json({ ok: true });
+  assertStationAccess(user, st.station);
+  if (st.status === STATEMENT_ISSUED) return json({ ok: false, error: `Statement ${st.number} is issued and locked.` }, { status: 409 });
+  await env.DB.batch([
+    env.DB.prepare("DELETE FROM billing_statement_lines WHERE statement_id = ?").bind(id),
+    env.DB.prepare("DELETE FROM billing_statement_rates WHERE statement_id = ?").bind(id),
+    env.DB.prepare("DELETE FROM billing_statements WHERE id = ? AND status = ?").bind(id, STATEMENT_DRAFT),
+  ]);
+  return json({ ok: true });
+}
+
+// ─────────────────────────────────────────────────────────────
+// § 11j  PRM JOBS  (service lifecycle per agent, flight or passenger)
+// ─────────────────────────────────────────────────────────────
+//
+// A job is one agent's piece of work on a flight — the whole flight or
+// one passenger record.  It moves forward through JOB_STAGES (stages can
+// be skipped, never revisited); each stage stamps <stage>_at / _by.
+// Every change rewrites the flight's summary (flights.prm_jobs, JSON) and
+// pushes it to the boards like any other edit.
+
+const JOB_STAGES = ["assigned", "en_route", "at_aircraft", "in_progress", "handed_off", "completed"];
+
+/** flights.prm_jobs → array for the boards. */
+function parseJobs(v) {
+  if (!v) return [];
+  try { const a = JSON.parse(v); return Array.isArray(a) ? a : []; }
+  catch { return []; }
+}
+
+function jobToJson(r) {
+  return {
+    id:          r.id,
+    key:         r.flight_key,
+    passengerId: r.passenger_id ?? null,
+    label:       r.label || "",
+    agent:       r.agent,
+    stage:       r.stage,
+    stages:      JOB_STAGES.filter(s => r[`${s}_at`]).map(s => ({ stage: s, at: r[`${s}_at`], by: r[`${s}_by`] || "" })),
+    ackedAt:     r.acked_at || "",
+    createdAt:   r.created_at || "",
+  };
+}
+
+/** Board summary of one job: the stage it is in and when / who moved it there. */
+function jobSummary(r) {
+  return {
+    id: r.id, passengerId: r.passenger_id ?? null, label: r.label || "", agent: r.agent,
+    stage: r.stage, at: r[`${r.stage}_at`] || "", by: r[`${r.stage}_by`] || "", acked: !!r.acked_at,
+  };
+}
+
+/** "ALEX · WCHC SMITH/JANE 12A" for the audit trail. */
+function jobLabel(r) {
+  return [r.agent, r.label].filter(Boolean).join(" · ");
+}
+
+/** "at_aircraft" → "at aircraft" ("At aircraft" with `cap`) */
+function stageText(stage, cap = false) {
+  const t = String(stage || "").replaceAll("_", " ");
+  return cap ? t.charAt(0).toUpperCase() + t.slice(1) : t;
+}
+
+function rekeyJobsStmt(env, fromKey, toKey) {
+  return env.DB.prepare("UPDATE prm_jobs SET flight_key = ? WHERE flight_key = ?").bind(toKey, fromKey);
+}
+
+/**
+ * A passenger record is being deleted: its jobs become whole-flight jobs
+ * (the label still names the passenger).  Returns the job ids it moved.
+ */
+function detachPassengerJobsStmt(env, passengerId) {
+  return env.DB.prepare("UPDATE prm_jobs SET passenger_id = NULL WHERE passenger_id = ? RETURNING id").bind(passengerId);
+}
+
+/**
+ * Rewrite a flight's job summary from prm_jobs, log `events` and push
+ * the new summary to the boards.
+ */
+async function afterJobChange(env, key, events) {
+  const { results } = await env.DB.prepare(
+    "SELECT * FROM prm_jobs WHERE flight_key = ? ORDER BY id"
+  ).bind(key).all();
+  const jobs = results.map(jobSummary);
+  const text = jobs.length ? JSON.stringify(jobs) : "";
+
+  await env.DB.prepare("UPDATE flights SET prm_jobs=?, updated_at=? WHERE key=?")
+    .bind(text, new Date().toISOString(), key).run();
+  await recordFlightEvents(env, events);
+
+  updateCacheRow(key, { prm_jobs: text });
+  const patch = { jobs };
+  setPatch(key, patch);
+  await publishLive(env, { type: "edit", station: stationFromKey(key), key, board: "", patch });
+  return jobs;
+}
+
+/** GET /lead/jobs?key= */
+async function handleJobsList(req, env, user) {
+  const key = String(new URL(req.url).searchParams.get("key") || "").trim();
+  await getPassengerFlight(env, user, key);
+  const { results } = await env.DB.prepare(
+    "SELECT * FROM prm_jobs WHERE flight_key = ? ORDER BY id"
+  ).bind(key).all();
+  return json({ ok: true, key, stages: JOB_STAGES, jobs: results.map(jobToJson) });
+}
+
+/** POST /lead/jobs  { key, agent, passengerId?, zone? } — starts at "assigned". */
+async function handleJobCreate(req, env, user) {
+  const body   = await req.json().catch(() => ({}));
+  const key    = String(body.key || "").trim();
+  const flight = await getPassengerFlight(env, user, key);
+  const agent  = String(body.agent || "").trim();
+  if (!agent) return json({ ok: false, error: "Pick an agent." }, { status: 400 });
+
+  const station  = await resolveStation(env, flight.station, user);
+  const win      = computeFullOpsWindow(new Date(), station);
+  const rostered = await getRosteredNames(env, station.code, win.start.toISOString(), win.end.toISOString());
+  if (!rostered.has(agent.toUpperCase()))
+    return json({ ok: false, error: `Not on the roster: ${agent}` }, { status: 400 });
+
+  let passengerId = null, label = "";
+  if (body.passengerId) {
+    const p = await env.DB.prepare("SELECT * FROM prm_passengers WHERE id = ? AND flight_key = ?")
+      .bind(Number(body.passengerId) || 0, key).first();
+    if (!p) return json({ ok: false, error: "Unknown passenger on this flight." }, { status: 404 });
+    passengerId = p.id;
+    label = passengerLabel(p);
+  }
+
+  const open = await env.DB.prepare(`
+    SELECT id FROM prm_jobs
+    WHERE flight_key = ? AND UPPER(agent) = ? AND COALESCE(passenger_id, 0) = ? AND stage != 'completed'
+  `).bind(key, agent.toUpperCase(), passengerId || 0).first();
+  if (open) return json({ ok: false, error: `${agent} already has an open job for this ${passengerId ? "passenger" : "flight"}.` }, { status: 409 });
+
+  const actor  = user?.username || "";
+  const nowIso = new Date().toISOString();
+  const row = await env.DB.prepare(`
+    INSERT INTO prm_jobs (station, flight_key, passenger_id, label, agent, stage, assigned_at, assigned_by, created_at, updated_at)
+    VALUES (?, ?, ?, ?, ?, 'assigned', ?, ?, ?, ?) RETURNING *
+  `).bind(station.code, key, passengerId, label, agent, nowIso, actor, nowIso, nowIso).first();
+
+  const board = ZONE_TO_BOARD[normalizeZone(body.zone || "")] || "";
+  await afterJobChange(env, key, [flightEvent(key, "edit", {
+    field: "job", oldValue: "", newValue: `${jobLabel(row)}: assigned`, board, actor, at: nowIso,
+  })]);
+  return json({ ok: true, job: jobToJson(row) });
+}
+
+/**
+ * Move job `cur` forward to `stage` → json response.  `ack` also stamps
+ * acked_at (an agent reporting progress has seen the job).
+ */
+async function transitionJob(env, cur, stage, { actor, board, ack = false }) {
+  const to = JOB_STAGES.indexOf(stage);
+  if (to < 0) return json({ ok: false, error: `Stage must be one of ${JOB_STAGES.join(", ")}.` }, { status: 400 });
+  if (to <= JOB_STAGES.indexOf(cur.stage))
+    return json({ ok: false, error: `Job is already ${stageText(cur.stage)}.` }, { status: 409 });
+
+  const nowIso = new Date().toISOString();
+  // Guard on the stage read above so two taps can't both advance it
+  const row = await env.DB.prepare(`
+    UPDATE prm_jobs SET stage=?, ${stage}_at=?, ${stage}_by=?, ${ack ? "acked_at=COALESCE(acked_at, ?)," : ""} updated_at=?
+    WHERE id=? AND stage=? RETURNING *
+  `).bind(stage, nowIso, actor, ...(ack ? [nowIso] : []), nowIso, cur.id, cur.stage).first();
+  if (!row) return json({ ok: false, error: "Job changed meanwhile — reload and try again." }, { status: 409 });
+
+  await afterJobChange(env, cur.flight_key, [flightEvent(cur.flight_key, "edit", {
+    field: "job", oldValue: `${jobLabel(cur)}: ${cur.stage}`, newValue: `${jobLabel(row)}: ${stage}`, board, actor, at: nowIso,
+  })]);
+  return json({ ok: true, job: jobToJson(row) });
+}
+
+/** POST /lead/jobs/transition  { id, stage, zone? } — forward only. */
+async function handleJobTransition(req, env, user) {
+  const body = await req.json().catch(() => ({}));
+  const cur  = await env.DB.prepare("SELECT * FROM prm_jobs WHERE id = ?").bind(Number(body.id) || 0).first();
+  if (!cur) return json({ ok: false, error: "Unknown job." }, { status: 404 });
+  assertStationAccess(user, cur.station);
+  return transitionJob(env, cur, String(body.stage || "").trim().toLowerCase(), {
+    actor: user?.username || "", board: ZONE_TO_BOARD[normalizeZone(body.zone || "")] || "",
+  });
+}
+
+/** DELETE /lead/jobs?id=&zone= */
+async function handleJobDelete(req, env, user) {
+  const p   = new URL(req.url).searchParams;
+  const cur = await env.DB.prepare("SELECT * FROM prm_jobs WHERE id = ?").bind(Number(p.get("id")) || 0).first();
+  if (!cur) return json({ ok: false, error: "Unknown job." }, { status: 404 });
+  assertStationAccess(user, cur.station);
+
+  await env.DB.prepare("DELETE FROM prm_jobs WHERE id = ?").bind(cur.id).run();
+  const board = ZONE_TO_BOARD[normalizeZone(p.get("zone") || "")] || "";
+  await afterJobChange(env, cur.flight_key, [flightEvent(cur.flight_key, "edit", {
+    field: "job", oldValue: `${jobLabel(cur)}: ${cur.stage}`, newValue: "", board, actor: user?.username || "",
+  })]);
+  return json({ ok: true });
+}
+
+// ─────────────────────────────────────────────────────────────
+// § 11k  COMPLIANCE  (PRM service-time targets, Mgmt)
+// ─────────────────────────────────────────────────────────────
+//
+// Each PRM flight of the archived ops days is checked against the
+// station's targets.  The flight time is the last estimate (time_est ≈
+// on-block / off-block once the flight has operated); every job on the
+// flight is held to the most specific target per stage — the SSR of its
+// passenger, or for a whole-flight job the flight's heaviest need (WCHC,
+// then WCHR).  A PRM flight without any job is one breach on its own.
+// Cancelled and diverted flights are not checked.
+
+const SLA_DIRECTIONS = ["ARR", "DEP"];
+const SLA_DEFAULT_TARGETS = [
+  { direction: "ARR", ssr: "",     stage: "at_aircraft", targetMin: 10,  notes: "Met at the aircraft door" },
+  { direction: "ARR", ssr: "WCHC", stage: "at_aircraft", targetMin: 0,   notes: "WCHC met at the door on block" },
+  { direction: "ARR", ssr: "",     stage: "completed",   targetMin: 45,  notes: "Delivered (connection, curb or arrivals hall)" },
+  { direction: "DEP", ssr: "",     stage: "at_aircraft", targetMin: -20, notes: "At the aircraft before general boarding" },
+  { direction: "DEP", ssr: "WCHC", stage: "at_aircraft", targetMin: -30, notes: "WCHC pre-boarded" },
+];
+const SLA_SKIP_STATUSES = new Set([STATUS_CANCELLED, STATUS_DIVERTED]);
+
+function slaTargetToJson(r) {
+  return {
+    direction: r.direction, ssr: r.ssr || "", stage: r.stage,
+    targetMin: r.target_min ?? r.targetMin, notes: r.notes || "",
+  };
+}
+
+/** Station targets (or the defaults) → { targets, defaults }. */
+async function getSlaTargets(env, stationCode) {
+  const { results } = await env.DB.prepare(
+    "SELECT * FROM sla_targets WHERE station = ? ORDER BY direction, stage, ssr"
+  ).bind(stationCode).all();
+  return results.length
+    ? { targets: results.map(slaTargetToJson), defaults: false }
+    : { targets: SLA_DEFAULT_TARGETS.map(slaTargetToJson), defaults: true };
+}
+
+/** Validate a PUT list → rows | { error }. */
+function parseSlaTargets(list) {
+  if (!Array.isArray(list)) return { error: "targets must be a list." };
+  const out = [], seen = new Set();
+  for (const [i, t] of list.entries()) {
+    const n = `Target ${i + 1}`;
+    const direction = String(t?.direction || "").trim().toUpperCase();
+    const ssr       = String(t?.ssr || "").trim().toUpperCase();
+    const stage     = String(t?.stage || "").trim().toLowerCase();
+    const targetMin = Number(t?.targetMin);
+    if (!SLA_DIRECTIONS.includes(direction)) return { error: `${n}: direction must be ARR or DEP.` };
+    if (ssr && !PRM_SSR_CODES.includes(ssr)) return { error: `${n}: SSR must be one of ${PRM_SSR_CODES.join(", ")} or blank.` };
+    if (!JOB_STAGES.includes(stage) || stage === "assigned")
+      return { error: `${n}: stage must be one of ${JOB_STAGES.slice(1).join(", ")}.` };
+    if (!Number.isInteger(targetMin) || Math.abs(targetMin) > 24 * 60)
+      return { error: `${n}: minutes must be a whole number within ±1440.` };
+    const id = `${direction}|${ssr}|${stage}`;
+    if (seen.has(id)) return { error: `${n}: duplicate of an earlier ${direction} ${ssr || "any SSR"} ${stage} target.` };
+    seen.add(id);
+    out.push({ direction, ssr, stage, targetMin, notes: String(t?.notes || "").trim().slice(0, 200) });
+  }
+  return out;
+}
+
+/** Minutes relative to the flight time, as the report words them. */
+function slaOffsetText(min, direction) {
+  const ref = direction === "ARR" ? "on-block" : "departure";
+  if (min === 0) return `at ${ref}`;
+  return min > 0 ? `${min} min after ${ref}` : `${-min} min before ${ref}`;
+}
+
+/**
+ * Check one flight's jobs → list of { job, ssr, stage, targetMin, actualMin, breach, reason }.
+ * Offsets are measured from the recorded block time, falling back to the
+ * last estimate for flights archived without one.
+ * A PRM flight with no jobs yields one breach with stage "".
+ */
+function evaluateFlightSla(f, jobs, targets) {
+  const direction = f.type;
+  const flightMs  = Date.parse(f.block_time || f.time_est || f.sched || "");
+  const flightSsr = Number(f.wchc) > 0 ? "WCHC" : Number(f.wchr) > 0 ? "WCHR" : "";
+  const forDir    = targets.filter(t => t.direction === direction);
+  if (!forDir.length) return [];
+
+  if (!jobs.length) {
+    return [{ job: null, ssr: flightSsr, stage: "", targetMin: null, actualMin: null, breach: true,
+              reason: "No service job recorded" }];
+  }
+
+  const out = [];
+  for (const j of jobs) {
+    const ssr = j.passenger_id ? (j.pax_ssr || String(j.label || "").split(" ")[0]) : flightSsr;
+    // Most specific target per stage: the job's SSR, else the any-SSR row
+    const byStage = new Map();
+    for (const t of forDir) {
+      if (t.ssr && t.ssr !== ssr) continue;
+      if (!byStage.has(t.stage) || t.ssr) byStage.set(t.stage, t);
+    }
+    const reachedIdx = JOB_STAGES.indexOf(j.stage);
+    for (const [stage, t] of byStage) {
+      const at = j[`${stage}_at`];
+      const check = { job: j, ssr, stage, targetMin: t.targetMin, actualMin: null, breach: false, reason: "" };
+      if (!at) {
+        check.breach = true;
+        check.reason = reachedIdx > JOB_STAGES.indexOf(stage)
+          ? `${stageText(stage, true)} not recorded (job went on to ${stageText(j.stage)})`
+          : `Job stopped at ${stageText(j.stage)}`;
+      } else if (Number.isNaN(flightMs)) {
+        continue;
+      } else {
+        check.actualMin = Math.round((Date.parse(at) - flightMs) / 60000);
+        if (check.actualMin > t.targetMin) {
+          check.breach = true;
+          check.reason = `${stageText(stage, true)} ${slaOffsetText(check.actualMin, direction)} — target ${slaOffsetText(t.targetMin, direction)}`;
+        }
+      }
+      out.push(check);
+    }
+  }
+  return out;
+}
+
+/**
+ * GET /reports/compliance?station=&from=&to=
+ * Checks and breaches over archived ops days (same range rules as
+ * /archive/stats), with totals per airline and per zone.
+ */
+async function handleComplianceReport(req, env, user) {
+  const p       = new URL(req.url).searchParams;
+  const station = await resolveStation(env, p.get("station"), user);
+  const range   = statsRange(p, station);
+  if (range.error) return json({ ok: false, error: range.error }, { status: 400 });
+  const { from, to } = range;
+
+  const scope = "SELECT key FROM archived_flights WHERE station = ? AND ops_date >= ? AND ops_date <= ?";
+  const [flights, jobs, cfg] = await Promise.all([
+    env.DB.prepare(`
+      SELECT key, ops_date, flight, type, zone_current, status, time_est, sched, block_time, wchr, wchc, ambulift, prm_records
+      FROM archived_flights
+      WHERE station = ? AND ops_date >= ? AND ops_date <= ?
+        AND (COALESCE(wchr, 0) + COALESCE(wchc, 0) + COALESCE(ambulift, 0) > 0 OR COALESCE(prm_records, 0) > 0
+             OR key IN (SELECT flight_key FROM prm_jobs WHERE station = ?))
+      ORDER BY ops_date, time_est
+    `).bind(station.code, from, to, station.code).all(),
+    env.DB.prepare(`
+      SELECT j.*, p.ssr AS pax_ssr FROM prm_jobs j
+      LEFT JOIN prm_passengers p ON p.id = j.passenger_id
+      WHERE j.flight_key IN (${scope}) ORDER BY j.id
+    `).bind(station.code, from, to).all(),
+    getSlaTargets(env, station.code),
+  ]);
+
+  const jobsByKey = new Map();
+  for (const j of jobs.results) {
+    if (!jobsByKey.has(j.flight_key)) jobsByKey.set(j.flight_key, []);
+    jobsByKey.get(j.flight_key).push(j);
+  }
+
+  const blank = () => ({ flights: 0, checks: 0, breaches: 0 });
+  const totals = blank(), byAirline = new Map(), byZone = new Map();
+  const tally = (map, k) => { if (!map.has(k)) map.set(k, blank()); return map.get(k); };
+  const breaches = [];
+
+  for (const f of flights.results) {
+    if (SLA_SKIP_STATUSES.has(f.status) || !SLA_DIRECTIONS.includes(f.type)) continue;
+    const checks = evaluateFlightSla(f, jobsByKey.get(f.key) || [], cfg.targets);
+    if (!checks.length) continue;
+
+    const airline = String(f.flight || "").toUpperCase().replace(/\s+/g, "").slice(0, 2);
+    const zone    = f.zone_current || "Unassigned";
+    const groups  = [totals, tally(byAirline, airline), tally(byZone, zone)];
+    const broken  = checks.filter(c => c.breach).length;
+    for (const g of groups) { g.flights++; g.checks += checks.length; g.breaches += broken; }
+
+    for (const c of checks) {
+      if (!c.breach) continue;
+      breaches.push({
+        opsDate: f.ops_date, key: f.key, flight: f.flight, type: f.type, airline, zone,
+        flightTime: f.time_est || f.sched || "", ssr: c.ssr,
+        agent: c.job?.agent || "", passenger: c.job?.label || "",
+        stage: c.stage, stageAt: c.stage && c.job ? (c.job[`${c.stage}_at`] || "") : "",
+        targetMin: c.targetMin, actualMin: c.actualMin, reason: c.reason,
+      });
+    }
+  }
+
+  const rate = g => ({ ...g, compliance: g.checks ? Math.round(1000 * (g.checks - g.breaches) / g.checks) / 10 : null });
+  const list = map => [...map].map(([k, g]) => ({ key: k, ...rate(g) })).sort((a, b) => a.key.localeCompare(b.key));
+  return json({
+    ok: true, station: station.code, timezone: station.tz, from, to,
+    targets: cfg.targets, defaultTargets: cfg.defaults,
+    totals: rate(totals), byAirline: list(byAirline), byZone: list(byZone), breaches,
+  });
+}
+
+/** GET /reports/compliance/targets?station= */
+async function handleSlaTargetsGet(req, env, user) {
+  const station = await resolveStation(env, new URL(req.url).searchParams.get("station"), user);
+  const cfg = await getSlaTargets(env, station.code);
+  return json({ ok: true, station: station.code, stages: JOB_STAGES.slice(1), ssrCodes: PRM_SSR_CODES,
+                     targets: cfg.targets, defaultTargets: cfg.defaults });
+}
+
+/** PUT /reports/compliance/targets  { station, targets: [{ direction, ssr, stage, targetMin, notes }] } — replaces the set; [] = back to defaults. */
+async function handleSlaTargetsPut(req, env, user) {
+  const body    = await req.json().catch(() => ({}));
+  const station = await resolveStation(env, body.station, user);
+  const targets = parseSlaTargets(body.targets);
+  if (targets.error) return json({ ok: false, error: targets.error }, { status: 400 });
+
+  const actor  = user?.username || "";
+  const nowIso = new Date().toISOString();
+  const INS = env.DB.prepare(`
+    INSERT INTO sla_targets (station, direction, ssr, stage, target_min, notes, updated_by, updated_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+  `);
+  await env.DB.batch([
+    env.DB.prepare("DELETE FROM sla_targets WHERE station = ?").bind(station.code),
+    ...targets.map(t => INS.bind(station.code, t.direction, t.ssr, t.stage, t.targetMin, t.notes, actor, nowIso)),
+  ]);
+  return json({ ok: true, count: targets.length });
+}
+
+// ─────────────────────────────────────────────────────────────
+// § 11l  AGENT  ("my jobs" for the Agent role, agent.html)
+// ─────────────────────────────────────────────────────────────
+//
+// An Agent user is linked to their roster entry (users.agent_id), and the
+// roster name is what assignments and jobs carry, so "my flights" are the
+// current ops day's flights whose assignment names them, plus any flight
+// where they hold a job.  Agents acknowledge and move only their own
+// jobs; the lead board sees each change through the usual live patch.
+
+const AGENT_BOARD = "AGENT";   // board label on the history events agents cause
+
+function assignmentNames(assignment) {
+  return String(assignment || "").split(",").map(n => n.trim().toUpperCase()).filter(Boolean);
+}
+
+/** Roster name of the calling user's linked agent; 403 when there is none. */
+async function rosterNameFor(env, user) {
+  const row = await env.DB.prepare(`
+    SELECT a.name FROM users u JOIN agents a ON a.id = u.agent_id WHERE u.username = ? LIMIT 1
+  `).bind(user.username || "").first();
+  if (!row) throw httpError(403, "Your account is not linked to a roster agent. Ask a manager to link it.");
+  return row.name;
+}
+
+/** GET /agent/jobs?station= */
+async function handleAgentJobs(req, env, user) {
+  const p       = new URL(req.url).searchParams;
+  const station = await resolveStation(env, p.get("station"), user);
+  await reloadFlightCacheSince(env, p.get("since"));
+  const agent   = await rosterNameFor(env, user);
+  const me      = agent.toUpperCase();
+  const win     = computeFullOpsWindow(new Date(), station);
+  const rows    = await getFlightsInWindow(env, station.code, win.start.toISOString(), win.end.toISOString());
+
+  const out = [];
+  for (const r of rows) {
+    const row = applyPatch({
+      key:         r.key,
+      type:        r.type,
+      flight:      r.flight,
+      timeEst:     r.time_est,
+      origin:      r.origin_dest || "",
+      gate:        r.gate,
+      zone:        r.zone_current,
+      status:      r.status || STATUS_SCHEDULED,
+      prmSummary:  r.prm_summary || "",
+      wchr:        String(r.wchr ?? ""),
+      wchc:        String(r.wchc ?? ""),
+      ambulift:    String(r.ambulift ?? ""),
+      comment:     r.comment || "",
+      assignment:  r.assignment || "",
+      jobs:        parseJobs(r.prm_jobs),
+      alert:       r.alert_text || "",
+      gateChanged: isTrue(r.gate_changed),
+      timeChanged: isTrue(r.time_changed),
+    });
+    const jobs = (row.jobs || []).filter(j => String(j.agent || "").toUpperCase() === me);
+    if (!jobs.length && !assignmentNames(row.assignment).includes(me)) continue;
+    out.push({ ...row, jobs });
+  }
+
+  out.sort((a, b) => new Date(a.timeEst).getTime() - new Date(b.timeEst).getTime());
+  return json({ ok: true, agent, station: station.code, stages: JOB_STAGES, rows: out, generatedAt: new Date().toISOString() });
+}
+
+/**
+ * POST /agent/jobs/ack  { key }
+ * Acknowledges the caller's open jobs on the flight, or starts a
+ * whole-flight job (already acknowledged) when the lead assigned them
+ * without one.
+ */
+async function handleAgentJobAck(req, env, user) {
+  const body   = await req.json().catch(() => ({}));
+  const key    = String(body.key || "").trim();
+  const flight = await getPassengerFlight(env, user, key);
+  const me     = await rosterNameFor(env, user);
+  const actor  = user.username || "";
+
+  const { results } = await env.DB.prepare(
+    "SELECT * FROM prm_jobs WHERE flight_key = ? AND UPPER(agent) = ? AND stage != 'completed' ORDER BY id"
+  ).bind(key, me.toUpperCase()).all();
+  if (!results.length && !assignmentNames(flight.assignment).includes(me.toUpperCase()))
+    return json({ ok: false, error: "You are not assigned to this flight." }, { status: 403 });
+
+  const nowIso = new Date().toISOString();
+  const events = [];
+  if (results.length) {
+    const unacked = results.filter(j => !j.acked_at);
+    if (!unacked.length) return json({ ok: true });
+    await env.DB.batch(unacked.map(j =>
+      env.DB.prepare("UPDATE prm_jobs SET acked_at=?, updated_at=? WHERE id=?").bind(nowIso, nowIso, j.id)));
+    for (const j of unacked)
+      events.push(flightEvent(key, "edit", { field: "job", oldValue: `${jobLabel(j)}: ${j.stage}`, newValue: `${jobLabel(j)}: acknowledged`, board: AGENT_BOARD, actor, at: nowIso }));
+  } else {
+    await env.DB.prepare(`
+      INSERT INTO prm_jobs (station, flight_key, agent, stage, assigned_at, assigned_by, acked_at, created_at, updated_at)
+      VALUES (?, ?, ?, 'assigned', ?, ?, ?, ?, ?)
+    `).bind(flight.station, key, me, nowIso, actor, nowIso, nowIso, nowIso).run();
+    events.push(flightEvent(key, "edit", { field: "job", oldValue: "", newValue: `${me}: acknowledged`, board: AGENT_BOARD, actor, at: nowIso }));
+  }
+
+  const jobs = await afterJobChange(env, key, events);
+  return json({ ok: true, jobs: jobs.filter(j => String(j.agent).toUpperCase() === me.toUpperCase()) });
+}
+
+/** POST /agent/jobs/transition  { id, stage } — the caller's own jobs only. */
+async function handleAgentJobTransition(req, env, user) {
+  const body = await req.json().catch(() => ({}));
+  const cur  = await env.DB.prepare("SELECT * FROM prm_jobs WHERE id = ?").bind(Number(body.id) || 0).first();
+  if (!cur) return json({ ok: false, error: "Unknown job." }, { status: 404 });
+  assertStationAccess(user, cur.station);
+  if (String(cur.agent).toUpperCase() !== (await rosterNameFor(env, user)).toUpperCase())
+    return json({ ok: false, error: "That job belongs to another agent." }, { status: 403 });
+  return transitionJob(env, cur, String(body.stage || "").trim().toLowerCase(), {
+    actor: user.username || "", board: AGENT_BOARD, ack: true,
+  });
+}
+
+// ─────────────────────────────────────────────────────────────
+// § 11m  WORKLOAD  (assignment conflicts + agent suggestions)
+// ─────────────────────────────────────────────────────────────
+//
+// Every assigned flight ties its agents up for an estimated service
+// window: arrivals from shortly before touchdown until the PRMs are
+// delivered, departures from pre-boarding back from departure.  The
+// window grows with the SSR mix, and moving between zones costs walking
+// time.  Two flights conflict for an agent when the later one starts
+// before the earlier one ends plus the walk between their zones.
+// Conflicts are warnings only — the lead can still make the assignment.
+
+const SERVICE_BASE_MIN    = { ARR: 20, DEP: 25 };   // a flight with no PRM counts yet
+const SERVICE_LEAD_MIN    = { ARR: 10, DEP: 0 };    // ARR: at the gate before touchdown
+const SERVICE_PER_PRM_MIN = { wchr: 5, wchc: 10, ambulift: 15 };
+const SERVICE_MAX_MIN     = 90;
+
+// Walking minutes between zones (symmetric); T1 is across the airside link
+const ZONE_TRAVEL_MIN = {
+  [`${ZONE_TB}|${ZONE_GATES}`]:    10,
+  [`${ZONE_TB}|${ZONE_PIERA}`]:    15,
+  [`${ZONE_GATES}|${ZONE_PIERA}`]: 10,
+  [`${ZONE_T1}|${ZONE_TB}`]:       25,
+  [`${ZONE_T1}|${ZONE_GATES}`]:    25,
+  [`${ZONE_T1}|${ZONE_PIERA}`]:    25,
+};
+const ZONE_TRAVEL_DEFAULT_MIN = 15;   // Unassigned or unknown zone
+
+function travelMinutes(fromZone, toZone) {
+  const a = normalizeZone(fromZone), b = normalizeZone(toZone);
+  if (a && a === b) return 0;
+  return ZONE_TRAVEL_MIN[`${a}|${b}`] ?? ZONE_TRAVEL_MIN[`${b}|${a}`] ?? ZONE_TRAVEL_DEFAULT_MIN;
+}
+
+/**
+ * Estimated service window of a flight row → { key, flight, zone, start,
+ * end, minutes } (start/end in ms), or null without an estimated time.
+ * `agent` ends the window early once that agent's job is completed.
+ */
+function serviceWindow(r, agent = "") {
+  const t = Date.parse(r.time_est || "");
+  if (isNaN(t)) return null;
+  const dir = r.type === "DEP" ? "DEP" : "ARR";
+  const minutes = Math.min(SERVICE_MAX_MIN, SERVICE_BASE_MIN[dir]
+    + (Number(r.wchr) || 0)     * SERVICE_PER_PRM_MIN.wchr
+    + (Number(r.wchc) || 0)     * SERVICE_PER_PRM_MIN.wchc
+    + (Number(r.ambulift) || 0) * SERVICE_PER_PRM_MIN.ambulift);
+  const start = dir === "ARR" ? t - SERVICE_LEAD_MIN.ARR * 60_000 : t - minutes * 60_000;
+  let   end   = dir === "ARR" ? t + minutes * 60_000 : t;
+
+  if (agent) {
+    const done = parseJobs(r.prm_jobs).filter(j => String(j.agent).toUpperCase() === agent && j.stage === "completed");
+    if (done.length) end = Math.min(end, Math.max(...done.map(j => Date.parse(j.at) || end)));
+  }
+  return { key: r.key, flight: r.flight, zone: normalizeZone(r.zone_current), start, end, minutes };
+}
+
+/** Flight rows → Map AGENT NAME → service windows, sorted by start. */
+function agentCommitments(rows) {
+  const out = new Map();
+  for (const r of rows) {
+    if (SLA_SKIP_STATUSES.has(r.status)) continue;
+    for (const name of assignmentNames(r.assignment)) {
+      const w = serviceWindow(r, name);
+      if (!w) continue;
+      if (!out.has(name)) out.set(name, []);
+      out.get(name).push(w);
+    }
+  }
+  for (const list of out.values()) list.sort((a, b) => a.start - b.start);
+  return out;
+}
+
+/** Windows in `list` that clash with `w` for one agent (walking time included). */
+function windowConflicts(list, w) {
+  const out = [];
+  for (const o of list) {
+    if (o.key === w.key) continue;
+    const [first, second] = o.start <= w.start ? [o, w] : [w, o];
+    const travel = travelMinutes(first.zone, second.zone);
+    const gap    = Math.round((second.start - first.end) / 60_000);
+    if (gap < travel) out.push({ key: o.key, flight: o.flight, zone: o.zone, gapMin: gap, travelMin: travel });
+  }
+  return out;
+}
+
+/**
+ * Conflicts the named agents would have on flight row `r` against their
+ * other assignments in the station's ops window → [{ agent, key, flight, … }].
+ */
+async function assignmentConflicts(env, station, r, names) {
+  const w = serviceWindow(r);
+  if (!w || !names.length || SLA_SKIP_STATUSES.has(r.status)) return [];
+  const win  = computeFullOpsWindow(new Date(), station);
+  const busy = agentCommitments(await getFlightsInWindow(env, station.code, win.start.toISOString(), win.end.toISOString()));
+  return names.flatMap(n => windowConflicts(busy.get(n.toUpperCase()) || [], w).map(c => ({ agent: n, ...c })));
+}
+
+/** Lead rows: key → names on that flight that clash with another of their flights. */
+function conflictNamesByKey(rows) {
+  const out = new Map();
+  for (const [name, list] of agentCommitments(rows)) {
+    for (const w of list) {
+      if (!windowConflicts(list, w).length) continue;
+      if (!out.has(w.key)) out.set(w.key, []);
+      out.get(w.key).push(name);
+    }
+  }
+  return out;
+}
+
+/**
+ * GET /lead/suggest?key=
+ * Rostered agents who could take the flight without a clash, nearest
+ * first (zone of their previous flight, else their shift zone), then the
+ * most free time before it.  Agents off shift or on break during the
+ * service window, or already on the flight, are left out.
+ */
+async function handleLeadSuggest(req, env, user) {
+  const key    = String(new URL(req.url).searchParams.get("key") || "").trim();
+  const flight = await getPassengerFlight(env, user, key);
+  const station = await resolveStation(env, flight.station, user);
+  const w = serviceWindow(flight);
+  if (!w) return json({ ok: false, error: "Flight has no estimated time." }, { status: 400 });
+
+  const startISO = new Date(w.start).toISOString();
+  const endISO   = new Date(w.end).toISOString();
+  const { results } = await env.DB.prepare(`
+    SELECT s.*, a.name FROM agent_shifts s
+    JOIN agents a ON a.id = s.agent_id
+    WHERE a.active = 1 AND s.station = ? AND s.shift_start <= ? AND s.shift_end >= ?
+    ORDER BY s.shift_start
+  `).bind(station.code, startISO, endISO).all();
+
+  const win  = computeFullOpsWindow(new Date(), station);
+  const busy = agentCommitments(await getFlightsInWindow(env, station.code, win.start.toISOString(), win.end.toISOString()));
+  const onFlight = new Set(assignmentNames(flight.assignment));
+  const now = Date.now();
+
+  const seen = new Set();
+  const suggestions = [];
+  for (const s of results) {
+    const name = s.name.toUpperCase();
+    if (seen.has(name) || onFlight.has(name)) continue;
+    const shift = shiftToJson(s);
+    if (shift.breaks.some(b => b.start < endISO && b.end > startISO)) continue;
+    seen.add(name);
+
+    const list = (busy.get(name) || []).filter(o => o.key !== key);
+    if (windowConflicts(list, w).length) continue;
+
+    const prev = list.filter(o => o.end <= w.start).pop();
+    const next = list.find(o => o.start >= w.end);
+    const location = prev ? prev.zone : normalizeZone(shift.zone);
+    const freeFrom = prev ? prev.end : Math.max(Date.parse(shift.start), now);
+    suggestions.push({
+      name:         s.name,
+      location,
+      shiftZone:    shift.zone,
+      travelMin:    travelMinutes(location, w.zone),
+      freeMin:      Math.max(0, Math.round((w.start - freeFrom) / 60_000)),
+      freeAfterMin: Math.round(((next ? next.start : Date.parse(shift.end)) - w.end) / 60_000),
+      assigned:     list.length,
+      prevFlight:   prev ? prev.flight : "",
+      nextFlight:   next ? next.flight : "",
+    });
+  }
+
+  suggestions.sort((a, b) => a.travelMin - b.travelMin || b.freeMin - a.freeMin || a.assigned - b.assigned);
+  return json({
+    ok: true, key,
+    flight: { flight: flight.flight, zone: w.zone, start: startISO, end: endISO, serviceMin: w.minutes },
+    suggestions,
+  });
+}
+
+// ─────────────────────────────────────────────────────────────
+// § 11n  ACKS  (attribution records + bulk ACK)
+// ─────────────────────────────────────────────────────────────
+//
+// The *_ack columns only say whether a board has ACKed the current alert.
+// Every ACK also writes a flight_acks row — board, user, time and the alert
+// it cleared — with alerted_at set to the last alerting change before it,
+// so /archive/stats can report ACK latency per board.  Bulk ACKs clear
+// every alerting row a board shows under its current filters (a lead
+// facing dozens of gate changes after a ground stop).
+
+const BULK_ACK_MAX = 500;
+
+/** INSERT for one flight_acks row; alerted_at is looked up in flight_events. */
+function ackRecordStmt(env, { station, key, board, alertText, actor, at, bulk }) {
+  return env.DB.prepare(`
+    INSERT INTO flight_acks (station, flight_key, board, alert_text, alerted_at, acked_by, acked_at, bulk)
+    VALUES (?, ?, ?, ?, (
+      SELECT MAX(e.created_at) FROM flight_events e
+      WHERE e.flight_key = ? AND e.created_at <= ? AND ${STATS_ALERT_EVENT_SQL}
+    ), ?, ?, ?)
+  `).bind(station, key, board, alertText || "", key, at, actor || "", at, bulk ? 1 : 0);
+}
+
+/** Does the row carry anything a board must ACK? */
+function hasAlert(r) {
+  return !!(r.alert_text || isTrue(r.gate_changed) || isTrue(r.zone_changed) ||
+            isTrue(r.time_changed) || isTrue(r.status_changed));
+}
+
+/**
+ * ACK every un-ACKed alerting row of one board under the board filters
+ * (as /dispatch/export).  zone: the lead board's zone, or "" for Dispatch.
+ * Lead carry-over rows (moved out of the zone) count as alerting and have
+ * zone_prev cleared, as with a single /lead/ack.
+ */
+async function bulkAck(env, user, station, zone, filters) {
+  const { board, rows } = await boardFilteredRows(env, station, { ...filters, zone });
+  const ackCol = BOARD_ACK_COL[board];
+  const actor  = user?.username || "";
+  const nowIso = new Date().toISOString();
+
+  const targets = [];
+  for (const r of rows) {
+    if (getBoardAck(r, board)) continue;
+    const carryOver = !!zone &&
+      normalizeZone(r.zone_prev) === zone && normalizeZone(r.zone_current) !== zone;
+    if (carryOver || hasAlert(r)) targets.push({ r, carryOver });
+  }
+  if (targets.length > BULK_ACK_MAX)
+    return json({ ok: false, error: `More than ${BULK_ACK_MAX} alerts — narrow the filters.` }, { status: 400 });
+  if (!targets.length) return json({ ok: true, board, acked: 0, keys: [] });
+
+  const stmts = [];
+  for (const { r, carryOver } of targets) {
+    stmts.push(env.DB.prepare(
+      `UPDATE flights SET ${ackCol}=1${carryOver ? ", zone_prev=''" : ""}, updated_at=? WHERE key=?`
+    ).bind(nowIso, r.key));
+    stmts.push(ackRecordStmt(env, {
+      station: station.code, key: r.key, board, alertText: r.alert_text, actor, at: nowIso, bulk: true,
+    }));
+  }
+  for (let i = 0; i < stmts.length; i += 100)
+    await env.DB.batch(stmts.slice(i, i + 100));
+  await recordFlightEvents(env, targets.map(({ r }) => flightEvent(r.key, "ack", {
+    field: ackCol, oldValue: 0, newValue: 1, board, actor, at: nowIso,
+  })));
+
+  const keys = targets.map(({ r }) => r.key);
+  for (const { r, carryOver } of targets) {
+    updateCacheRow(r.key, carryOver ? { [ackCol]: 1, zone_prev: "" } : { [ackCol]: 1 });
+    setPatch(r.key, { alert: "", gateChanged: false, timeChanged: false, zoneChanged: false, statusChanged: false });
+  }
+  await publishLive(env, { type: "ack", station: station.code, keys, board });
+  return json({ ok: true, board, acked: keys.length, keys });
+}
+
+/**
+ * POST /lead/ack-bulk
+ * { station?, zone, from?, to?, opsDay?, type?, q?, changes? }  (the lead board's filters)
+ */
+async function handleLeadAckBulk(req, env, user) {
+  const body    = await req.json().catch(() => ({}));
+  const station = await resolveStation(env, body.station, user);
+  const zone    = normalizeZone(body.zone || "");
+  if (!ZONE_TO_BOARD[zone])
+    return json({ ok: false, error: `Unknown zone for ACK: ${body.zone || ""}` }, { status: 400 });
+  return bulkAck(env, user, station, zone, body);
+}
+
+/**
+ * POST /dispatch/ack-bulk
+ * { station?, from?, to?, opsDay?, type?, q?, changes? }  (the dispatch board's filters)
+ */
+async function handleDispatchAckBulk(req, env, user) {
+  const body    = await req.json().catch(() => ({}));
+  const station = await resolveStation(env, body.station, user);
+  return bulkAck(env, user, station, "", body);
+}
+
+// ─────────────────────────────────────────────────────────────
+// § 12  SCHEDULED HANDLER  (Cron Triggers)
+// ─────────────────────────────────────────────────────────────
+
+async function handleScheduled(event, env) {
+  const cron = event.cron || "";
+
+  // Pick up config edits made in other isolates before syncing with it
+  await checkConfigVersions(env, true);
+
+  const stations = [...(await getStations(env)).values()].filter(st => st.active);
+
+  // Nightly archive at 03:30 Toronto time (07:30 UTC in EDT, 08:30 UTC in EST).
+  // Each station archives its last *completed* ops day, so the fixed UTC
+  // schedule is safe for stations in other timezones too.
+  if (cron === "30 7 * * *" || cron === "30 8 * * *") {
+    for (const station of stations) {
+      try { await nightlyArchive(env, station); }
+      catch (err) { console.error(`[archive] ${station.code} error:`, err?.message || err); }
+    }
+    try { await purgeAuthRecords(env); }
+    catch (err) { console.error("[auth] purge error:", err?.message || err); }
+    return;
+  }
+
+  // Every-minute FIDS sync (all other cron expressions); one failing
+  // station must not hold up the others
+  for (const station of stations) {
+    try {
+      const { provider, arrivals, departures, ...fetched } = await fetchFIDSData(env, station);
+      const result = await syncFIDSToD1(env, station, arrivals, departures, fetched);
+      console.log(`[cron] ${station.code} ${provider} sync complete:`, JSON.stringify(result));
+    } catch (err) {
+      console.error(`[cron] ${station.code} sync error:`, err?.message || err);
+    }
+  }
+
+  // One flight-cache reload for all stations (SELECT * FROM flights covers them all)
+  await refreshFlightCache(env);
+}
+
+// ─────────────────────────────────────────────────────────────
+// § 13  FETCH HANDLER  (HTTP router)
+// ─────────────────────────────────────────────────────────────
+
+export default {
+  async fetch(req, env, ctx) {
+    const origin = req.headers.get("origin") || "*";
+
+    if (req.method === "OPTIONS")
+      return withCors(new Response(null, { status: 204 }), origin);
+
+    try {
+      const url  = new URL(req.url);
+      const path = url.pathname.replace(/\/+$/, "") || "/";
 
       // ── Health ─────────────────────────────────────────────
       if (path === "/" || path === "/health") {
         return withCors(json({ ok: true, name: "prm-d1-worker", time: new Date().toISOString() }), origin);
       }
 
+      // ── Live updates (WebSocket — no CORS wrapper on 101) ──
+      if (path === "/live" && req.method === "GET")
+        return handleLiveConnect(req, env);
+
       // ── Auth ───────────────────────────────────────────────
       if (path === "/auth/login" && req.method === "POST")
         return withCors(await handleLogin(req, env), origin);
@@ -1482,20 +6772,98 @@ export default {
       if (path === "/auth/validate" && req.method === "GET")
         return withCors(await handleValidate(req, env), origin);
 
+      if (path === "/auth/change-pin" && req.method === "POST") {
+        const v = await requireAuth(req, env, "");
+        return withCors(await handleChangePin(req, env, v.user), origin);
+      }
+
+      if (path === "/auth/logout" && req.method === "POST") {
+        const v = await requireAuth(req, env, "");
+        return withCors(await handleLogout(req, env, v.user), origin);
+      }
+
       // ── Dispatch ───────────────────────────────────────────
       if (path === "/dispatch/rows" && req.method === "GET") {
-        await requireAuth(req, env, "dispatch");
-        return withCors(await handleDispatchRows(req, env), origin);
+        const v = await requireAuth(req, env, "dispatch");
+        return withCors(await handleDispatchRows(req, env, v.user), origin);
+      }
+
+      if (path === "/dispatch/export" && req.method === "GET") {
+        const v = await requireAuth(req, env, "");
+        if (!v.access.dispatch && !v.access.lead) throw new Error("No access to export");
+        return withCors(await handleDispatchExport(req, env, v.user), origin);
       }
 
       if (path === "/dispatch/update" && req.method === "PATCH") {
-        await requireAuth(req, env, "dispatch");
-        return withCors(await handleDispatchUpdate(req, env), origin);
+        const v = await requireAuth(req, env, "dispatch");
+        return withCors(await handleDispatchUpdate(req, env, v.user), origin);
+      }
+
+      if (path === "/dispatch/flights" && req.method === "POST") {
+        const v = await requireAuth(req, env, "dispatch");
+        return withCors(await handleManualFlightCreate(req, env, v.user), origin);
+      }
+
+      if (path === "/dispatch/flights" && req.method === "DELETE") {
+        const v = await requireAuth(req, env, "dispatch");
+        return withCors(await handleManualFlightDelete(req, env, v.user), origin);
+      }
+
+      if (path === "/dispatch/passengers" && req.method === "GET") {
+        const v = await requireAuth(req, env, "");
+        if (!v.access.dispatch && !v.access.lead) throw new Error("No access to passengers");
+        return withCors(await handlePassengersList(req, env, v.user), origin);
+      }
+
+      if (path === "/dispatch/passengers" && req.method === "POST") {
+        const v = await requireAuth(req, env, "dispatch");
+        return withCors(await handlePassengerCreate(req, env, v.user), origin);
+      }
+
+      if (path === "/dispatch/passengers" && req.method === "PUT") {
+        const v = await requireAuth(req, env, "dispatch");
+        return withCors(await handlePassengerUpdate(req, env, v.user), origin);
+      }
+
+      if (path === "/dispatch/passengers" && req.method === "DELETE") {
+        const v = await requireAuth(req, env, "dispatch");
+        return withCors(await handlePassengerDelete(req, env, v.user), origin);
+      }
+
+      if (path === "/dispatch/import" && req.method === "POST") {
+        const v = await requireAuth(req, env, "dispatch");
+        return withCors(await handlePrmImport(req, env, v.user), origin);
+      }
+
+      if (path === "/dispatch/connections" && req.method === "GET") {
+        const v = await requireAuth(req, env, "");
+        if (!v.access.dispatch && !v.access.lead) throw new Error("No access to connections");
+        return withCors(await handleConnectionsList(req, env, v.user), origin);
+      }
+
+      if (path === "/dispatch/connections" && req.method === "POST") {
+        const v = await requireAuth(req, env, "dispatch");
+        return withCors(await handleConnectionCreate(req, env, v.user), origin);
+      }
+
+      if (path === "/dispatch/connections" && req.method === "PUT") {
+        const v = await requireAuth(req, env, "dispatch");
+        return withCors(await handleConnectionUpdate(req, env, v.user), origin);
+      }
+
+      if (path === "/dispatch/connections" && req.method === "DELETE") {
+        const v = await requireAuth(req, env, "dispatch");
+        return withCors(await handleConnectionDelete(req, env, v.user), origin);
       }
 
       if (path === "/dispatch/ack" && req.method === "POST") {
-        await requireAuth(req, env, "dispatch");
-        return withCors(await handleDispatchAck(req, env), origin);
+        const v = await requireAuth(req, env, "dispatch");
+        return withCors(await handleDispatchAck(req, env, v.user), origin);
+      }
+
+      if (path === "/dispatch/ack-bulk" && req.method === "POST") {
+        const v = await requireAuth(req, env, "dispatch");
+        return withCors(await handleDispatchAckBulk(req, env, v.user), origin);
       }
 
       // ── Lead ───────────────────────────────────────────────
@@ -1505,8 +6873,8 @@ export default {
       }
 
       if (path === "/lead/rows" && req.method === "GET") {
-        await requireAuth(req, env, "lead");
-        return withCors(await handleLeadRows(req, env), origin);
+        const v = await requireAuth(req, env, "lead");
+        return withCors(await handleLeadRows(req, env, v.user), origin);
       }
 
       if (path === "/lead/update" && req.method === "PATCH") {
@@ -1515,103 +6883,330 @@ export default {
       }
 
       if (path === "/lead/ack" && req.method === "POST") {
-        await requireAuth(req, env, "lead");
-        return withCors(await handleLeadAck(req, env), origin);
+        const v = await requireAuth(req, env, "lead");
+        return withCors(await handleLeadAck(req, env, v.user), origin);
+      }
+
+      if (path === "/lead/ack-bulk" && req.method === "POST") {
+        const v = await requireAuth(req, env, "lead");
+        return withCors(await handleLeadAckBulk(req, env, v.user), origin);
+      }
+
+      // ── Flight history (Dispatch + Lead) ───────────────────
+      if (path === "/flights/history" && req.method === "GET") {
+        const v = await requireAuth(req, env, "");
+        if (!v.access.dispatch && !v.access.lead) throw new Error("No access to history");
+        return withCors(await handleFlightHistory(req, env, v.user), origin);
+      }
+
+      // ── Lead roster ────────────────────────────────────────
+      if (path === "/lead/suggest" && req.method === "GET") {
+        const v = await requireAuth(req, env, "lead");
+        return withCors(await handleLeadSuggest(req, env, v.user), origin);
+      }
+
+      if (path === "/lead/agents" && req.method === "GET") {
+        const v = await requireAuth(req, env, "lead");
+        return withCors(await handleLeadAgents(req, env, v.user), origin);
+      }
+
+      if (path === "/lead/agents" && req.method === "POST") {
+        const v = await requireAuth(req, env, "lead");
+        return withCors(await handleLeadAgentCreate(req, env, v.user), origin);
+      }
+
+      if (path === "/lead/agents" && req.method === "PATCH") {
+        const v = await requireAuth(req, env, "lead");
+        return withCors(await handleLeadAgentUpdate(req, env, v.user), origin);
+      }
+
+      if (path === "/lead/agents" && req.method === "DELETE") {
+        const v = await requireAuth(req, env, "lead");
+        return withCors(await handleLeadAgentDelete(req, env, v.user), origin);
+      }
+
+      if (path === "/lead/agents/shifts" && req.method === "POST") {
+        const v = await requireAuth(req, env, "lead");
+        return withCors(await handleLeadShiftCreate(req, env, v.user), origin);
+      }
+
+      if (path === "/lead/agents/shifts" && req.method === "PATCH") {
+        const v = await requireAuth(req, env, "lead");
+        return withCors(await handleLeadShiftUpdate(req, env, v.user), origin);
+      }
+
+      if (path === "/lead/agents/shifts" && req.method === "DELETE") {
+        const v = await requireAuth(req, env, "lead");
+        return withCors(await handleLeadShiftDelete(req, env, v.user), origin);
       }
 
       // ── Archive (Mgmt only) ────────────────────────────────
       if (path === "/archive/dates" && req.method === "GET") {
-        await requireAuth(req, env, "mgmt");
-        return withCors(await handleArchiveDates(req, env), origin);
+        const v = await requireAuth(req, env, "mgmt");
+        return withCors(await handleArchiveDates(req, env, v.user), origin);
       }
 
       if (path === "/archive/rows" && req.method === "GET") {
-        await requireAuth(req, env, "mgmt");
-        return withCors(await handleArchiveRows(req, env), origin);
+        const v = await requireAuth(req, env, "mgmt");
+        return withCors(await handleArchiveRows(req, env, v.user), origin);
+      }
+
+      if (path === "/archive/search" && req.method === "GET") {
+        const v = await requireAuth(req, env, "mgmt");
+        return withCors(await handleArchiveSearch(req, env, v.user), origin);
+      }
+
+      if (path === "/archive/stats" && req.method === "GET") {
+        const v = await requireAuth(req, env, "mgmt");
+        return withCors(await handleArchiveStats(req, env, v.user), origin);
+      }
+
+      if (path === "/archive/export" && req.method === "GET") {
+        const v = await requireAuth(req, env, "mgmt");
+        return withCors(await handleArchiveExport(req, env, v.user), origin);
+      }
+
+      // ── Billing (Mgmt only) ────────────────────────────────
+      if (path === "/billing/tariffs" && req.method === "GET") {
+        const v = await requireAuth(req, env, "mgmt");
+        return withCors(await handleTariffsList(req, env, v.user), origin);
+      }
+
+      if (path === "/billing/tariffs" && req.method === "POST") {
+        const v = await requireAuth(req, env, "mgmt");
+        return withCors(await handleTariffCreate(req, env, v.user), origin);
+      }
+
+      if (path === "/billing/tariffs" && req.method === "PATCH") {
+        const v = await requireAuth(req, env, "mgmt");
+        return withCors(await handleTariffUpdate(req, env, v.user), origin);
+      }
+
+      if (path === "/billing/tariffs" && req.method === "DELETE") {
+        const v = await requireAuth(req, env, "mgmt");
+        return withCors(await handleTariffDelete(req, env, v.user), origin);
+      }
+
+      if (path === "/billing/statements" && req.method === "GET") {
+        const v = await requireAuth(req, env, "mgmt");
+        return withCors(await handleStatementsGet(req, env, v.user), origin);
+      }
+
+      if (path === "/billing/statements" && req.method === "POST") {
+        const v = await requireAuth(req, env, "mgmt");
+        return withCors(await handleStatementsGenerate(req, env, v.user), origin);
+      }
+
+      if (path === "/billing/statements/issue" && req.method === "POST") {
+        const v = await requireAuth(req, env, "mgmt");
+        return withCors(await handleStatementIssue(req, env, v.user), origin);
+      }
+
+      if (path === "/billing/statements" && req.method === "DELETE") {
+        const v = await requireAuth(req, env, "mgmt");
+        return withCors(await handleStatementDelete(req, env, v.user), origin);
+      }
+
+      // ── PRM jobs (lifecycle) ───────────────────────────────
+      if (path === "/lead/jobs" && req.method === "GET") {
+        const v = await requireAuth(req, env, "");
+        if (!v.access.dispatch && !v.access.lead) throw new Error("No access to jobs");
+        return withCors(await handleJobsList(req, env, v.user), origin);
+      }
+
+      if (path === "/lead/jobs" && req.method === "POST") {
+        const v = await requireAuth(req, env, "lead");
+        return withCors(await handleJobCreate(req, env, v.user), origin);
+      }
+
+      if (path === "/lead/jobs/transition" && req.method === "POST") {
+        const v = await requireAuth(req, env, "lead");
+        return withCors(await handleJobTransition(req, env, v.user), origin);
+      }
+
+      if (path === "/lead/jobs" && req.method === "DELETE") {
+        const v = await requireAuth(req, env, "lead");
+        return withCors(await handleJobDelete(req, env, v.user), origin);
+      }
+
+      // ── Compliance report (Mgmt only) ──────────────────────
+      if (path === "/reports/compliance" && req.method === "GET") {
+        const v = await requireAuth(req, env, "mgmt");
+        return withCors(await handleComplianceReport(req, env, v.user), origin);
+      }
+
+      if (path === "/reports/compliance/targets" && req.method === "GET") {
+        const v = await requireAuth(req, env, "mgmt");
+        return withCors(await handleSlaTargetsGet(req, env, v.user), origin);
+      }
+
+      if (path === "/reports/compliance/targets" && req.method === "PUT") {
+        const v = await requireAuth(req, env, "mgmt");
+        return withCors(await handleSlaTargetsPut(req, env, v.user), origin);
+      }
+
+      // ── Agent ("my jobs") ──────────────────────────────────
+      if (path === "/agent/jobs" && req.method === "GET") {
+        const v = await requireAuth(req, env, "agent");
+        return withCors(await handleAgentJobs(req, env, v.user), origin);
+      }
+
+      if (path === "/agent/jobs/ack" && req.method === "POST") {
+        const v = await requireAuth(req, env, "agent");
+        return withCors(await handleAgentJobAck(req, env, v.user), origin);
+      }
+
+      if (path === "/agent/jobs/transition" && req.method === "POST") {
+        const v = await requireAuth(req, env, "agent");
+        return withCors(await handleAgentJobTransition(req, env, v.user), origin);
+      }
+
+      // ── Admin: zone overrides (Mgmt only) ──────────────────
+      if (path === "/admin/zone-overrides" && req.method === "GET") {
+        const v = await requireAuth(req, env, "mgmt");
+        return withCors(await handleZoneOverridesList(req, env, v.user), origin);
+      }
+
+      if (path === "/admin/zone-overrides" && req.method === "PUT") {
+        const v = await requireAuth(req, env, "mgmt");
+        return withCors(await handleZoneOverridePut(req, env, v.user), origin);
+      }
+
+      if (path === "/admin/zone-overrides" && req.method === "DELETE") {
+        const v = await requireAuth(req, env, "mgmt");
+        return withCors(await handleZoneOverrideDelete(req, env, v.user), origin);
+      }
+
+      // ── Stations ───────────────────────────────────────────
+      if (path === "/stations" && req.method === "GET") {
+        const v = await requireAuth(req, env, "");
+        return withCors(await handleStationsPublic(req, env, v.user), origin);
+      }
+
+      // ── Admin: stations + airline contracts (all-stations Mgmt only) ──
+      if (path === "/admin/stations" || path === "/admin/stations/airlines") {
+        const v = await requireAuth(req, env, "mgmt");
+        if (v.user.station) throw httpError(403, "No access: station config needs an all-stations Mgmt account");
+
+        if (path === "/admin/stations" && req.method === "GET")
+          return withCors(await handleStationsList(req, env), origin);
+        if (path === "/admin/stations" && req.method === "PUT")
+          return withCors(await handleStationPut(req, env, v.user), origin);
+        if (path === "/admin/stations/airlines" && req.method === "POST")
+          return withCors(await handleStationAirlineCreate(req, env), origin);
+        if (path === "/admin/stations/airlines" && req.method === "PATCH")
+          return withCors(await handleStationAirlineUpdate(req, env), origin);
+        if (path === "/admin/stations/airlines" && req.method === "DELETE")
+          return withCors(await handleStationAirlineDelete(req, env), origin);
+      }
+
+      // ── Admin: zone rules (Mgmt only) ──────────────────────
+      if (path === "/admin/zone-rules" && req.method === "GET") {
+        const v = await requireAuth(req, env, "mgmt");
+        return withCors(await handleZoneRulesList(req, env, v.user), origin);
+      }
+
+      if (path === "/admin/zone-rules" && req.method === "POST") {
+        const v = await requireAuth(req, env, "mgmt");
+        return withCors(await handleZoneRuleSetCreate(req, env, v.user), origin);
+      }
+
+      if (path === "/admin/zone-rules" && req.method === "PUT") {
+        const v = await requireAuth(req, env, "mgmt");
+        return withCors(await handleZoneRuleSetUpdate(req, env, v.user), origin);
+      }
+
+      if (path === "/admin/zone-rules" && req.method === "DELETE") {
+        const v = await requireAuth(req, env, "mgmt");
+        return withCors(await handleZoneRuleSetDelete(req, env, v.user), origin);
+      }
+
+      if (path === "/admin/zone-rules/activate" && req.method === "POST") {
+        const v = await requireAuth(req, env, "mgmt");
+        return withCors(await handleZoneRuleSetActivate(req, env, v.user), origin);
+      }
+
+      if (path === "/admin/zone-rules/preview" && req.method === "POST") {
+        const v = await requireAuth(req, env, "mgmt");
+        return withCors(await handleZoneRulesPreview(req, env, v.user), origin);
+      }
+
+      // ── Admin: users and sessions (all-stations Mgmt only) ──
+      // A station-scoped Mgmt account could otherwise mint an all-stations
+      // user or take over another station's accounts
+      if (path === "/admin/users" || path === "/admin/users/reset-pin" || path === "/admin/sessions") {
+        const v = await requireAuth(req, env, "mgmt");
+        if (v.user.station) throw httpError(403, "No access: user admin needs an all-stations Mgmt account");
+
+        if (path === "/admin/users" && req.method === "GET")
+          return withCors(await handleUsersList(req, env), origin);
+        if (path === "/admin/users" && req.method === "POST")
+          return withCors(await handleUserCreate(req, env), origin);
+        if (path === "/admin/users" && req.method === "PATCH")
+          return withCors(await handleUserUpdate(req, env, v.user), origin);
+        if (path === "/admin/users/reset-pin" && req.method === "POST")
+          return withCors(await handleUserResetPin(req, env, v.user), origin);
+        if (path === "/admin/sessions" && req.method === "GET")
+          return withCors(await handleSessionsList(req, env, v.user), origin);
+        if (path === "/admin/sessions" && req.method === "DELETE")
+          return withCors(await handleSessionRevoke(req, env, v.user), origin);
       }
 
       // ── Admin: manual sync trigger (for testing) ───────────
       if (path === "/admin/sync" && req.method === "POST") {
-        await requireAuth(req, env, "dispatch");
-        const { arrivals, departures } = await fetchFIDSData(env);
-        const result = await syncFIDSToD1(env, arrivals, departures);
-        return withCors(json({ ok: true, ...result }), origin);
+        const v = await requireAuth(req, env, "dispatch");
+        const station = await resolveStation(env, new URL(req.url).searchParams.get("station"), v.user);
+        const { provider, arrivals, departures, ...fetched } = await fetchFIDSData(env, station);
+        const result = await syncFIDSToD1(env, station, arrivals, departures, fetched);
+        await refreshFlightCache(env);
+        return withCors(json({ ok: true, provider, ...result }), origin);
       }
 
       // ── Admin: manual archive trigger ───────────────────────
       if (path === "/admin/archive" && req.method === "POST") {
-        await requireAuth(req, env, "mgmt");
-        const result = await nightlyArchive(env);
+        const v = await requireAuth(req, env, "mgmt");
+        const station = await resolveStation(env, new URL(req.url).searchParams.get("station"), v.user);
+        const result = await nightlyArchive(env, station);
         return withCors(json({ ok: true, ...result }), origin);
       }
 
       // ── Admin: archive a specific ops-date ──────────────────
       if (path === "/admin/archive-date" && req.method === "POST") {
-        await requireAuth(req, env, "mgmt");
-        const { opsDate } = await req.json();
+        const v = await requireAuth(req, env, "mgmt");
+        const { opsDate, station: code } = await req.json();
         if (!opsDate || !/^\d{4}-\d{2}-\d{2}$/.test(opsDate))
           return withCors(json({ ok: false, error: "opsDate required (YYYY-MM-DD)" }, { status: 400 }), origin);
 
-        const tz = DEFAULT_TZ;
-        const [y, m, d] = opsDate.split("-").map(Number);
-        const archiveBase = { year: y, month: m, day: d };
-        const archStart = zonedTimeToUtc({ ...archiveBase, hour: 3, minute: 0, second: 0 }, tz);
-        const archEnd   = zonedTimeToUtc({ ...addDaysLocal(archiveBase, 1, tz), hour: 2, minute: 59, second: 59 }, tz);
-        archEnd.setUTCMilliseconds(999);
-
-        const opsDateStr = opsDate;
-
-        const { results } = await env.DB.prepare(
-          "SELECT * FROM flights WHERE time_est >= ? AND time_est <= ?"
-        ).bind(archStart.toISOString(), archEnd.toISOString()).all();
-
-        if (!results.length)
-          return withCors(json({ ok: true, archived: 0, note: "no flights in window",
-            window: { start: archStart.toISOString(), end: archEnd.toISOString() } }), origin);
-
-        await env.DB.prepare("DELETE FROM archive WHERE ops_date = ?").bind(opsDateStr).run();
-
-        const INS = env.DB.prepare("INSERT INTO archive (ops_date, flight_data) VALUES (?, ?)");
-        const batch = results.map(r => INS.bind(opsDateStr, JSON.stringify(r)));
-        for (let i = 0; i < batch.length; i += 100)
-          await env.DB.batch(batch.slice(i, i + 100));
-
-        await env.DB.prepare(
-          "DELETE FROM flights WHERE time_est >= ? AND time_est <= ?"
-        ).bind(archStart.toISOString(), archEnd.toISOString()).run();
-
-        return withCors(json({ ok: true, opsDate: opsDateStr, archived: results.length,
-          window: { start: archStart.toISOString(), end: archEnd.toISOString() } }), origin);
+        const station = await resolveStation(env, code, v.user);
+        const result = await archiveOpsDate(env, station, opsDate);
+        return withCors(json({ ok: true, ...result }), origin);
       }
 
       // ── Admin: debug — check flights in a date window ───────
       if (path === "/admin/debug-flights" && req.method === "GET") {
-        await requireAuth(req, env, "mgmt");
+        const v = await requireAuth(req, env, "mgmt");
         const url = new URL(req.url);
         const opsDate = url.searchParams.get("opsDate");
         if (!opsDate) return withCors(json({ ok: false, error: "?opsDate=YYYY-MM-DD required" }, { status: 400 }), origin);
 
-        const tz = DEFAULT_TZ;
+        const station = await resolveStation(env, url.searchParams.get("station"), v.user);
         const [y, m, d] = opsDate.split("-").map(Number);
-        const archiveBase = { year: y, month: m, day: d };
-        const archStart = zonedTimeToUtc({ ...archiveBase, hour: 3, minute: 0, second: 0 }, tz);
-        const archEnd   = zonedTimeToUtc({ ...addDaysLocal(archiveBase, 1, tz), hour: 2, minute: 59, second: 59 }, tz);
-        archEnd.setUTCMilliseconds(999);
+        const { start: archStart, end: archEnd } = getOpsDayBounds({ year: y, month: m, day: d }, station);
 
         const { results } = await env.DB.prepare(
-          "SELECT key, time_est, flight, type FROM flights WHERE time_est >= ? AND time_est <= ? LIMIT 20"
-        ).bind(archStart.toISOString(), archEnd.toISOString()).all();
+          "SELECT key, time_est, flight, type FROM flights WHERE station = ? AND time_est >= ? AND time_est <= ? LIMIT 20"
+        ).bind(station.code, archStart.toISOString(), archEnd.toISOString()).all();
 
         const totalCount = await env.DB.prepare(
-          "SELECT COUNT(*) as cnt FROM flights WHERE time_est >= ? AND time_est <= ?"
-        ).bind(archStart.toISOString(), archEnd.toISOString()).first();
+          "SELECT COUNT(*) as cnt FROM flights WHERE station = ? AND time_est >= ? AND time_est <= ?"
+        ).bind(station.code, archStart.toISOString(), archEnd.toISOString()).first();
 
         const archiveCount = await env.DB.prepare(
-          "SELECT COUNT(*) as cnt FROM archive WHERE ops_date = ?"
-        ).bind(opsDate).first();
+          "SELECT COUNT(*) as cnt FROM archived_flights WHERE station = ? AND ops_date = ?"
+        ).bind(station.code, opsDate).first();
 
         return withCors(json({
-          ok: true, opsDate,
+          ok: true, station: station.code, opsDate,
           window: { start: archStart.toISOString(), end: archEnd.toISOString() },
           flightsInWindow: totalCount?.cnt || 0,
           archivedRows: archiveCount?.cnt || 0,
@@ -1625,7 +7220,7 @@ export default {
       const msg = err?.message || String(err);
       const is401 = /missing authorization|unauthorized|expired|no access|invalid token/i.test(msg);
       return withCors(
-        json({ ok: false, error: msg }, { status: is401 ? 401 : 500 }),
+        json({ ok: false, error: msg }, { status: err?.status || (is401 ? 401 : 500) }),
         origin
       );
     }
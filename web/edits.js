@@ -0,0 +1,81 @@
+/**
+ * Versioned edits (optimistic concurrency) — shared by the dispatch and
+ * lead boards.
+ *
+ * Needs no other shared script; load it before the board's own script.
+ *
+ * The boards remember the last server state they saw per row and send
+ * every edit against its version; a 409 means someone else saved the row
+ * first.  The edit is then redone quietly when the other change left the
+ * field alone, otherwise the user merges in a prompt.
+ *
+ *   const edits = PRM_EDITS.create({
+ *     fields:     ["wchr", "comment"],               // editable fields to track
+ *     request:    (key, body) => fetch(...),         // PATCH { ...body } for the row
+ *     rowName:    key => "AC 100",                   // prompt prefix ("" = none)
+ *     fieldLabel: field => "Comment",
+ *     editValue:  (field, v) => String(v ?? ""),     // optional: compare form
+ *     suggest:    (field, theirs, mine) => mine,     // optional: prompt default
+ *     canMerge:   field => true,                     // optional: false = keep mine without asking
+ *   });
+ *   edits.noteServerRow(key, version, values)   // every poll row / live patch
+ *   await edits.queueSave(key, () => edits.send(key, field, val))
+ *     → { data, val (what was saved), current (their row on a conflict) }
+ */
+(function () {
+  function create(opts) {
+    const editValue = opts.editValue || ((field, v) => String(v ?? ""));
+    const suggest   = opts.suggest   || ((field, theirs, mine) => mine);
+    const canMerge  = opts.canMerge  || (() => true);
+    const knownRows = new Map();   // rowKey -> { version, values }
+    const saveChain = new Map();   // rowKey -> promise; one save per row at a time
+
+    function noteServerRow(key, version, values) {
+      const k = String(key), cur = knownRows.get(k);
+      if (version == null || (cur && version < cur.version)) return;   // stale poll / edge cache
+      const picked = {};
+      for (const f of opts.fields) if (values[f] !== undefined) picked[f] = editValue(f, values[f]);
+      knownRows.set(k, { version, values: { ...(cur ? cur.values : {}), ...picked } });
+    }
+
+    function queueSave(key, fn) {
+      const k = String(key);
+      const next = (saveChain.get(k) || Promise.resolve()).then(fn, fn);
+      saveChain.set(k, next);
+      next.finally(() => { if (saveChain.get(k) === next) saveChain.delete(k); });
+      return next;
+    }
+
+    async function send(key, field, val) {
+      let current = null;
+      for (let attempt = 0; ; attempt++) {
+        const known = knownRows.get(String(key));
+        const res  = await opts.request(key, { [field]: val, version: known ? known.version : undefined });
+        const data = await res.json();
+        if (res.status !== 409 || !data || !data.current || attempt >= 2) {
+          if (data && data.ok) noteServerRow(key, data.version, { [field]: val });
+          return { data, val, current };
+        }
+
+        current = data.current;
+        const theirs = editValue(field, current[field]);
+        const before = known ? known.values[field] : undefined;
+        noteServerRow(key, data.version, current);
+        if (theirs === editValue(field, val)) return { data: { ok: true, version: data.version }, val, current };
+        if (canMerge(field) && before !== undefined && theirs !== before) {
+          const name = opts.rowName(key);
+          const merged = prompt(
+            `${name ? name + ": " : ""}${data.changedBy || "Someone else"} changed ${opts.fieldLabel(field)} ` +
+            `to "${theirs || "—"}" while you were editing.\n\nOK saves the value below (edit it to merge); Cancel keeps their change.`,
+            suggest(field, theirs, editValue(field, val)));
+          if (merged === null) return { data: { ok: true, version: data.version }, val: theirs, current };
+          val = merged;
+        }
+      }
+    }
+
+    return { noteServerRow, queueSave, send, editValue };
+  }
+
+  window.PRM_EDITS = { create };
+})();
@@ -0,0 +1,117 @@
+/**
+ * Flight history drawer — shared by the dispatch and lead boards.
+ *
+ * Load after config.js.  The drawer markup is added to the page on first
+ * use (styles: .history-* in style.css); it lists the latest ACK per
+ * board and every recorded change from GET /flights/history.
+ *
+ *   PRM_HISTORY.open(key)              // e.g. from a row's "History" link
+ *   PRM_HISTORY.close()
+ *   PRM_HISTORY.FIELD_LABELS.comment   // → "Comment" (also used in edit prompts)
+ */
+(function () {
+  const API_BASE = (window.PRM_CONFIG && window.PRM_CONFIG.API_BASE) || "";
+
+  const FIELD_LABELS = {
+    wchr: "WCHR", wchc: "WCHC", ambulift: "Ambulift", comment: "Comment", assignment: "Assignment",
+    pax_assisted: "Pax", watchlist: "Watch", gate: "Gate", time_est: "Est time",
+    sched: "Sched", zone_current: "Zone", status: "Status",
+    feed_missing: "Dropped from feed", rekey: "Re-keyed", source: "Source", passenger: "Passenger",
+    connection: "Connection", conn_risk: "Connection risk", job: "Job",
+  };
+
+  function escapeHtml(s) {
+    return String(s ?? "")
+      .replaceAll("&", "&amp;")
+      .replaceAll("<", "&lt;")
+      .replaceAll(">", "&gt;")
+      .replaceAll('"', "&quot;")
+      .replaceAll("'", "&#39;");
+  }
+
+  function fmtValue(field, v) {
+    if (v == null || v === "") return "—";
+    if (field === "time_est" || field === "sched") return fmtTime(v);
+    if (field === "watchlist") return v === "1" ? "on" : "off";
+    if (field === "feed_missing") return v === "1" ? "yes" : "no";
+    return String(v);
+  }
+
+  // D1 datetime('now') values have no "T" / zone: read them as UTC
+  function toDate(v) {
+    return new Date(String(v).includes("T") ? v : String(v).replace(" ", "T") + "Z");
+  }
+
+  function fmtTime(v) {
+    const d = toDate(v);
+    if (isNaN(d.getTime())) return String(v);
+    return d.toLocaleString(undefined, { month: "short", day: "2-digit", hour: "2-digit", minute: "2-digit", hour12: false });
+  }
+
+  function describe(e) {
+    if (e.type === "ack") return `ACK ${escapeHtml(e.board || "")}`;
+    const label = FIELD_LABELS[e.field] || e.field;
+    return `${escapeHtml(label)}: ${escapeHtml(fmtValue(e.field, e.oldValue))} → <b>${escapeHtml(fmtValue(e.field, e.newValue))}</b>`;
+  }
+
+  // Latest ACK per board: who, when, and how long after the alert
+  function ackSummary(acks) {
+    const latest = new Map();
+    for (const a of acks || []) if (!latest.has(a.board)) latest.set(a.board, a);
+    if (!latest.size) return "";
+    return `<div class="history-acks">${[...latest.values()].map(a => {
+      const lag = a.alertedAt ? Math.round((toDate(a.at) - toDate(a.alertedAt)) / 60000) : null;
+      return `<div><b>${escapeHtml(a.board)}</b> · ${escapeHtml(a.by || "—")} · ${escapeHtml(fmtTime(a.at))}${lag == null || isNaN(lag) ? "" : ` · ${lag} min after alert`}${a.bulk ? " · bulk" : ""}</div>`;
+    }).join("")}</div>`;
+  }
+
+  function drawer() {
+    let el = document.getElementById("historyDrawer");
+    if (el) return el;
+    el = document.createElement("div");
+    el.className = "history-drawer hidden";
+    el.id = "historyDrawer";
+    el.innerHTML = `
+      <div class="history-head">
+        <h3 id="historyTitle">History</h3>
+        <button class="quiet">Close</button>
+      </div>
+      <div class="history-body" id="historyBody"></div>`;
+    el.querySelector("button").addEventListener("click", close);
+    document.body.appendChild(el);
+    return el;
+  }
+
+  async function open(key) {
+    const token = localStorage.getItem("PRM_TOKEN") || "";
+    if (!token) { window.location.href = "/"; return; }
+    const el   = drawer();
+    const body = document.getElementById("historyBody");
+    document.getElementById("historyTitle").textContent = "History — " + key;
+    body.innerHTML = `<div class="small">Loading…</div>`;
+    el.classList.remove("hidden");
+
+    try {
+      const res = await fetch(API_BASE + "/flights/history?key=" + encodeURIComponent(key), {
+        headers: { "authorization": "Bearer " + token }
+      });
+      const data = await res.json();
+      if (!data || !data.ok) { body.innerHTML = `<div class="err">${escapeHtml((data && data.error) || "Failed to load history")}</div>`; return; }
+      const events = data.events || [];
+      body.innerHTML = ackSummary(data.acks) + (events.length ? events.map(e => `
+        <div class="history-item ${escapeHtml(e.type)}">
+          <div class="history-meta">${escapeHtml(fmtTime(e.at))} · ${escapeHtml(e.actor || "—")}${e.board && e.type !== "ack" ? " · " + escapeHtml(e.board) : ""}</div>
+          <div>${describe(e)}</div>
+        </div>`).join("") : `<div class="empty">No recorded changes.</div>`);
+    } catch (e) {
+      body.innerHTML = `<div class="err">${escapeHtml(e && e.message ? e.message : String(e))}</div>`;
+    }
+  }
+
+  function close() {
+    const el = document.getElementById("historyDrawer");
+    if (el) el.classList.add("hidden");
+  }
+
+  window.PRM_HISTORY = { open, close, FIELD_LABELS };
+})();
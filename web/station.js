@@ -0,0 +1,98 @@
+/**
+ * Station picker — shared by every board and admin page.
+ *
+ * Load after config.js and put an empty
+ *   <select class="wings-nav-station" id="stationPick"></select>
+ * in .wings-nav-right.  The chosen station is kept in localStorage
+ * (PRM_STATION) and sent as ?station= on board/admin requests; picking
+ * another station reloads the page.  The picker hides itself when the
+ * user can only work one station.
+ *
+ *   await PRM_STATION.ready;                    // before the first API call
+ *   PRM_STATION.get()                           // → "YYZ"
+ *   PRM_STATION.withStation("/lead/agents?x=1") // → "/lead/agents?x=1&station=YYZ"
+ *   PRM_STATION.tz()                            // → "America/Toronto"
+ *   PRM_STATION.opsDayStart()                   // → "03:00"
+ *   PRM_STATION.opsDayLabel()                   // → "03:00 → 02:59"
+ *
+ * tz() / opsDayStart() read the copy cached at the last page load, so they
+ * are usable synchronously; if the server's copy differs the page reloads
+ * once with the fresh values.
+ */
+(function () {
+  const API_BASE   = (window.PRM_CONFIG && window.PRM_CONFIG.API_BASE) || "";
+  const LS_STATION = "PRM_STATION";
+  const LS_INFO    = "PRM_STATION_INFO";
+
+  function get() { return localStorage.getItem(LS_STATION) || ""; }
+
+  function info() {
+    try { return JSON.parse(localStorage.getItem(LS_INFO) || "{}"); } catch { return {}; }
+  }
+  function infoJson(s) {
+    return JSON.stringify({ code: s.code, timezone: s.timezone, opsDayStart: s.opsDayStart });
+  }
+  function tz()          { return info().timezone    || "America/Toronto"; }
+  function opsDayStart() { return info().opsDayStart || "03:00"; }
+
+  function opsDayLabel() {
+    const [h, m] = opsDayStart().split(":").map(Number);
+    const last = (h * 60 + m + 1439) % 1440;
+    const hhmm = (t) => String(Math.floor(t / 60)).padStart(2, "0") + ":" + String(t % 60).padStart(2, "0");
+    return hhmm(h * 60 + m) + " → " + hhmm(last);
+  }
+
+  function withStation(url) {
+    const code = get();
+    if (!code) return url;
+    if (url instanceof URL) { url.searchParams.set("station", code); return url; }
+    return url + (String(url).includes("?") ? "&" : "?") + "station=" + encodeURIComponent(code);
+  }
+
+  function fillPicker(stations) {
+    const sel = document.getElementById("stationPick");
+    if (!sel) return;
+    sel.innerHTML = stations.map(s =>
+      `<option value="${s.code}" title="${String(s.name || "").replace(/"/g, "&quot;")}">${s.code}</option>`
+    ).join("");
+    sel.value  = get();
+    sel.hidden = stations.length < 2;
+    sel.onchange = () => {
+      const s = stations.find(x => x.code === sel.value);
+      localStorage.setItem(LS_STATION, sel.value);
+      if (s) localStorage.setItem(LS_INFO, infoJson(s));
+      window.location.reload();
+    };
+  }
+
+  async function init() {
+    const token = localStorage.getItem("PRM_TOKEN") || "";
+    if (!token) return get();
+    try {
+      const res  = await fetch(API_BASE + "/stations", { headers: { "authorization": "Bearer " + token } });
+      const data = await res.json();
+      if (!data || !data.ok) return get();
+      const stations = data.stations || [];
+      // Drop a remembered station the user can no longer see
+      if (!stations.some(s => s.code === get()))
+        localStorage.setItem(LS_STATION, data.default || (stations[0] && stations[0].code) || "");
+
+      const cur = stations.find(s => s.code === get());
+      if (cur) {
+        const fresh = infoJson(cur);
+        if (fresh !== localStorage.getItem(LS_INFO)) {
+          localStorage.setItem(LS_INFO, fresh);
+          window.location.reload();
+          return new Promise(() => {});   // hold callers until the reload
+        }
+      }
+      if (document.readyState === "loading")
+        document.addEventListener("DOMContentLoaded", () => fillPicker(stations));
+      else
+        fillPicker(stations);
+    } catch { /* offline — keep the remembered station */ }
+    return get();
+  }
+
+  window.PRM_STATION = { get, withStation, tz, opsDayStart, opsDayLabel, ready: init() };
+})();